@@ -0,0 +1,209 @@
+// API keys for third-party consumers: per-key rate limits, daily quotas and
+// daily usage counters
+//
+// Keys are sent as an "X-API-Key" header or an api_key query parameter (for
+// widgets that can't set headers). Only a SHA-256 hash of each key is stored.
+// Requests without a key are rate limited per IP at a lower limit.
+
+const crypto = require('crypto');
+
+const KEY_PREFIX = 'cck_';
+
+const DEFAULT_RATE_LIMIT_PER_MINUTE = 120;
+const DEFAULT_DAILY_QUOTA = 10000;
+const ANONYMOUS_RATE_LIMIT_PER_MINUTE = parseInt(process.env.ANONYMOUS_RATE_LIMIT_PER_MINUTE) || 30;
+
+// Usage rows for requests without a key use this api_key_id
+const ANONYMOUS_KEY_ID = 0;
+
+const WINDOW_MS = 60 * 1000;
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function generateKey() {
+  return KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function secondsUntilUtcMidnight() {
+  const now = new Date();
+  const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((midnight - now.getTime()) / 1000);
+}
+
+// Validate name and limits for creating (name required) or updating a key.
+// Returns a list of error messages.
+function validateApiKeyInput(input, { partial = false } = {}) {
+  const errors = [];
+
+  if (!partial || input.name !== undefined) {
+    if (!input.name || !String(input.name).trim()) {
+      errors.push('name is required');
+    }
+  }
+  ['rate_limit_per_minute', 'daily_quota'].forEach(field => {
+    if (input[field] !== undefined && input[field] !== null &&
+        (!Number.isInteger(Number(input[field])) || Number(input[field]) < 1)) {
+      errors.push(`${field} must be a positive whole number`);
+    }
+  });
+
+  return errors;
+}
+
+// Returns the stored row plus the plaintext key, which is shown only once
+function createApiKey(db, { name, contact, rate_limit_per_minute, daily_quota }, createdBy) {
+  const key = generateKey();
+  const info = db.prepare(`
+    INSERT INTO api_keys (name, contact, key_prefix, key_hash, rate_limit_per_minute, daily_quota, created_by, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'))
+  `).run(
+    String(name).trim(), contact || null, key.slice(0, KEY_PREFIX.length + 6), hashKey(key),
+    parseInt(rate_limit_per_minute) || DEFAULT_RATE_LIMIT_PER_MINUTE,
+    parseInt(daily_quota) || DEFAULT_DAILY_QUOTA,
+    createdBy || null
+  );
+  return { ...db.prepare('SELECT * FROM api_keys WHERE id = ?').get(info.lastInsertRowid), key };
+}
+
+function findApiKey(db, key) {
+  return db.prepare('SELECT * FROM api_keys WHERE key_hash = ?').get(hashKey(key));
+}
+
+function publicApiKey(row) {
+  if (!row) return null;
+  const { key_hash, ...rest } = row;
+  return rest;
+}
+
+function recordUsage(db, apiKeyId, rejected) {
+  db.prepare(`
+    INSERT INTO api_key_usage (api_key_id, day, requests, rejected)
+    VALUES (?, ?, 1, ?)
+    ON CONFLICT (api_key_id, day) DO UPDATE SET
+      requests = requests + 1,
+      rejected = rejected + excluded.rejected
+  `).run(apiKeyId, today(), rejected ? 1 : 0);
+}
+
+// Accepted requests today, for the daily quota
+function usageToday(db, apiKeyId) {
+  const row = db.prepare('SELECT requests - rejected as used FROM api_key_usage WHERE api_key_id = ? AND day = ?').get(apiKeyId, today());
+  return row ? row.used : 0;
+}
+
+// Daily counters for the last N days (newest first)
+function getUsage(db, apiKeyId, days = 30) {
+  return db.prepare(`
+    SELECT day, requests, rejected
+    FROM api_key_usage
+    WHERE api_key_id = ? AND day >= date('now', ?)
+    ORDER BY day DESC
+  `).all(apiKeyId, `-${days - 1} days`);
+}
+
+// Express middleware enforcing the limits on metered requests.
+// options.isMetered(req) selects the requests to count; options.isExempt(req)
+// skips requests from logged-in admin panel users.
+function createApiKeyLimiter(db, { isMetered, isExempt }) {
+  // Fixed one-minute windows, per key ID or per anonymous IP
+  const windows = new Map();
+
+  function hitWindow(id, limit) {
+    const now = Date.now();
+    let window = windows.get(id);
+    if (!window || now - window.start >= WINDOW_MS) {
+      window = { start: now, count: 0 };
+      windows.set(id, window);
+    }
+    window.count++;
+    return {
+      allowed: window.count <= limit,
+      remaining: Math.max(0, limit - window.count),
+      resetSeconds: Math.ceil((window.start + WINDOW_MS - now) / 1000)
+    };
+  }
+
+  // Drop finished windows so anonymous IPs don't accumulate
+  setInterval(() => {
+    const now = Date.now();
+    windows.forEach((window, id) => {
+      if (now - window.start >= WINDOW_MS) windows.delete(id);
+    });
+  }, 5 * WINDOW_MS).unref();
+
+  function reject(res, retryAfter, message) {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ error: message, retry_after: retryAfter });
+  }
+
+  return (req, res, next) => {
+    if (!isMetered(req) || isExempt(req)) {
+      return next();
+    }
+
+    const key = req.get('X-API-Key') || req.query.api_key;
+
+    try {
+      if (!key) {
+        const rate = hitWindow(`ip:${req.ip}`, ANONYMOUS_RATE_LIMIT_PER_MINUTE);
+        res.set({
+          'X-RateLimit-Limit': String(ANONYMOUS_RATE_LIMIT_PER_MINUTE),
+          'X-RateLimit-Remaining': String(rate.remaining),
+          'X-RateLimit-Reset': String(rate.resetSeconds)
+        });
+        recordUsage(db, ANONYMOUS_KEY_ID, !rate.allowed);
+        if (!rate.allowed) {
+          return reject(res, rate.resetSeconds, 'Rate limit exceeded. Request an API key for higher limits.');
+        }
+        return next();
+      }
+
+      const apiKey = findApiKey(db, key);
+      if (!apiKey || apiKey.revoked_at) {
+        return res.status(401).json({ error: 'Invalid or revoked API key' });
+      }
+
+      if (usageToday(db, apiKey.id) >= apiKey.daily_quota) {
+        recordUsage(db, apiKey.id, true);
+        return reject(res, secondsUntilUtcMidnight(), 'Daily quota exceeded');
+      }
+
+      const rate = hitWindow(`key:${apiKey.id}`, apiKey.rate_limit_per_minute);
+      res.set({
+        'X-RateLimit-Limit': String(apiKey.rate_limit_per_minute),
+        'X-RateLimit-Remaining': String(rate.remaining),
+        'X-RateLimit-Reset': String(rate.resetSeconds)
+      });
+      recordUsage(db, apiKey.id, !rate.allowed);
+      db.prepare("UPDATE api_keys SET last_used_at = datetime('now') WHERE id = ?").run(apiKey.id);
+
+      if (!rate.allowed) {
+        return reject(res, rate.resetSeconds, 'Rate limit exceeded');
+      }
+
+      req.apiKey = apiKey;
+      next();
+    } catch (error) {
+      // Never block public reads because usage accounting failed
+      console.error('Error checking API key:', error);
+      next();
+    }
+  };
+}
+
+module.exports = {
+  ANONYMOUS_KEY_ID,
+  DEFAULT_RATE_LIMIT_PER_MINUTE,
+  DEFAULT_DAILY_QUOTA,
+  validateApiKeyInput,
+  createApiKey,
+  publicApiKey,
+  getUsage,
+  createApiKeyLimiter
+};
@@ -1,9 +1,31 @@
 const express = require('express');
 const cors = require('cors');
-const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
 const { exec } = require('child_process');
+const crypto = require('crypto');
+const { ensureSchema } = require('./schema');
+const { validateRounds, getRounds, replaceRounds } = require('./event-rounds');
+const { buildEventVevent, buildRoundVevents, buildCalendar } = require('./ics');
+const { FIDE_CATEGORIES } = require('./time-control');
+const { refreshPrizeConversions } = require('./prize-fund');
+const { buildFtsQuery, searchJoin, isSearchSyntaxError } = require('./event-search');
+const { publicUser, validateUserInput, createUser, hashPassword, verifyPassword, authenticate, createSession, getSessionUser, deleteSession, deleteUserSessions, purgeExpiredSessions, createLoginThrottle, ensureInitialAdmin } = require('./auth');
+const { parseSortParam, orderTerms, orderByClause, cursorSelect, cursorCondition, encodeCursor, decodeCursor, stripCursorColumns, parseFieldsParam } = require('./pagination');
+const { ANONYMOUS_KEY_ID, validateApiKeyInput, createApiKey, publicApiKey, getUsage, createApiKeyLimiter } = require('./api-keys');
+const { trackEventChange, getEventHistory, getEventSequences, getEventVersion, revertEvent } = require('./event-history');
+const { validateEvent, eventColumns, newEventColumns, validationErrorBody, continentFilterValues } = require('./event-schema');
+const { openDatabase, notifyDatabaseReload, checkDatabaseFile } = require('./db-connection');
+const { SCHEDULED_TIERS, BACKUP_NAME, createBackupScheduler } = require('./backup-schedule');
+const { openBackup, diffBackup, restoreEventsFromBackup } = require('./backup-diff');
+const { readOffsiteConfig, createOffsiteStore } = require('./offsite-backup');
+const { DEFAULT_THRESHOLD, DEFAULT_MAX_DAYS_APART, findDuplicateCandidates, dismissDuplicatePair, undismissDuplicatePair } = require('./duplicate-detection');
+const { planMerge, applyMerge, findMergedEvent } = require('./event-merge');
+const { MAX_OCCURRENCES, expandOccurrences } = require('./recurrence');
+const { listSeries, getSeries, validateSeriesInput, createSeries, updateSeries, deleteSeries, addEdition, removeEdition, suggestSeries } = require('./series');
+const { normalizePlayerName, findOrCreatePlayer, getEventPlayers, setEventPlayersFromText, attachPlayer, detachPlayer, refreshEventRatings } = require('./players');
+const { parseIcs, planIcsImport, applyIcsImport } = require('./ics-import');
+const { resolveTimeZone, zonedTimeToUtc, isoDatetime, eventIsoTimes } = require('./timezone');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -11,7 +33,21 @@ const PORT = process.env.PORT || 3000;
 // Database connection
 const DB_PATH = process.env.NODE_ENV === 'production' ? '/app/calendar-2026.db' : 'calendar-2026.db';
 const BACKUP_DIR = process.env.NODE_ENV === 'production' ? '/app/backups' : './backups';
-const db = new Database(DB_PATH, { readonly: false });
+// db always points at the current handle, so a backup restore can swap the
+// file without a restart (see db-connection.js)
+const connection = openDatabase(DB_PATH, {
+  onOpen: handle => {
+    ensureSchema(handle);
+    // A restored backup may predate user accounts
+    ensureInitialAdmin(handle);
+    // Pick up edits to currency-rates.json
+    refreshPrizeConversions(handle);
+  }
+});
+const db = connection.db;
+// Landing servers with their own read-only handles, told to reopen after a restore
+const LANDING_SERVER_URLS = (process.env.LANDING_SERVER_URLS || `http://localhost:${process.env.LANDING_PORT || 3001}`)
+  .split(',').map(url => url.trim()).filter(Boolean);
 
 // Ensure backup directory exists
 if (!fs.existsSync(BACKUP_DIR)) {
@@ -26,10 +62,7 @@ async function createBackup(reason = 'manual') {
     const backupPath = path.join(BACKUP_DIR, backupName);
     
     // Use SQLite backup API for safe copying
-    db.backup(backupPath);
-    
-    // Create metadata file (wait a bit for backup to complete)
-    await new Promise(resolve => setTimeout(resolve, 100));
+    await db.backup(backupPath);
     
     const metadataPath = path.join(BACKUP_DIR, `${backupName}.meta.json`);
     const metadata = {
@@ -104,19 +137,21 @@ async function restoreFromBackup(backupFilename) {
       return { success: false, error: 'Failed to create pre-restore backup' };
     }
     
-    // Close current database connection
-    db.close();
-    
-    // Copy backup file over current database
-    fs.copyFileSync(backupPath, DB_PATH);
-    
-    // Reconnect to database (this is tricky - would need app restart in production)
+    // Integrity-checks the backup, swaps the live handle over to it and
+    // rolls back to the pre-restore backup if the swap fails
+    connection.replaceDatabase(backupPath, {
+      rollbackPath: path.join(BACKUP_DIR, preRestoreBackup.backupName)
+    });
     console.log(`Database restored from backup: ${backupFilename}`);
     
+    const landingServers = await notifyDatabaseReload(LANDING_SERVER_URLS);
+    regenerateJsonFiles();
+    
     return { 
       success: true, 
       message: `Database restored from ${backupFilename}`,
-      preRestoreBackup: preRestoreBackup.backupName
+      preRestoreBackup: preRestoreBackup.backupName,
+      landingServers
     };
   } catch (error) {
     console.error('Error restoring backup:', error);
@@ -143,220 +178,1393 @@ function deleteBackup(backupFilename) {
   }
 }
 
+// Merge changes into a backup's .meta.json
+function updateBackupMetadata(backupFilename, changes) {
+  const backupPath = path.join(BACKUP_DIR, backupFilename);
+  if (!fs.existsSync(backupPath)) {
+    return { success: false, error: 'Backup file not found' };
+  }
+
+  const metaPath = path.join(BACKUP_DIR, `${backupFilename}.meta.json`);
+  const metadata = { ...listBackups().find(backup => backup.filename === backupFilename), ...changes };
+  fs.writeFileSync(metaPath, JSON.stringify(metadata, null, 2));
+
+  return { success: true, metadata };
+}
+
+// Pinned backups are never removed by the retention pruning
+function setBackupPinned(backupFilename, pinned) {
+  return updateBackupMetadata(backupFilename, { pinned });
+}
+
+// Off-site copies in S3-compatible storage (see offsite-backup.js). Disabled
+// unless BACKUP_S3_BUCKET is set.
+let offsiteStore = null;
+try {
+  const offsiteConfig = readOffsiteConfig();
+  if (offsiteConfig) {
+    offsiteStore = createOffsiteStore(offsiteConfig);
+    console.log(`☁️  Off-site backups: ${offsiteConfig.endpoint}/${offsiteConfig.bucket}/${offsiteConfig.prefix} (${offsiteConfig.compression}${offsiteConfig.encryptionKey ? ', encrypted' : ''})`);
+  }
+} catch (error) {
+  console.error('Off-site backups disabled:', error.message);
+}
+
+async function uploadBackup(backupFilename) {
+  const backupPath = path.join(BACKUP_DIR, backupFilename);
+  if (!fs.existsSync(backupPath)) {
+    return { success: false, status: 404, error: 'Backup file not found' };
+  }
+
+  const { key, size } = await offsiteStore.upload(backupFilename, fs.readFileSync(backupPath));
+  updateBackupMetadata(backupFilename, { remote_key: key, uploaded_at: new Date().toISOString() });
+  console.log(`☁️  Uploaded ${backupFilename} to ${key} (${size} bytes)`);
+  return { success: true, key, size };
+}
+
+// Download a remote backup into the local backups folder, so it can be
+// compared, restored from or downloaded like any other. Returns the file name.
+async function fetchRemoteBackup(key) {
+  const { buffer, filename } = await offsiteStore.download(key);
+  const backupPath = path.join(BACKUP_DIR, filename);
+
+  if (!fs.existsSync(backupPath)) {
+    fs.writeFileSync(backupPath, buffer);
+    const problem = checkDatabaseFile(backupPath);
+    if (problem) {
+      fs.unlinkSync(backupPath);
+      throw new Error(`Remote backup is not usable: ${problem}`);
+    }
+
+    // calendar_<reason>_<2026-10-19T16-28-48-772Z>.db
+    const [, reason, stamp] = filename.match(/^calendar_(.+)_([0-9TZ-]+)\.db$/);
+    const [date, time] = stamp.split('T');
+    const [hours, minutes, seconds, millis] = time.replace('Z', '').split('-');
+    fs.writeFileSync(path.join(BACKUP_DIR, `${filename}.meta.json`), JSON.stringify({
+      filename,
+      timestamp: `${date}T${hours}:${minutes}:${seconds}.${millis || '000'}Z`,
+      reason,
+      backupSize: buffer.length,
+      remote_key: key,
+      fetched_at: new Date().toISOString()
+    }, null, 2));
+  }
+
+  return filename;
+}
+
+// Hourly/daily/weekly backups and pruning (see backup-schedule.js); scheduled
+// backups are copied off-site when storage is configured
+const backupScheduler = createBackupScheduler({
+  createBackup,
+  listBackups,
+  deleteBackup,
+  onBackupCreated: async backupFilename => {
+    if (offsiteStore && offsiteStore.config.autoUpload) {
+      const result = await uploadBackup(backupFilename);
+      if (!result.success) throw new Error(result.error);
+    }
+  }
+});
+
 // Middleware
 app.use(cors({
   origin: '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
+  exposedHeaders: ['X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'Retry-After']
+}));
+// Bulk requests can carry up to 1000 events
+app.use(express.json({ limit: '5mb' }));
+
+// Railway terminates TLS in a proxy, so use X-Forwarded-For for client IPs
+if (process.env.NODE_ENV === 'production') {
+  app.set('trust proxy', 1);
+}
+
+// Rate limits and quotas for public JSON (see api-keys.js). Registered before
+// express.static so the category .json files are counted too. Logged-in
+// admin panel users are not limited.
+const METERED_PATH = /^\/api\/(events|players)(\/|$)|\.json$/;
+app.use(createApiKeyLimiter(db, {
+  isMetered: req => req.method === 'GET' && METERED_PATH.test(req.path),
+  isExempt: req => {
+    const token = req.headers.authorization?.replace('Bearer ', '')?.trim();
+    return Boolean(token && getSessionUser(db, token));
+  }
 }));
-app.use(express.json());
 
 // Serve static files EXCEPT index.html (we'll handle that with routing)
 app.use(express.static(__dirname, {
   index: false // Don't automatically serve index.html
 }));
 
-// Simple authentication (you should use proper auth in production)
-const ADMIN_TOKEN = process.env.ADMIN_TOKEN || 'your-secret-admin-token-2026';
+// Authentication: each team member logs in with their own account and
+// sends the session token as "Authorization: Bearer <token>".
+// Roles: viewer (read-only admin data), editor (event CRUD), admin (backups,
+// restores, permanent deletes and user management). The first admin account
+// is created when the database is opened.
+purgeExpiredSessions(db);
 
-function checkAuth(req, res, next) {
-  const authHeader = req.headers.authorization;
-  const token = authHeader?.replace('Bearer ', '')?.trim();
-  
-  // Debug logging
-  console.log('Auth check:', {
-    authHeader: authHeader ? authHeader.substring(0, 20) + '...' : 'NO HEADER',
-    extractedToken: token ? token.substring(0, 10) + '...' : 'NO TOKEN',
-    expectedToken: ADMIN_TOKEN.substring(0, 10) + '...',
-    match: token === ADMIN_TOKEN
+function requireRole(...roles) {
+  return (req, res, next) => {
+    const token = req.headers.authorization?.replace('Bearer ', '')?.trim();
+    const user = getSessionUser(db, token);
+
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    if (!roles.includes(user.role)) {
+      console.log(`[AUTH] ${user.username} (${user.role}) denied ${req.method} ${req.path}`);
+      return res.status(403).json({ error: `Forbidden: requires ${roles.join(' or ')} role` });
+    }
+
+    req.user = user;
+    next();
+  };
+}
+
+const requireViewer = requireRole('admin', 'editor', 'viewer');
+const checkAuth = requireRole('admin', 'editor');
+const requireAdmin = requireRole('admin');
+
+// Sortable fields for sort=-prize,start_datetime (a leading - sorts
+// descending). strength is the top-10 average rating of the field, prize the
+// prize fund converted to EUR and relevance the full-text search rank.
+const EVENT_SORT_FIELDS = {
+  start_datetime: 'start_datetime',
+  end_datetime: 'end_datetime',
+  title: 'title',
+  rounds: 'rounds',
+  created_at: 'created_at',
+  updated_at: 'updated_at',
+  tc_base_min: 'tc_base_min',
+  strength: 'top10_avg_rating',
+  avg_rating: 'avg_rating',
+  prize: 'prize_eur'
+};
+
+// Single-name sorts that predate multi-key sorting keep their original
+// default direction and honour order=asc|desc
+const LEGACY_EVENT_SORTS = {
+  strength: 'DESC',
+  avg_rating: 'DESC',
+  prize: 'DESC'
+};
+
+const SEARCH_FIELDS = ['search_rank', 'search_snippet'];
+
+// Returns { keys } or { error }. Without a sort, searches are ranked by
+// relevance and everything else is ordered by start date.
+function resolveEventSort({ sort, order, search }) {
+  const orderDirection = order === 'asc' ? 'ASC' : order === 'desc' ? 'DESC' : null;
+  const startKey = direction => ({ name: 'start_datetime', expr: 'start_datetime', direction });
+
+  if (!sort && search) {
+    return { keys: [{ name: 'relevance', expr: 'search.search_rank', direction: 'ASC' }, startKey('ASC')] };
+  }
+  if (!sort || sort === 'date') {
+    return { keys: [startKey(orderDirection || 'ASC')] };
+  }
+  if (LEGACY_EVENT_SORTS[sort]) {
+    return { keys: [
+      { name: sort, expr: EVENT_SORT_FIELDS[sort], direction: orderDirection || LEGACY_EVENT_SORTS[sort] },
+      startKey('ASC')
+    ] };
+  }
+
+  const sortFields = search ? { ...EVENT_SORT_FIELDS, relevance: 'search.search_rank' } : EVENT_SORT_FIELDS;
+  return parseSortParam(sort, sortFields);
+}
+
+const PRIZE_FILTER_COLUMNS = { EUR: 'prize_eur', USD: 'prize_usd' };
+
+// WHERE conditions shared by /api/events and /api/events/live. Returns
+// { where, params } or { error } for an invalid filter value.
+function buildEventFilters(filters) {
+  const {
+    special, continent, country, format, player,
+    start_date, end_date, month, ongoing_on, min_duration_days, max_duration_days,
+    tc_base_min, tc_base_max, has_increment, fide_category,
+    min_prize, max_prize, prize_currency = 'EUR', tz
+  } = filters;
+  let where = '';
+  const params = [];
+
+  if (special === 'yes') {
+    where += ' AND LOWER(special) = ?';
+    params.push('yes');
+  }
+
+  if (continent) {
+    const continents = continentFilterValues(continent);
+    where += ` AND LOWER(continent) IN (${continents.map(() => 'LOWER(?)').join(', ')})`;
+    params.push(...continents);
+  }
+
+  // Locations are "City - Country" or just the country
+  if (country) {
+    where += " AND (LOWER(TRIM(location)) = LOWER(?) OR LOWER(location) LIKE '% - ' || LOWER(?))";
+    params.push(country.trim(), country.trim());
+  }
+
+  if (format) {
+    where += ' AND LOWER(format) = LOWER(?)';
+    params.push(format);
+  }
+
+  // Player filter accepts a player ID or a (partial) name
+  if (player) {
+    if (/^\d+$/.test(player)) {
+      where += ' AND id IN (SELECT event_id FROM event_players WHERE player_id = ?)';
+      params.push(parseInt(player));
+    } else {
+      where += ' AND id IN (SELECT ep.event_id FROM event_players ep JOIN players p ON p.id = ep.player_id WHERE p.normalized_name LIKE ?)';
+      params.push(`%${normalizePlayerName(player)}%`);
+    }
+  }
+
+  // Time control filters (base time in minutes)
+  if (tc_base_min !== undefined && !isNaN(parseFloat(tc_base_min))) {
+    where += ' AND tc_base_min >= ?';
+    params.push(parseFloat(tc_base_min));
+  }
+
+  if (tc_base_max !== undefined && !isNaN(parseFloat(tc_base_max))) {
+    where += ' AND tc_base_min <= ?';
+    params.push(parseFloat(tc_base_max));
+  }
+
+  if (has_increment === 'true') {
+    where += ' AND tc_increment_sec > 0';
+  } else if (has_increment === 'false') {
+    where += ' AND tc_increment_sec = 0';
+  }
+
+  if (fide_category) {
+    if (!FIDE_CATEGORIES.includes(fide_category.toLowerCase())) {
+      return { error: `fide_category must be one of: ${FIDE_CATEGORIES.join(', ')}` };
+    }
+    where += ' AND fide_category = ?';
+    params.push(fide_category.toLowerCase());
+  }
+
+  // Prize filters compare converted amounts, in EUR unless prize_currency=USD
+  if (min_prize !== undefined || max_prize !== undefined) {
+    const prizeColumn = PRIZE_FILTER_COLUMNS[String(prize_currency).toUpperCase()];
+    if (!prizeColumn) {
+      return { error: `prize_currency must be one of: ${Object.keys(PRIZE_FILTER_COLUMNS).join(', ')}` };
+    }
+    if (min_prize !== undefined && !isNaN(parseFloat(min_prize))) {
+      where += ` AND ${prizeColumn} >= ?`;
+      params.push(parseFloat(min_prize));
+    }
+    if (max_prize !== undefined && !isNaN(parseFloat(max_prize))) {
+      where += ` AND ${prizeColumn} <= ?`;
+      params.push(parseFloat(max_prize));
+    }
+  }
+
+  // Date filters match any event overlapping the range; end_datetime is the
+  // last day of the event
+  for (const [name, value] of Object.entries({ start_date, end_date, ongoing_on })) {
+    if (value && !isValidDate(value)) {
+      return { error: `${name} must be a date in YYYY-MM-DD format` };
+    }
+  }
+  if (month && !/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+    return { error: 'month must be in YYYY-MM format' };
+  }
+  const timeZone = tz ? resolveTimeZone(tz) : 'UTC';
+  if (!timeZone) {
+    return { error: 'tz must be an IANA time zone such as Europe/Madrid' };
+  }
+
+  // Timed events are compared by their dates in tz (UTC by default), all-day
+  // events by their own dates
+  const endsOnOrAfter = date => {
+    where += ' AND (CASE WHEN all_day = 1 THEN date(end_datetime) >= date(?) ELSE end_datetime >= ? END)';
+    params.push(date, localDayStart(date, timeZone));
+  };
+  const startsOnOrBefore = date => {
+    where += ' AND (CASE WHEN all_day = 1 THEN date(start_datetime) <= date(?) ELSE start_datetime < ? END)';
+    params.push(date, localDayStart(addDays(date, 1), timeZone));
+  };
+
+  if (start_date) {
+    endsOnOrAfter(start_date);
+  }
+
+  if (end_date) {
+    startsOnOrBefore(end_date);
+  }
+
+  if (month) {
+    endsOnOrAfter(`${month}-01`);
+    startsOnOrBefore(lastDayOfMonth(month));
+  }
+
+  if (ongoing_on) {
+    startsOnOrBefore(ongoing_on);
+    endsOnOrAfter(ongoing_on);
+  }
+
+  // Duration in days, counting both the first and the last day
+  const durationDays = 'julianday(date(end_datetime)) - julianday(date(start_datetime)) + 1';
+  for (const [name, value, operator] of [['min_duration_days', min_duration_days, '>='], ['max_duration_days', max_duration_days, '<=']]) {
+    if (value === undefined || value === '') continue;
+    if (!/^\d+$/.test(value)) {
+      return { error: `${name} must be a whole number of days` };
+    }
+    where += ` AND ${durationDays} ${operator} ?`;
+    params.push(parseInt(value));
+  }
+
+  return { where, params };
+}
+
+// UTC dates a list query is limited to ({ from, to }, either may be null),
+// or null without date filters. Local dates in tz can fall on the day
+// before or after in UTC, so the range is a day wider with tz; the query's
+// filters narrow it down. Expects filters already checked by
+// buildEventFilters().
+function queryDateRange({ start_date, end_date, month, ongoing_on, tz }) {
+  const froms = [start_date, month && `${month}-01`, ongoing_on].filter(Boolean);
+  const tos = [end_date, ongoing_on].filter(Boolean);
+  if (month) {
+    tos.push(lastDayOfMonth(month));
+  }
+  if (froms.length === 0 && tos.length === 0) return null;
+
+  const from = froms.length > 0 ? froms.sort()[froms.length - 1] : null;
+  const to = tos.length > 0 ? tos.sort()[0] : null;
+  return {
+    from: from && tz ? addDays(from, -1) : from,
+    to: to && tz ? addDays(to, 1) : to
+  };
+}
+
+// [[id, start, end], ...] for every occurrence of the live recurring events
+// in the range, or null if there is no range or no recurring event
+function recurringOccurrences(range) {
+  if (!range) return null;
+
+  const recurring = db.prepare(`
+    SELECT id, start_datetime, end_datetime, all_day, timezone, recurrence_rule, recurrence_exdates
+    FROM calendar_events
+    WHERE deleted_at IS NULL AND recurrence_rule IS NOT NULL AND recurrence_rule != ''
+  `).all();
+  if (recurring.length === 0) return null;
+
+  const occurrences = [];
+  recurring.forEach(event => {
+    try {
+      expandOccurrences(event, range).forEach(occurrence =>
+        occurrences.push([event.id, occurrence.start_datetime, occurrence.end_datetime]));
+    } catch (error) {
+      // A rule written to the database by hand; list the first occurrence
+      console.error(`Invalid recurrence rule on event ${event.id}:`, error.message);
+      occurrences.push([event.id, event.start_datetime, event.end_datetime]);
+    }
   });
-  
-  if (!token || token !== ADMIN_TOKEN) {
-    return res.status(401).json({ error: 'Unauthorized' });
+  return occurrences;
+}
+
+// Stand-in for calendar_events in list queries: one-off events as they are
+// and one row per occurrence (from a JSON parameter) of recurring events,
+// with recurrence_id set to the recurring event's id
+function occurrencesSource(columns) {
+  const occurrenceColumns = columns.map(column => {
+    if (column === 'start_datetime') return "json_extract(occurrence.value, '$[1]') AS start_datetime";
+    if (column === 'end_datetime') return "json_extract(occurrence.value, '$[2]') AS end_datetime";
+    return `e.${column}`;
+  });
+  return `(
+    SELECT ${columns.join(', ')}, NULL AS recurrence_id
+    FROM calendar_events
+    WHERE recurrence_rule IS NULL OR recurrence_rule = ''
+    UNION ALL
+    SELECT ${occurrenceColumns.join(', ')}, e.id AS recurrence_id
+    FROM calendar_events e
+    JOIN json_each(?) occurrence ON e.id = json_extract(occurrence.value, '$[0]')
+  ) AS calendar_events`;
+}
+
+// YYYY-MM-DD that is a real calendar date
+function isValidDate(value) {
+  const date = new Date(`${value}T00:00:00Z`);
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+// "2026-02" -> "2026-02-28"
+function lastDayOfMonth(month) {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return new Date(Date.UTC(year, monthNumber, 0)).toISOString().slice(0, 10);
+}
+
+// Stored (UTC) datetime at which the date starts in the zone
+function localDayStart(date, timeZone) {
+  return new Date(zonedTimeToUtc(`${date}T00:00:00`, timeZone)).toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// Adds ISO 8601 start and end to each event (see eventIsoTimes()), with
+// the offsets of tz or else of each event's own zone
+function addIsoTimes(events, tz) {
+  const timeZone = tz ? resolveTimeZone(tz) : null;
+  events.forEach(event => Object.assign(event, eventIsoTimes(event, timeZone)));
+  return events;
+}
+
+// One page of events ordered by start date for the simpler list endpoints,
+// with the envelope and cursors of /api/events. Returns the response body
+// or { error }.
+function startOrderedPage(where, params, { cursor, limit, tz }) {
+  const pageSize = parseInt(limit);
+  if (isNaN(pageSize) || pageSize < 1) {
+    return { error: 'limit must be a positive number' };
   }
-  next();
+  const terms = orderTerms([{ name: 'start_datetime', expr: 'start_datetime', direction: 'ASC' }], 'id');
+
+  let query = ` FROM calendar_events WHERE deleted_at IS NULL${where}`;
+  const queryParams = [...params];
+  const total = db.prepare(`SELECT COUNT(*) AS count${query}`).get(...queryParams).count;
+
+  if (cursor) {
+    const values = decodeCursor(cursor, terms);
+    if (!values) {
+      return { error: 'Invalid cursor for this sort order' };
+    }
+    const after = cursorCondition(terms, values);
+    query += after.where;
+    queryParams.push(...after.params);
+  }
+
+  const rows = db.prepare(`SELECT *${cursorSelect(terms)}${query}${orderByClause(terms)} LIMIT ?`).all(...queryParams, pageSize + 1);
+  const events = rows.slice(0, pageSize);
+  const nextCursor = rows.length > pageSize ? encodeCursor(terms, events[events.length - 1]) : null;
+  events.forEach(stripCursorColumns);
+  addIsoTimes(events, tz);
+
+  return { success: true, data: events, total, returned: events.length, next_cursor: nextCursor };
 }
 
 // GET all events
 app.get('/api/events', (req, res) => {
   try {
-    const { special, continent, format, search, limit = 5000, offset = 0 } = req.query;
-    
-    let query = 'SELECT * FROM calendar_events WHERE deleted_at IS NULL';
-    const params = [];
-    
-    if (special === 'yes') {
-      query += ' AND LOWER(special) = ?';
-      params.push('yes');
+    const { search, fields, cursor, limit = 5000, offset = 0 } = req.query;
+    const pageSize = parseInt(limit);
+    if (isNaN(pageSize) || pageSize < 1) {
+      return res.status(400).json({ error: 'limit must be a positive number' });
     }
-    
-    if (continent) {
-      query += ' AND LOWER(continent) = LOWER(?)';
-      params.push(continent);
+
+    const sortSpec = resolveEventSort(req.query);
+    if (sortSpec.error) {
+      return res.status(400).json({ error: sortSpec.error });
     }
-    
-    if (format) {
-      query += ' AND LOWER(format) = LOWER(?)';
-      params.push(format);
+
+    // fields=id,title,... selects columns; id is always included
+    const columns = db.prepare('PRAGMA table_info(calendar_events)').all().map(column => column.name);
+    const fieldSpec = parseFieldsParam(fields, search ? columns.concat(SEARCH_FIELDS) : columns);
+    if (fieldSpec.error) {
+      return res.status(400).json({ error: fieldSpec.error });
     }
-    
+
+    const filter = buildEventFilters(req.query);
+    if (filter.error) {
+      return res.status(400).json({ error: filter.error });
+    }
+
+    // Recurring events show up once per occurrence in date-range queries.
+    // Occurrences share their event's id, so the start breaks ties.
+    const occurrences = recurringOccurrences(queryDateRange(req.query));
+    const terms = orderTerms(sortSpec.keys, 'calendar_events.id');
+    if (occurrences) {
+      terms.push({ name: 'occurrence_start', expr: 'calendar_events.start_datetime', direction: 'ASC' });
+    }
+
+    let selectList = search ? 'calendar_events.*, search.search_rank, search.search_snippet' : '*';
+    if (fieldSpec.fields) {
+      selectList = ['id', ...fieldSpec.fields.filter(field => field !== 'id')]
+        .map(field => SEARCH_FIELDS.includes(field) ? `search.${field}` : `calendar_events.${field}`)
+        .join(', ');
+    }
+
+    let query = '';
+    const params = [];
+    if (occurrences) {
+      query += ` FROM ${occurrencesSource(columns)}`;
+      params.push(JSON.stringify(occurrences));
+    } else {
+      query += ' FROM calendar_events';
+    }
+
+    // Full-text search joins the FTS index for relevance and snippets
     if (search) {
-      query += ' AND (title LIKE ? OR location LIKE ? OR players LIKE ?)';
-      params.push(`%${search}%`, `%${search}%`, `%${search}%`);
+      const ftsQuery = buildFtsQuery(search);
+      if (!ftsQuery) {
+        return res.status(400).json({ error: 'search must contain at least one word' });
+      }
+      query += ` ${searchJoin()}`;
+      params.push(ftsQuery);
     }
+
+    query += ' WHERE deleted_at IS NULL';
+    query += filter.where;
+    params.push(...filter.params);
     
     // Get total count before applying limit
-    const countQuery = query.replace('SELECT *', 'SELECT COUNT(*) as count');
-    const countStmt = db.prepare(countQuery);
+    const countStmt = db.prepare(`SELECT COUNT(*) as count${query}`);
     const countResult = countStmt.get(...params);
     const totalCount = countResult.count;
-    
-    query += ' ORDER BY start_datetime ASC LIMIT ? OFFSET ?';
-    params.push(parseInt(limit), parseInt(offset));
+
+    // A cursor continues after the last row of the previous page
+    if (cursor) {
+      if (req.query.offset !== undefined) {
+        return res.status(400).json({ error: 'Use either cursor or offset, not both' });
+      }
+      const values = decodeCursor(cursor, terms);
+      if (!values) {
+        return res.status(400).json({ error: 'Invalid cursor for this sort order' });
+      }
+      const after = cursorCondition(terms, values);
+      query += after.where;
+      params.push(...after.params);
+    }
+
+    // One extra row tells whether there is a next page
+    query = `SELECT ${selectList}${cursorSelect(terms)}${query}${orderByClause(terms)} LIMIT ? OFFSET ?`;
+    params.push(pageSize + 1, cursor ? 0 : parseInt(offset));
     
     const stmt = db.prepare(query);
-    const events = stmt.all(...params);
+    const rows = stmt.all(...params);
+    const events = rows.slice(0, pageSize);
+    const nextCursor = rows.length > pageSize ? encodeCursor(terms, events[events.length - 1]) : null;
+    events.forEach(stripCursorColumns);
+    addIsoTimes(events, req.query.tz);
     
     res.json({
       success: true,
       data: events,
       total: totalCount,
-      returned: events.length
+      returned: events.length,
+      next_cursor: nextCursor
     });
   } catch (error) {
+    if (isSearchSyntaxError(error)) {
+      return res.status(400).json({ error: 'Invalid search query' });
+    }
     console.error('Error fetching events:', error);
     res.status(500).json({ error: 'Failed to fetch events' });
   }
 });
 
-// GET upcoming events
+// GET upcoming events (paginated like /api/events, sorted by start date)
 app.get('/api/events/upcoming', (req, res) => {
   try {
-    const { limit = 20 } = req.query;
+    const { limit = 20, cursor } = req.query;
     const now = new Date().toISOString();
 
-    const stmt = db.prepare(`
-      SELECT * FROM calendar_events
-      WHERE deleted_at IS NULL
-      AND start_datetime >= ?
-      ORDER BY start_datetime ASC
-      LIMIT ?
-    `);
-
-    const events = stmt.all(now, parseInt(limit));
+    const timeZone = req.query.tz ? resolveTimeZone(req.query.tz) : null;
+    if (req.query.tz && !timeZone) {
+      return res.status(400).json({ error: 'tz must be an IANA time zone such as Europe/Madrid' });
+    }
+    const page = startOrderedPage(' AND start_datetime >= ?', [now], { cursor, limit, tz: timeZone });
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
 
-    res.json({
-      success: true,
-      data: events,
-      returned: events.length
-    });
+    res.json(page);
   } catch (error) {
     console.error('Error fetching upcoming events:', error);
     res.status(500).json({ success: false, error: 'Failed to fetch upcoming events' });
   }
 });
 
+// GET events in progress today (in ?tz=, UTC by default), with the same
+// filters and pagination as /api/events
+app.get('/api/events/live', (req, res) => {
+  try {
+    const timeZone = req.query.tz ? resolveTimeZone(req.query.tz) : 'UTC';
+    if (!timeZone) {
+      return res.status(400).json({ error: 'tz must be an IANA time zone such as Europe/Madrid' });
+    }
+    const today = isoDatetime(new Date().toISOString(), timeZone).slice(0, 10);
+    const filter = buildEventFilters({ ...req.query, ongoing_on: today });
+    if (filter.error) {
+      return res.status(400).json({ error: filter.error });
+    }
+
+    const { limit = 5000, cursor } = req.query;
+    const page = startOrderedPage(filter.where, filter.params, { cursor, limit, tz: req.query.tz });
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+
+    res.json(page);
+  } catch (error) {
+    console.error('Error fetching live events:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch live events' });
+  }
+});
+
+// Trash: soft-deleted events are kept forever unless TRASH_RETENTION_DAYS
+// is set, in which case a job that runs every few hours purges them after
+// that many days, taking a backup first
+const TRASH_RETENTION_DAYS = Math.max(0, parseInt(process.env.TRASH_RETENTION_DAYS) || 0);
+const TRASH_PURGE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+// Permanently delete soft-deleted events (ids, or all past the retention
+// period) after a backup. Returns { purged, backup }.
+async function purgeTrash({ ids = null, actor = null, note } = {}) {
+  let rows;
+  if (ids) {
+    rows = db.prepare(`SELECT id FROM calendar_events WHERE deleted_at IS NOT NULL AND id IN (${ids.map(() => '?').join(',')})`).all(...ids);
+  } else {
+    if (TRASH_RETENTION_DAYS <= 0) return { purged: 0 };
+    rows = db.prepare("SELECT id FROM calendar_events WHERE deleted_at IS NOT NULL AND deleted_at < datetime('now', ?)")
+      .all(`-${TRASH_RETENTION_DAYS} days`);
+  }
+  if (rows.length === 0) return { purged: 0 };
+
+  const backup = await createBackup('trash-purge');
+  if (!backup.success) {
+    throw new Error('Failed to create backup before purging the trash');
+  }
+
+  db.transaction(() => {
+    rows.forEach(row => trackEventChange(db, row.id, 'permanent_delete', actor, () => removeEventRows(row.id), note));
+  })();
+
+  console.log(`🗑️  Purged ${rows.length} events from the trash (backup: ${backup.backupName})`);
+  regenerateJsonFiles();
+  return { purged: rows.length, backup: backup.backupName };
+}
+
+// List soft-deleted events, most recently deleted first (?search=, limit, offset)
+app.get('/api/events/trash', requireViewer, (req, res) => {
+  try {
+    const { search, limit = 50, offset = 0 } = req.query;
+
+    let from = 'FROM calendar_events';
+    const params = [];
+    if (search) {
+      const ftsQuery = buildFtsQuery(search);
+      if (!ftsQuery) {
+        return res.status(400).json({ error: 'search must contain at least one word' });
+      }
+      from += ` ${searchJoin()}`;
+      params.push(ftsQuery);
+    }
+    from += ' WHERE calendar_events.deleted_at IS NOT NULL';
+
+    const { total } = db.prepare(`SELECT COUNT(*) as total ${from}`).get(...params);
+    const events = db.prepare(`
+      SELECT calendar_events.id, title, location, start_datetime, end_datetime, deleted_at,
+        CASE WHEN ? > 0 THEN datetime(deleted_at, ?) END as purge_after,
+        (SELECT actor FROM event_history h
+          WHERE h.event_id = calendar_events.id AND h.action IN ('delete', 'duplicate_delete', 'merge_delete')
+          ORDER BY h.version DESC LIMIT 1) as deleted_by
+      ${from}
+      ORDER BY deleted_at DESC, calendar_events.id DESC
+      LIMIT ? OFFSET ?
+    `).all(TRASH_RETENTION_DAYS, `+${TRASH_RETENTION_DAYS} days`, ...params, parseInt(limit) || 50, parseInt(offset) || 0);
+
+    res.json({ success: true, data: events, total, retention_days: TRASH_RETENTION_DAYS });
+  } catch (error) {
+    if (isSearchSyntaxError(error)) {
+      return res.status(400).json({ error: 'Invalid search query' });
+    }
+    console.error('Error fetching trash:', error);
+    res.status(500).json({ error: 'Failed to fetch trash' });
+  }
+});
+
+// Purge the trash now: { ids: [...] } for specific events, or {} for
+// everything past the retention period
+app.post('/api/events/trash/purge', requireAdmin, async (req, res) => {
+  try {
+    const { ids } = req.body;
+    if (ids !== undefined && (!Array.isArray(ids) || ids.length === 0 || !ids.every(id => Number.isInteger(id)))) {
+      return res.status(400).json({ error: 'ids must be a non-empty array of event ids' });
+    }
+
+    const result = await purgeTrash({
+      ids: ids || null,
+      actor: req.user,
+      note: ids ? 'Purged from the trash' : 'Purged after the retention period'
+    });
+
+    res.json({ success: true, ...result, message: `Purged ${result.purged} events` });
+  } catch (error) {
+    console.error('Error purging trash:', error);
+    res.status(500).json({ error: 'Failed to purge trash' });
+  }
+});
+
+// Send GETs for an event that was merged into another one to the same URL
+// with the surviving ID. Returns true if it redirected.
+function redirectMergedEvent(req, res) {
+  const target = findMergedEvent(db, req.params.id);
+  if (!target) {
+    return false;
+  }
+  res.redirect(301, req.originalUrl.replace(`/api/events/${req.params.id}`, `/api/events/${target.id}`));
+  return true;
+}
+
 // GET single event
 app.get('/api/events/:id', (req, res) => {
   try {
+    const timeZone = req.query.tz ? resolveTimeZone(req.query.tz) : null;
+    if (req.query.tz && !timeZone) {
+      return res.status(400).json({ error: 'tz must be an IANA time zone such as Europe/Madrid' });
+    }
+
     const stmt = db.prepare('SELECT * FROM calendar_events WHERE id = ? AND deleted_at IS NULL');
     const event = stmt.get(req.params.id);
     
     if (!event) {
+      if (redirectMergedEvent(req, res)) return;
       return res.status(404).json({ error: 'Event not found' });
     }
     
-    res.json({ success: true, data: event });
+    res.json({ success: true, data: addIsoTimes([event], timeZone)[0] });
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch event' });
   }
 });
 
-// CREATE new event
-app.post('/api/events', checkAuth, (req, res) => {
+// GET round schedule for an event
+app.get('/api/events/:id/rounds', (req, res) => {
   try {
-    const {
-      title, location, start_datetime, end_datetime,
-      event_type, format, rounds, url, special,
-      continent, category, live_games, prize_fund,
-      description, venue, landing, players
-    } = req.body;
+    const event = db.prepare('SELECT id FROM calendar_events WHERE id = ? AND deleted_at IS NULL').get(req.params.id);
+
+    if (!event) {
+      if (redirectMergedEvent(req, res)) return;
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const rounds = getRounds(db, event.id);
+    res.json({ success: true, data: rounds, total: rounds.length });
+  } catch (error) {
+    console.error('Error fetching rounds:', error);
+    res.status(500).json({ error: 'Failed to fetch rounds' });
+  }
+});
 
-    // Enhanced validation with detailed error messages
-    const validationErrors = [];
+// GET the dates of a recurring event (?start_date, end_date, limit); a
+// one-off event has a single occurrence
+app.get('/api/events/:id/occurrences', (req, res) => {
+  try {
+    const event = db.prepare('SELECT id, title, start_datetime, end_datetime, all_day, timezone, recurrence_rule, recurrence_exdates FROM calendar_events WHERE id = ? AND deleted_at IS NULL').get(req.params.id);
 
-    if (!title || title.trim() === '') {
-      validationErrors.push('title is required and cannot be empty');
+    if (!event) {
+      if (redirectMergedEvent(req, res)) return;
+      return res.status(404).json({ error: 'Event not found' });
     }
 
-    if (!url || url.trim() === '') {
-      validationErrors.push('url is required and cannot be empty');
-    } else {
-      // Basic URL validation
-      try {
-        new URL(url);
-      } catch (e) {
-        validationErrors.push('url must be a valid URL format (e.g., https://example.com)');
+    const { start_date, end_date, limit = 100 } = req.query;
+    for (const [name, value] of Object.entries({ start_date, end_date })) {
+      if (value && !isValidDate(value)) {
+        return res.status(400).json({ error: `${name} must be a date in YYYY-MM-DD format` });
       }
     }
+    const maxOccurrences = parseInt(limit);
+    if (isNaN(maxOccurrences) || maxOccurrences < 1 || maxOccurrences > MAX_OCCURRENCES) {
+      return res.status(400).json({ error: `limit must be between 1 and ${MAX_OCCURRENCES}` });
+    }
 
-    if (validationErrors.length > 0) {
-      console.error('[CREATE EVENT] Validation failed:', {
-        title: title || '(missing)',
-        url: url || '(missing)',
-        errors: validationErrors
-      });
-      return res.status(400).json({
-        error: 'Validation failed: ' + validationErrors.join(', '),
-        details: validationErrors,
-        received: { title, url, start_datetime, end_datetime }
-      });
+    const range = { from: start_date || null, to: end_date || null, limit: maxOccurrences };
+    let occurrences;
+    let recurrenceError = null;
+    try {
+      occurrences = expandOccurrences(event, range);
+    } catch (error) {
+      // A rule written to the database by hand; list the first occurrence,
+      // as date queries do
+      console.error(`Invalid recurrence rule on event ${event.id}:`, error.message);
+      recurrenceError = error.message;
+      occurrences = expandOccurrences({ ...event, recurrence_rule: null }, range);
     }
+    res.json({
+      success: true,
+      data: occurrences,
+      total: occurrences.length,
+      recurrence_rule: event.recurrence_rule || null,
+      recurrence_exdates: event.recurrence_exdates ? event.recurrence_exdates.split(',') : [],
+      ...(recurrenceError ? { recurrence_error: recurrenceError } : {})
+    });
+  } catch (error) {
+    console.error('Error expanding occurrences:', error);
+    res.status(500).json({ error: 'Failed to list occurrences' });
+  }
+});
 
-    // Use current date if start_datetime not provided
-    const eventStartTime = start_datetime || new Date().toISOString().slice(0, 19).replace('T', ' ');
-    const eventEndTime = end_datetime || eventStartTime;
+// REPLACE round schedule for an event
+app.put('/api/events/:id/rounds', checkAuth, (req, res) => {
+  try {
+    const event = db.prepare('SELECT id, start_datetime, end_datetime FROM calendar_events WHERE id = ? AND deleted_at IS NULL').get(req.params.id);
 
-    // Log the event being created (helpful for debugging)
-    console.log('[CREATE EVENT] Inserting:', {
-      title: title.substring(0, 50) + (title.length > 50 ? '...' : ''),
-      url,
-      start_datetime: eventStartTime,
-      end_datetime: eventEndTime,
-      location: location || '(none)',
-      format: format || '(none)',
-      continent: continent || '(none)'
-    });
-
-    const stmt = db.prepare(`
-      INSERT INTO calendar_events (
-        title, location, start_datetime, end_datetime,
-        event_type, format, rounds, url, special,
-        continent, category, live_games, prize_fund,
-        description, venue, landing, players,
-        created_at, updated_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))
-    `);
-
-    const info = stmt.run(
-      title, location || '', eventStartTime,
-      eventEndTime, event_type || '',
-      format || '', rounds || null, url, special || '',
-      continent || '', category || '', live_games || '',
-      prize_fund || '', description || '', venue || '',
-      landing || '', players || ''
-    );
-
-    console.log(`[CREATE EVENT] ✓ Success: ID ${info.lastInsertRowid} - ${title}`);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
 
-    res.status(201).json({
-      success: true,
-      id: info.lastInsertRowid,
-      message: 'Event created successfully'
+    const input = Array.isArray(req.body) ? req.body : req.body.rounds;
+    const { rounds, errors } = validateRounds(input);
+
+    // Rounds must fall within the event's date range
+    const startDate = event.start_datetime.slice(0, 10);
+    const endDate = event.end_datetime.slice(0, 10);
+    rounds.forEach((round, index) => {
+      if (round.round_date && (round.round_date < startDate || round.round_date > endDate)) {
+        errors.push(`rounds[${index}].round_date must be between ${startDate} and ${endDate}`);
+      }
     });
 
-    // Trigger regeneration of JSON files
-    regenerateJsonFiles();
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed: ' + errors.join(', '),
+        details: errors
+      });
+    }
+
+    const saved = replaceRounds(db, event.id, rounds);
+    db.prepare("UPDATE calendar_events SET updated_at = datetime('now') WHERE id = ?").run(event.id);
+
+    res.json({
+      success: true,
+      data: saved,
+      total: saved.length,
+      message: 'Schedule updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating rounds:', error);
+    res.status(500).json({ error: 'Failed to update rounds' });
+  }
+});
+
+// GET players attached to an event
+app.get('/api/events/:id/players', (req, res) => {
+  try {
+    const event = db.prepare('SELECT id FROM calendar_events WHERE id = ? AND deleted_at IS NULL').get(req.params.id);
+
+    if (!event) {
+      if (redirectMergedEvent(req, res)) return;
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const players = getEventPlayers(db, event.id);
+    res.json({ success: true, data: players, total: players.length });
+  } catch (error) {
+    console.error('Error fetching event players:', error);
+    res.status(500).json({ error: 'Failed to fetch event players' });
+  }
+});
+
+// ATTACH a player to an event by player_id or name (created if unknown)
+app.post('/api/events/:id/players', checkAuth, (req, res) => {
+  try {
+    const event = db.prepare('SELECT id FROM calendar_events WHERE id = ? AND deleted_at IS NULL').get(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const { player_id, name } = req.body;
+    let player = null;
+
+    if (player_id) {
+      player = db.prepare('SELECT * FROM players WHERE id = ?').get(player_id);
+      if (!player) {
+        return res.status(404).json({ error: 'Player not found' });
+      }
+    } else if (name && name.trim() !== '') {
+      player = findOrCreatePlayer(db, name);
+    } else {
+      return res.status(400).json({ error: 'player_id or name is required' });
+    }
+
+    const attached = trackEventChange(db, event.id, 'update', req.user, () => attachPlayer(db, event.id, player.id));
+
+    res.status(attached ? 201 : 200).json({
+      success: true,
+      data: player,
+      message: attached ? 'Player attached to event' : 'Player already attached to event'
+    });
+
+    if (attached) {
+      regenerateJsonFiles();
+    }
+  } catch (error) {
+    console.error('Error attaching player:', error);
+    res.status(500).json({ error: 'Failed to attach player' });
+  }
+});
+
+// DETACH a player from an event
+app.delete('/api/events/:id/players/:playerId', checkAuth, (req, res) => {
+  try {
+    const { id, playerId } = req.params;
+    const detached = trackEventChange(db, id, 'update', req.user, () => detachPlayer(db, id, playerId));
+
+    if (!detached) {
+      return res.status(404).json({ error: 'Player is not attached to this event' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Player detached from event'
+    });
+
+    regenerateJsonFiles();
+  } catch (error) {
+    console.error('Error detaching player:', error);
+    res.status(500).json({ error: 'Failed to detach player' });
+  }
+});
+
+// GET players (search by name, used by the admin autocomplete)
+app.get('/api/players', (req, res) => {
+  try {
+    const { search, limit = 50, offset = 0 } = req.query;
+
+    let where = '';
+    const params = [];
+
+    if (search) {
+      where = 'WHERE p.name LIKE ? OR p.normalized_name LIKE ?';
+      params.push(`%${search}%`, `%${search.toLowerCase()}%`);
+    }
+
+    const { count } = db.prepare(`SELECT COUNT(*) as count FROM players p ${where}`).get(...params);
+
+    const players = db.prepare(`
+      SELECT p.*, COUNT(e.id) as event_count
+      FROM players p
+      LEFT JOIN event_players ep ON ep.player_id = p.id
+      LEFT JOIN calendar_events e ON e.id = ep.event_id AND e.deleted_at IS NULL
+      ${where}
+      GROUP BY p.id
+      ORDER BY event_count DESC, p.name ASC
+      LIMIT ? OFFSET ?
+    `).all(...params, parseInt(limit), parseInt(offset));
+
+    res.json({
+      success: true,
+      data: players,
+      total: count,
+      returned: players.length
+    });
+  } catch (error) {
+    console.error('Error fetching players:', error);
+    res.status(500).json({ error: 'Failed to fetch players' });
+  }
+});
+
+// GET single player with upcoming and past events
+app.get('/api/players/:id', (req, res) => {
+  try {
+    const player = db.prepare('SELECT * FROM players WHERE id = ?').get(req.params.id);
+
+    if (!player) {
+      return res.status(404).json({ error: 'Player not found' });
+    }
+
+    const events = db.prepare(`
+      SELECT e.*
+      FROM calendar_events e
+      JOIN event_players ep ON ep.event_id = e.id
+      WHERE ep.player_id = ? AND e.deleted_at IS NULL
+      ORDER BY e.start_datetime ASC
+    `).all(player.id);
+
+    const today = new Date().toISOString().slice(0, 10);
+    const upcoming = events.filter(event => event.end_datetime.slice(0, 10) >= today);
+    const past = events.filter(event => event.end_datetime.slice(0, 10) < today).reverse();
+
+    res.json({
+      success: true,
+      data: {
+        ...player,
+        upcoming_events: upcoming,
+        past_events: past
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching player:', error);
+    res.status(500).json({ error: 'Failed to fetch player' });
+  }
+});
+
+// Tournament series (see series.js)
+
+// Check that event_ids is an array of live event IDs. Returns an error
+// message or null.
+function checkEditionIds(ids) {
+  if (!Array.isArray(ids) || !ids.every(id => Number.isInteger(id))) {
+    return 'event_ids must be an array of event ids';
+  }
+  const live = db.prepare('SELECT id FROM calendar_events WHERE id = ? AND deleted_at IS NULL');
+  const missing = ids.filter(id => !live.get(id));
+  return missing.length > 0 ? `Events not found: ${missing.join(', ')}` : null;
+}
+
+// GET all series with edition counts (?search=)
+app.get('/api/series', (req, res) => {
+  try {
+    const series = listSeries(db, { search: req.query.search || null });
+    res.json({ success: true, data: series, total: series.length });
+  } catch (error) {
+    console.error('Error fetching series:', error);
+    res.status(500).json({ error: 'Failed to fetch series' });
+  }
+});
+
+// Suggested series groupings from similar titles (?min_years=2)
+app.get('/api/series/suggestions', requireViewer, (req, res) => {
+  try {
+    const minYears = req.query.min_years !== undefined ? parseInt(req.query.min_years) : 2;
+    if (isNaN(minYears) || minYears < 1) {
+      return res.status(400).json({ error: 'min_years must be a positive number' });
+    }
+
+    const suggestions = suggestSeries(db, { minYears });
+    res.json({ success: true, data: suggestions, total: suggestions.length });
+  } catch (error) {
+    console.error('Error suggesting series:', error);
+    res.status(500).json({ error: 'Failed to suggest series' });
+  }
+});
+
+// GET a series by id or slug with its editions (oldest first) and the
+// estimated dates of the next edition
+app.get('/api/series/:id', (req, res) => {
+  try {
+    const series = getSeries(db, req.params.id);
+
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    res.json({ success: true, data: series });
+  } catch (error) {
+    console.error('Error fetching series:', error);
+    res.status(500).json({ error: 'Failed to fetch series' });
+  }
+});
+
+// CREATE a series { name, description, url, event_ids }
+app.post('/api/series', checkAuth, (req, res) => {
+  try {
+    const error = validateSeriesInput(req.body) || (req.body.event_ids !== undefined && checkEditionIds(req.body.event_ids));
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const id = db.transaction(() => {
+      const seriesId = createSeries(db, req.body);
+      (req.body.event_ids || []).forEach(eventId => addEdition(db, seriesId, eventId));
+      return seriesId;
+    })();
+
+    console.log(`[SERIES] ${req.user.username} created series ${id}: ${req.body.name}`);
+    res.status(201).json({ success: true, id, data: getSeries(db, id), message: 'Series created' });
+  } catch (error) {
+    console.error('Error creating series:', error);
+    res.status(500).json({ error: 'Failed to create series' });
+  }
+});
+
+// UPDATE a series' name, description or url
+app.put('/api/series/:id', checkAuth, (req, res) => {
+  try {
+    const error = validateSeriesInput(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (!updateSeries(db, req.params.id, req.body)) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+    res.json({ success: true, message: 'Series updated' });
+  } catch (error) {
+    console.error('Error updating series:', error);
+    res.status(500).json({ error: 'Failed to update series' });
+  }
+});
+
+// DELETE a series (its events are kept)
+app.delete('/api/series/:id', checkAuth, (req, res) => {
+  try {
+    if (!deleteSeries(db, req.params.id)) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+    res.json({ success: true, message: 'Series deleted' });
+  } catch (error) {
+    console.error('Error deleting series:', error);
+    res.status(500).json({ error: 'Failed to delete series' });
+  }
+});
+
+// ADD events as editions { event_ids, edition }. The edition number is read
+// from the title unless given (only with a single event).
+app.post('/api/series/:id/editions', checkAuth, (req, res) => {
+  try {
+    const series = db.prepare('SELECT id FROM series WHERE id = ?').get(req.params.id);
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    const { event_ids: eventIds, edition } = req.body;
+    const error = checkEditionIds(eventIds);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (edition !== undefined && (eventIds.length !== 1 || (edition !== null && !Number.isInteger(edition)))) {
+      return res.status(400).json({ error: 'edition must be a whole number and needs a single event' });
+    }
+
+    db.transaction(() => eventIds.forEach(eventId => addEdition(db, series.id, eventId, edition)))();
+    res.json({ success: true, data: getSeries(db, series.id), message: `Added ${eventIds.length} editions` });
+  } catch (error) {
+    console.error('Error adding series editions:', error);
+    res.status(500).json({ error: 'Failed to add editions' });
+  }
+});
+
+// REMOVE an event from a series
+app.delete('/api/series/:id/editions/:eventId', checkAuth, (req, res) => {
+  try {
+    if (!removeEdition(db, req.params.id, req.params.eventId)) {
+      return res.status(404).json({ error: 'Edition not found' });
+    }
+    res.json({ success: true, message: 'Edition removed' });
+  } catch (error) {
+    console.error('Error removing series edition:', error);
+    res.status(500).json({ error: 'Failed to remove edition' });
+  }
+});
+
+// Download a single event as ICS, optionally with one VEVENT per round
+app.get('/api/events/:id/ics', (req, res) => {
+  try {
+    const event = db.prepare('SELECT * FROM calendar_events WHERE id = ? AND deleted_at IS NULL').get(req.params.id);
+
+    if (!event) {
+      if (redirectMergedEvent(req, res)) return;
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const sequence = getEventSequences(db, [event.id]).get(event.id) || 0;
+    const lines = buildEventVevent(event, { sequence });
+    if (req.query.rounds === 'true') {
+      lines.push(...buildRoundVevents(event, getRounds(db, event.id), { sequence }));
+    }
+
+    const filename = `chess-event-${event.id}.ics`;
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(buildCalendar(event.title, lines));
+  } catch (error) {
+    console.error('Error generating ICS:', error);
+    res.status(500).json({ error: 'Failed to generate calendar file' });
+  }
+});
+
+// Subscription feeds: each name is a set of /api/events filters, and query
+// parameters narrow it further (/feeds/europe.ics?format=Blitz&country=Spain)
+const FEED_PRESETS = {
+  all: {},
+  special: { special: 'yes' },
+  africa: { continent: 'Africa' },
+  americas: { continent: 'Americas' },
+  asia: { continent: 'Asia' },
+  europe: { continent: 'Europe' },
+  oceania: { continent: 'Oceania' },
+  online: { continent: 'Online' },
+  classical: { format: 'Classical' },
+  rapid: { format: 'Rapid' },
+  blitz: { format: 'Blitz' },
+  bullet: { format: 'Bullet' },
+  freestyle: { format: 'Freestyle' }
+};
+const FEED_REFRESH_INTERVAL = 'PT6H';
+
+// Live events matching list filters (and ?search). Recurring events are
+// checked for an occurrence in the date range instead of their first date,
+// since the feed carries their RRULE.
+function feedEvents(filters) {
+  const filter = buildEventFilters(filters);
+  if (filter.error) return filter;
+
+  let searchWhere = '';
+  const searchParams = [];
+  if (filters.search) {
+    const ftsQuery = buildFtsQuery(filters.search);
+    if (!ftsQuery) return { error: 'search must contain at least one word' };
+    searchWhere = ' AND id IN (SELECT rowid FROM calendar_events_fts WHERE calendar_events_fts MATCH ?)';
+    searchParams.push(ftsQuery);
+  }
+
+  const range = queryDateRange(filters);
+  if (!range) {
+    return {
+      events: db.prepare(`SELECT * FROM calendar_events WHERE deleted_at IS NULL${searchWhere}${filter.where} ORDER BY start_datetime, id`)
+        .all(...searchParams, ...filter.params)
+    };
+  }
+
+  const undated = buildEventFilters({ ...filters, start_date: undefined, end_date: undefined, month: undefined, ongoing_on: undefined });
+  const oneOff = db.prepare(`
+    SELECT * FROM calendar_events
+    WHERE deleted_at IS NULL AND (recurrence_rule IS NULL OR recurrence_rule = '')${searchWhere}${filter.where}
+  `).all(...searchParams, ...filter.params);
+  const recurring = db.prepare(`
+    SELECT * FROM calendar_events
+    WHERE deleted_at IS NULL AND recurrence_rule IS NOT NULL AND recurrence_rule != ''${searchWhere}${undated.where}
+  `).all(...searchParams, ...undated.params).filter(event => {
+    try {
+      return expandOccurrences(event, { ...range, limit: 1 }).length > 0;
+    } catch (error) {
+      return true;
+    }
+  });
+
+  return {
+    events: oneOff.concat(recurring).sort((a, b) => a.start_datetime.localeCompare(b.start_datetime) || a.id - b.id)
+  };
+}
+
+// GET a subscribable ICS feed (?rounds=true adds the round schedule).
+// ETag and Last-Modified let calendar apps poll cheaply: unchanged feeds
+// answer 304 Not Modified.
+app.get('/feeds/:name.ics', (req, res) => {
+  try {
+    const name = req.params.name.toLowerCase();
+    const preset = FEED_PRESETS[name];
+    if (!preset) {
+      return res.status(404).json({ error: `Unknown feed. Available feeds: ${Object.keys(FEED_PRESETS).join(', ')}` });
+    }
+
+    const { events, error } = feedEvents({ ...req.query, ...preset });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const sequences = getEventSequences(db);
+    const lines = [];
+    events.forEach(event => {
+      const sequence = sequences.get(event.id) || 0;
+      lines.push(...buildEventVevent(event, { sequence }));
+      if (req.query.rounds === 'true') {
+        lines.push(...buildRoundVevents(event, getRounds(db, event.id), { sequence }));
+      }
+    });
+
+    const title = name === 'all' ? 'Chess Tournaments' : `Chess Tournaments - ${name.charAt(0).toUpperCase()}${name.slice(1)}`;
+    const body = buildCalendar(title, lines, { refreshInterval: FEED_REFRESH_INTERVAL });
+
+    // Every write to an event is in its history, including deletions that
+    // drop it from the feed
+    const { last_change } = db.prepare('SELECT MAX(created_at) as last_change FROM event_history').get();
+    const lastModified = [last_change, ...events.map(event => event.updated_at)]
+      .filter(Boolean)
+      .sort()
+      .pop();
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `inline; filename="chess-${name}.ics"`);
+    res.setHeader('Cache-Control', 'public, max-age=300');
+    res.setHeader('ETag', `"${crypto.createHash('sha1').update(body).digest('hex')}"`);
+    if (lastModified) {
+      res.setHeader('Last-Modified', new Date(`${lastModified.replace(' ', 'T')}Z`).toUTCString());
+    }
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    res.send(body);
+  } catch (error) {
+    if (isSearchSyntaxError(error)) {
+      return res.status(400).json({ error: 'Invalid search query' });
+    }
+    console.error('Error generating feed:', error);
+    res.status(500).json({ error: 'Failed to generate feed' });
+  }
+});
+
+// Insert a new event (with its player links) and record it in the history.
+// Returns the new id.
+function insertEvent(columns, actor) {
+  const fields = Object.keys(columns);
+  const stmt = db.prepare(`
+    INSERT INTO calendar_events (${fields.join(', ')}, created_at, updated_at)
+    VALUES (${fields.map(() => '?').join(', ')}, datetime('now'), datetime('now'))
+  `);
+
+  const info = trackEventChange(db, null, 'create', actor, () => {
+    const info = stmt.run(...fields.map(field => columns[field]));
+    if (columns.players) {
+      setEventPlayersFromText(db, info.lastInsertRowid, columns.players);
+    }
+    return info;
+  });
+  return info.lastInsertRowid;
+}
+
+// Check an event against the shared schema without saving it (used by the
+// admin bulk import dry run). ?partial=true checks only the fields present.
+app.post('/api/events/validate', checkAuth, (req, res) => {
+  const { value, errors } = validateEvent(req.body, { partial: req.query.partial === 'true' });
+  res.json({ success: true, valid: errors.length === 0, data: value, errors });
+});
+
+// CREATE new event
+app.post('/api/events', checkAuth, (req, res) => {
+  try {
+    const { value: input, errors } = validateEvent(req.body);
+
+    if (errors.length > 0) {
+      console.error('[CREATE EVENT] Validation failed:', {
+        title: req.body.title || '(missing)',
+        url: req.body.url || '(missing)',
+        errors: errors.map(error => `${error.field}: ${error.code}`)
+      });
+      const { title, url, start_datetime, end_datetime } = req.body;
+      return res.status(400).json({
+        ...validationErrorBody(errors),
+        received: { title, url, start_datetime, end_datetime }
+      });
+    }
+
+    const columns = newEventColumns(input);
+
+    // Log the event being created (helpful for debugging)
+    console.log('[CREATE EVENT] Inserting:', {
+      title: columns.title.substring(0, 50) + (columns.title.length > 50 ? '...' : ''),
+      url: columns.url,
+      start_datetime: columns.start_datetime,
+      end_datetime: columns.end_datetime,
+      location: columns.location || '(none)',
+      format: columns.format || '(none)',
+      continent: columns.continent || '(none)'
+    });
+
+    const id = insertEvent(columns, req.user);
+
+    console.log(`[CREATE EVENT] ✓ Success: ID ${id} - ${columns.title}`);
+
+    res.status(201).json({
+      success: true,
+      id,
+      message: 'Event created successfully'
+    });
+
+    // Trigger regeneration of JSON files
+    regenerateJsonFiles();
 
   } catch (error) {
     console.error('[CREATE EVENT] ✗ Database error:', {
@@ -383,35 +1591,85 @@ app.post('/api/events', checkAuth, (req, res) => {
   }
 });
 
+// Validate and apply a partial update to a live event. Returns {} on
+// success or { status, body } describing the error response.
+function updateEvent(id, input, actor) {
+  const current = db.prepare('SELECT * FROM calendar_events WHERE id = ? AND deleted_at IS NULL').get(id);
+  if (!current) {
+    return { status: 404, body: { error: 'Event not found' } };
+  }
+
+  const { value, errors } = validateEvent(input, { partial: true, current });
+  if (errors.length > 0) {
+    return { status: 400, body: validationErrorBody(errors) };
+  }
+  if (Object.keys(value).length === 0) {
+    return { status: 400, body: { error: 'No fields to update' } };
+  }
+
+  // Time control and prize columns are recomputed from their source fields
+  const updates = eventColumns(value, current);
+  
+  // Build update query dynamically
+  const fields = Object.keys(updates);
+  const setClause = fields.map(field => `${field} = ?`).join(', ');
+  const values = fields.map(field => updates[field]);
+  
+  const stmt = db.prepare(`
+    UPDATE calendar_events 
+    SET ${setClause}, updated_at = datetime('now')
+    WHERE id = ? AND deleted_at IS NULL
+  `);
+  
+  trackEventChange(db, current.id, 'update', actor, () => {
+    stmt.run(...values, current.id);
+
+    if ('players' in updates) {
+      setEventPlayersFromText(db, current.id, updates.players);
+    } else if ('format' in updates || 'time_control' in updates) {
+      // The rating list used for event strength depends on the format
+      refreshEventRatings(db, [current.id]);
+    }
+  });
+
+  return {};
+}
+
+// Remove an event for good with its rounds and player links (foreign keys
+// are not enforced, so there is no cascade)
+function removeEventRows(id) {
+  const info = db.prepare('DELETE FROM calendar_events WHERE id = ?').run(id);
+  if (info.changes > 0) {
+    db.prepare('DELETE FROM event_rounds WHERE event_id = ?').run(id);
+    db.prepare('DELETE FROM event_players WHERE event_id = ?').run(id);
+    db.prepare('DELETE FROM series_editions WHERE event_id = ?').run(id);
+  }
+  return info;
+}
+
+// Soft delete an event, or remove it with its rounds and player links when
+// permanent (admins only). Returns {} on success or { status, body }.
+function deleteEvent(id, permanent, user) {
+  if (permanent && user.role !== 'admin') {
+    return { status: 403, body: { error: 'Forbidden: permanent delete requires admin role' } };
+  }
+  
+  const softDelete = db.prepare("UPDATE calendar_events SET deleted_at = datetime('now') WHERE id = ? AND deleted_at IS NULL");
+  const info = trackEventChange(db, id, permanent ? 'permanent_delete' : 'delete', user,
+    () => permanent ? removeEventRows(id) : softDelete.run(id));
+
+  if (info.changes === 0) {
+    return { status: 404, body: { error: 'Event not found' } };
+  }
+  return {};
+}
+
 // UPDATE event
 app.put('/api/events/:id', checkAuth, (req, res) => {
   try {
-    const { id } = req.params;
-    const updates = req.body;
-    
-    // Remove fields that shouldn't be updated
-    delete updates.id;
-    delete updates.created_at;
-    
-    if (Object.keys(updates).length === 0) {
-      return res.status(400).json({ error: 'No fields to update' });
-    }
-    
-    // Build update query dynamically
-    const fields = Object.keys(updates);
-    const setClause = fields.map(field => `${field} = ?`).join(', ');
-    const values = fields.map(field => updates[field]);
-    
-    const stmt = db.prepare(`
-      UPDATE calendar_events 
-      SET ${setClause}, updated_at = datetime('now')
-      WHERE id = ? AND deleted_at IS NULL
-    `);
-    
-    const info = stmt.run(...values, id);
-    
-    if (info.changes === 0) {
-      return res.status(404).json({ error: 'Event not found' });
+    const result = updateEvent(req.params.id, req.body, req.user);
+    if (result.status) {
+      return res.status(result.status).json(result.body);
     }
     
     res.json({ 
@@ -431,27 +1689,15 @@ app.put('/api/events/:id', checkAuth, (req, res) => {
 // DELETE event (soft delete)
 app.delete('/api/events/:id', checkAuth, (req, res) => {
   try {
-    const { id } = req.params;
-    const { permanent } = req.query;
-    
-    let stmt;
-    if (permanent === 'true') {
-      // Permanent delete
-      stmt = db.prepare('DELETE FROM calendar_events WHERE id = ?');
-    } else {
-      // Soft delete
-      stmt = db.prepare("UPDATE calendar_events SET deleted_at = datetime('now') WHERE id = ? AND deleted_at IS NULL");
+    const permanent = req.query.permanent === 'true';
+    const result = deleteEvent(req.params.id, permanent, req.user);
+    if (result.status) {
+      return res.status(result.status).json(result.body);
     }
-    
-    const info = stmt.run(id);
-    
-    if (info.changes === 0) {
-      return res.status(404).json({ error: 'Event not found' });
-    }
-    
-    res.json({ 
+
+    res.json({
       success: true,
-      message: permanent === 'true' ? 'Event permanently deleted' : 'Event deleted successfully'
+      message: permanent ? 'Event permanently deleted' : 'Event deleted successfully'
     });
     
     // Trigger regeneration of JSON files
@@ -463,13 +1709,221 @@ app.delete('/api/events/:id', checkAuth, (req, res) => {
   }
 });
 
+const MAX_BULK_OPERATIONS = 1000;
+const BULK_MODES = ['all_or_nothing', 'best_effort'];
+
+// Run one bulk operation. Returns the per-item result; failures are
+// { status: 'failed', error, errors? }.
+function runBulkOperation(operation, user) {
+  const { op, id, data, permanent } = operation || {};
+
+  if (op === 'create') {
+    const { value, errors } = validateEvent(data);
+    if (errors.length > 0) {
+      return { status: 'failed', ...validationErrorBody(errors) };
+    }
+    return { status: 'created', id: insertEvent(newEventColumns(value), user) };
+  }
+
+  if (op === 'update' || op === 'delete') {
+    if (!Number.isInteger(Number(id)) || id === null || id === '') {
+      return { status: 'failed', error: `${op} needs the event id` };
+    }
+    const result = op === 'update' ? updateEvent(id, data, user) : deleteEvent(id, permanent === true, user);
+    if (result.status) {
+      return { status: 'failed', id, ...result.body };
+    }
+    return { status: op === 'update' ? 'updated' : 'deleted', id };
+  }
+
+  return { status: 'failed', error: 'op must be create, update or delete' };
+}
+
+// Bulk create/update/delete in one transaction after an automatic backup.
+// Body: { mode, operations: [{ op: 'create', data }, { op: 'update', id, data },
+// { op: 'delete', id, permanent }] }. In all_or_nothing mode (the default)
+// any failure rolls everything back; best_effort keeps the operations that
+// succeeded. Every operation is attempted so all errors are reported.
+app.post('/api/events/bulk', checkAuth, async (req, res) => {
+  try {
+    const { operations, mode = 'all_or_nothing' } = req.body;
+
+    if (!BULK_MODES.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of: ${BULK_MODES.join(', ')}` });
+    }
+    if (!Array.isArray(operations) || operations.length === 0) {
+      return res.status(400).json({ error: 'operations must be a non-empty array' });
+    }
+    if (operations.length > MAX_BULK_OPERATIONS) {
+      return res.status(400).json({ error: `At most ${MAX_BULK_OPERATIONS} operations per request` });
+    }
+
+    const backup = await createBackup('bulk');
+    if (!backup.success) {
+      return res.status(500).json({ error: 'Failed to create backup before bulk changes' });
+    }
+
+    const results = [];
+    const rollback = new Error('bulk rollback');
+
+    try {
+      db.transaction(() => {
+        operations.forEach((operation, index) => {
+          // Each operation runs in a savepoint, so a failing one leaves no
+          // partial writes behind
+          let result;
+          try {
+            result = db.transaction(() => runBulkOperation(operation, req.user))();
+          } catch (error) {
+            console.error(`[BULK] Operation ${index} failed:`, error);
+            result = { status: 'failed', error: error.message };
+          }
+          results.push({ index, op: operation && operation.op, ...result });
+        });
+
+        if (mode === 'all_or_nothing' && results.some(result => result.status === 'failed')) {
+          throw rollback;
+        }
+      })();
+    } catch (error) {
+      if (error !== rollback) throw error;
+      results.forEach(result => {
+        if (result.status !== 'failed') {
+          result.status = 'rolled_back';
+          if (result.op === 'create') delete result.id;
+        }
+      });
+    }
+
+    const failed = results.filter(result => result.status === 'failed').length;
+    const applied = results.filter(result => ['created', 'updated', 'deleted'].includes(result.status)).length;
+    console.log(`[BULK] ${req.user.username}: ${applied} applied, ${failed} failed (${mode})`);
+
+    res.status(mode === 'all_or_nothing' && failed > 0 ? 400 : 200).json({
+      success: failed === 0,
+      mode,
+      backup: backup.backupName,
+      summary: { total: results.length, applied, failed },
+      results,
+      message: failed === 0
+        ? `Applied ${applied} operations`
+        : mode === 'all_or_nothing'
+          ? `${failed} operations failed; no changes were made`
+          : `Applied ${applied} operations, ${failed} failed`
+    });
+
+    if (applied > 0) {
+      regenerateJsonFiles();
+    }
+  } catch (error) {
+    console.error('Error running bulk operations:', error);
+    res.status(500).json({ error: 'Failed to run bulk operations' });
+  }
+});
+
+// Merge duplicates into one event after an automatic backup.
+// Body: { survivor_id, loser_ids: [..], fields: { url: 12, prize_fund: 34 } }
+// where fields picks the event each value is kept from (see event-merge.js).
+// The losers are soft-deleted and their IDs redirect to the survivor.
+app.post('/api/events/merge', checkAuth, async (req, res) => {
+  try {
+    const { survivor_id: survivorId, loser_ids: loserIds, fields = {} } = req.body;
+
+    const plan = planMerge(db, survivorId, loserIds, fields);
+    if (plan.status) {
+      return res.status(plan.status).json(plan.body);
+    }
+
+    const backup = await createBackup('merge');
+    if (!backup.success) {
+      return res.status(500).json({ error: 'Failed to create backup before merging' });
+    }
+
+    const result = applyMerge(db, plan, req.user);
+
+    console.log(`[MERGE] ${req.user.username} merged ${loserIds.join(', ')} into ${survivorId}`);
+    res.json({
+      success: true,
+      id: survivorId,
+      merged: loserIds,
+      sources: result.sources,
+      players_added: result.players_added,
+      backup: backup.backupName,
+      message: `Merged ${loserIds.length} event${loserIds.length === 1 ? '' : 's'} into event ${survivorId}`
+    });
+
+    regenerateJsonFiles();
+  } catch (error) {
+    console.error('Error merging events:', error);
+    res.status(500).json({ error: 'Failed to merge events' });
+  }
+});
+
+// Import an iCalendar file (see ics-import.js). Body: { ics, dry_run,
+// include: [keys], threshold }. dry_run (the default) only returns the
+// plan; otherwise it is applied after an automatic backup, creating the
+// similar events whose keys are in include.
+app.post('/api/events/import/ics', checkAuth, async (req, res) => {
+  try {
+    const { ics, dry_run: dryRun = true, include = [], threshold } = req.body;
+
+    if (typeof ics !== 'string' || !ics.trim()) {
+      return res.status(400).json({ error: 'ics must be the contents of an .ics file' });
+    }
+    if (!Array.isArray(include)) {
+      return res.status(400).json({ error: 'include must be an array of item keys' });
+    }
+    if (threshold !== undefined && !(threshold >= 0 && threshold <= 1)) {
+      return res.status(400).json({ error: 'threshold must be between 0 and 1' });
+    }
+
+    let calendar;
+    try {
+      calendar = parseIcs(ics);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const plan = planIcsImport(db, calendar, threshold !== undefined ? { threshold } : {});
+    if (dryRun !== false) {
+      return res.json({ success: true, dry_run: true, ...plan });
+    }
+
+    const backup = await createBackup('import');
+    if (!backup.success) {
+      return res.status(500).json({ error: 'Failed to create backup before importing' });
+    }
+
+    const note = `Imported from ${calendar.name ? `"${calendar.name}"` : 'an .ics file'}`;
+    const result = applyIcsImport(db, plan, req.user, { include, note });
+
+    console.log(`[IMPORT] ${req.user.username} imported ${result.created.length} new and ${result.updated.length} changed events from ${calendar.name || 'an .ics file'}`);
+    res.json({
+      success: true,
+      dry_run: false,
+      ...plan,
+      created: result.created,
+      updated: result.updated,
+      backup: backup.backupName,
+      message: `Created ${result.created.length} events, updated ${result.updated.length}`
+    });
+
+    if (result.created.length > 0 || result.updated.length > 0) {
+      regenerateJsonFiles();
+    }
+  } catch (error) {
+    console.error('Error importing calendar:', error);
+    res.status(500).json({ error: 'Failed to import calendar' });
+  }
+});
+
 // RESTORE deleted event
 app.post('/api/events/:id/restore', checkAuth, (req, res) => {
   try {
     const { id } = req.params;
     
     const stmt = db.prepare("UPDATE calendar_events SET deleted_at = NULL WHERE id = ?");
-    const info = stmt.run(id);
+    const info = trackEventChange(db, id, 'restore', req.user, () => stmt.run(id));
     
     if (info.changes === 0) {
       return res.status(404).json({ error: 'Event not found' });
@@ -484,8 +1938,53 @@ app.post('/api/events/:id/restore', checkAuth, (req, res) => {
     regenerateJsonFiles();
     
   } catch (error) {
-    console.error('Error restoring event:', error);
-    res.status(500).json({ error: 'Failed to restore event' });
+    console.error('Error restoring event:', error);
+    res.status(500).json({ error: 'Failed to restore event' });
+  }
+});
+
+// Change history of an event, newest first (?snapshots=true includes the
+// full row after each change)
+app.get('/api/events/:id/history', requireViewer, (req, res) => {
+  try {
+    const history = getEventHistory(db, req.params.id, { includeSnapshots: req.query.snapshots === 'true' });
+
+    if (history.length === 0 && !db.prepare('SELECT id FROM calendar_events WHERE id = ?').get(req.params.id)) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    res.json({ success: true, data: history, total: history.length });
+  } catch (error) {
+    console.error('Error fetching event history:', error);
+    res.status(500).json({ error: 'Failed to fetch event history' });
+  }
+});
+
+// Revert an event to the state recorded in one of its history versions
+app.post('/api/events/:id/revert/:version', checkAuth, (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const version = parseInt(req.params.version);
+
+    if (!getEventVersion(db, id, version)) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    const newVersion = revertEvent(db, id, version, req.user);
+    console.log(`[HISTORY] ${req.user.username} reverted event ${id} to version ${version}`);
+
+    res.json({
+      success: true,
+      version: newVersion,
+      message: newVersion ? `Event reverted to version ${version}` : `Event already matches version ${version}`
+    });
+
+    if (newVersion) {
+      regenerateJsonFiles();
+    }
+  } catch (error) {
+    console.error('Error reverting event:', error);
+    res.status(500).json({ error: 'Failed to revert event' });
   }
 });
 
@@ -537,7 +2036,7 @@ app.get('/manage', (req, res) => {
 });
 
 // Find duplicate events
-app.get('/api/duplicates', checkAuth, (req, res) => {
+app.get('/api/duplicates', requireViewer, (req, res) => {
   try {
     // Find events with same title, location, and start_datetime
     const duplicatesQuery = `
@@ -589,6 +2088,64 @@ app.get('/api/duplicates', checkAuth, (req, res) => {
   }
 });
 
+// Likely duplicates that are not exact copies, scored on title, dates,
+// location, URL and players (see duplicate-detection.js)
+// ?threshold=0.6&max_days_apart=30&event_id=&include_dismissed=true&limit=200
+app.get('/api/duplicates/candidates', requireViewer, (req, res) => {
+  try {
+    const threshold = req.query.threshold !== undefined ? parseFloat(req.query.threshold) : DEFAULT_THRESHOLD;
+    const maxDaysApart = req.query.max_days_apart !== undefined ? parseInt(req.query.max_days_apart) : DEFAULT_MAX_DAYS_APART;
+    if (isNaN(threshold) || threshold < 0 || threshold > 1) {
+      return res.status(400).json({ error: 'threshold must be between 0 and 1' });
+    }
+    if (isNaN(maxDaysApart) || maxDaysApart < 1 || maxDaysApart > 365) {
+      return res.status(400).json({ error: 'max_days_apart must be between 1 and 365' });
+    }
+
+    const result = findDuplicateCandidates(db, {
+      threshold,
+      maxDaysApart,
+      eventId: req.query.event_id ? parseInt(req.query.event_id) : null,
+      includeDismissed: req.query.include_dismissed === 'true',
+      limit: Math.min(parseInt(req.query.limit) || 200, 1000)
+    });
+
+    res.json({ success: true, data: result.data, total: result.total, threshold, max_days_apart: maxDaysApart });
+  } catch (error) {
+    console.error('Error finding duplicate candidates:', error);
+    res.status(500).json({ error: 'Failed to find duplicate candidates' });
+  }
+});
+
+// Mark a candidate pair as not a duplicate { event_ids: [a, b] }
+app.post('/api/duplicates/dismissals', checkAuth, (req, res) => {
+  try {
+    const { event_ids: ids } = req.body;
+    if (!Array.isArray(ids) || ids.length !== 2 || !ids.every(id => Number.isInteger(id)) || ids[0] === ids[1]) {
+      return res.status(400).json({ error: 'event_ids must be two different event ids' });
+    }
+
+    dismissDuplicatePair(db, ids[0], ids[1], req.user);
+    res.json({ success: true, message: `Events ${ids[0]} and ${ids[1]} marked as not duplicates` });
+  } catch (error) {
+    console.error('Error dismissing duplicate pair:', error);
+    res.status(500).json({ error: 'Failed to dismiss duplicate pair' });
+  }
+});
+
+// Suggest a dismissed pair again
+app.delete('/api/duplicates/dismissals/:a/:b', checkAuth, (req, res) => {
+  try {
+    if (!undismissDuplicatePair(db, parseInt(req.params.a), parseInt(req.params.b))) {
+      return res.status(404).json({ error: 'Dismissal not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error removing duplicate dismissal:', error);
+    res.status(500).json({ error: 'Failed to remove duplicate dismissal' });
+  }
+});
+
 // Delete duplicates (keep the oldest one)
 app.post('/api/duplicates/delete', checkAuth, async (req, res) => {
   try {
@@ -632,7 +2189,8 @@ app.post('/api/duplicates/delete', checkAuth, async (req, res) => {
         
         // Delete all but the first (oldest) one
         for (let i = 1; i < events.length; i++) {
-          deleteStmt.run(events[i].id);
+          trackEventChange(db, events[i].id, 'duplicate_delete', req.user, () => deleteStmt.run(events[i].id),
+            `Duplicate of event #${events[0].id}`);
           deletedCount++;
         }
       });
@@ -657,10 +2215,316 @@ app.post('/api/duplicates/delete', checkAuth, async (req, res) => {
   }
 });
 
+// Authentication and user management endpoints
+
+// Log in with username and password; returns a session token
+const loginThrottle = createLoginThrottle();
+
+app.post('/api/auth/login', (req, res) => {
+  try {
+    const { username, password, remember_me } = req.body;
+
+    if (!username || !password) {
+      return res.status(400).json({ error: 'username and password are required' });
+    }
+
+    const retryAfter = loginThrottle.retryAfter(req.ip, username);
+    if (retryAfter > 0) {
+      console.log(`[AUTH] Refused login for "${String(username).substring(0, 32)}" from ${req.ip}: too many failed attempts`);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: `Too many failed login attempts. Try again in ${Math.ceil(retryAfter / 60)} minutes.`,
+        retry_after: retryAfter
+      });
+    }
+
+    const user = authenticate(db, username, password);
+    if (!user) {
+      loginThrottle.recordFailure(req.ip, username);
+      console.log(`[AUTH] Failed login for "${String(username).substring(0, 32)}"`);
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+    loginThrottle.recordSuccess(username);
+
+    const session = createSession(db, user.id, Boolean(remember_me));
+    console.log(`[AUTH] ${user.username} logged in`);
+
+    res.json({
+      success: true,
+      token: session.token,
+      expires_at: session.expires_at,
+      user: publicUser(user)
+    });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+});
+
+app.post('/api/auth/logout', requireViewer, (req, res) => {
+  try {
+    deleteSession(db, req.headers.authorization.replace('Bearer ', '').trim());
+    res.json({ success: true, message: 'Logged out' });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+// Current user, used by the admin panel to show role-specific tabs
+app.get('/api/auth/me', requireViewer, (req, res) => {
+  const { session_id, ...user } = req.user;
+  res.json({ success: true, data: publicUser(user) });
+});
+
+// Change own password
+app.put('/api/auth/password', requireViewer, (req, res) => {
+  try {
+    const { current_password, new_password } = req.body;
+
+    if (!verifyPassword(current_password, req.user.password_hash)) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+    const errors = validateUserInput({ password: new_password }, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed: ' + errors.join(', '), details: errors });
+    }
+
+    db.prepare("UPDATE users SET password_hash = ?, updated_at = datetime('now') WHERE id = ?")
+      .run(hashPassword(new_password), req.user.id);
+    // Sign out other devices but keep the current session
+    db.prepare('DELETE FROM sessions WHERE user_id = ? AND id != ?').run(req.user.id, req.user.session_id);
+
+    res.json({ success: true, message: 'Password changed' });
+  } catch (error) {
+    console.error('Error changing password:', error);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+// List users
+app.get('/api/users', requireAdmin, (req, res) => {
+  try {
+    const users = db.prepare('SELECT * FROM users ORDER BY username ASC').all().map(publicUser);
+    res.json({ success: true, data: users, total: users.length });
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
+
+// Create a user
+app.post('/api/users', requireAdmin, (req, res) => {
+  try {
+    const { username, password, role, display_name } = req.body;
+
+    const errors = validateUserInput({ username, password, role });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed: ' + errors.join(', '), details: errors });
+    }
+    if (db.prepare('SELECT id FROM users WHERE username = ?').get(username.toLowerCase())) {
+      return res.status(409).json({ error: 'Username already exists' });
+    }
+
+    const user = createUser(db, { username, password, role, display_name });
+    console.log(`[USERS] ${req.user.username} created ${user.username} (${user.role})`);
+
+    res.status(201).json({ success: true, data: publicUser(user), message: 'User created successfully' });
+  } catch (error) {
+    console.error('Error creating user:', error);
+    res.status(500).json({ error: 'Failed to create user' });
+  }
+});
+
+// Update role, display name, active flag or password
+app.put('/api/users/:id', requireAdmin, (req, res) => {
+  try {
+    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { role, display_name, active, password } = req.body;
+    const errors = validateUserInput({ role, password }, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed: ' + errors.join(', '), details: errors });
+    }
+
+    // Keep at least one active admin
+    const losesAdmin = user.role === 'admin' && ((role !== undefined && role !== 'admin') || active === false);
+    if (losesAdmin) {
+      const { count } = db.prepare("SELECT COUNT(*) as count FROM users WHERE role = 'admin' AND active = 1 AND id != ?").get(user.id);
+      if (count === 0) {
+        return res.status(400).json({ error: 'Cannot remove the last active admin' });
+      }
+    }
+
+    const updates = {};
+    if (role !== undefined) updates.role = role;
+    if (display_name !== undefined) updates.display_name = display_name || null;
+    if (active !== undefined) updates.active = active ? 1 : 0;
+    if (password !== undefined) updates.password_hash = hashPassword(password);
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    const fields = Object.keys(updates);
+    db.prepare(`UPDATE users SET ${fields.map(field => `${field} = ?`).join(', ')}, updated_at = datetime('now') WHERE id = ?`)
+      .run(...fields.map(field => updates[field]), user.id);
+
+    // Role, password or status changes take effect on the next login
+    if (updates.password_hash || updates.active === 0 || updates.role) {
+      deleteUserSessions(db, user.id);
+    }
+
+    console.log(`[USERS] ${req.user.username} updated ${user.username}: ${fields.join(', ')}`);
+    res.json({ success: true, data: publicUser(db.prepare('SELECT * FROM users WHERE id = ?').get(user.id)), message: 'User updated successfully' });
+  } catch (error) {
+    console.error('Error updating user:', error);
+    res.status(500).json({ error: 'Failed to update user' });
+  }
+});
+
+// Delete a user
+app.delete('/api/users/:id', requireAdmin, (req, res) => {
+  try {
+    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user.id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+
+    deleteUserSessions(db, user.id);
+    db.prepare('DELETE FROM users WHERE id = ?').run(user.id);
+    console.log(`[USERS] ${req.user.username} deleted ${user.username}`);
+
+    res.json({ success: true, message: 'User deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting user:', error);
+    res.status(500).json({ error: 'Failed to delete user' });
+  }
+});
+
+// API keys for partner sites (see api-keys.js)
+app.get('/api/api-keys', requireAdmin, (req, res) => {
+  try {
+    const keys = db.prepare(`
+      SELECT k.*,
+        COALESCE((SELECT requests FROM api_key_usage WHERE api_key_id = k.id AND day = date('now')), 0) as requests_today,
+        COALESCE((SELECT SUM(requests) FROM api_key_usage WHERE api_key_id = k.id AND day >= date('now', '-6 days')), 0) as requests_7d
+      FROM api_keys k
+      ORDER BY k.revoked_at IS NOT NULL, k.name ASC
+    `).all().map(publicApiKey);
+    const anonymous = {
+      requests_today: getUsage(db, ANONYMOUS_KEY_ID, 1).reduce((sum, row) => sum + row.requests, 0),
+      requests_7d: getUsage(db, ANONYMOUS_KEY_ID, 7).reduce((sum, row) => sum + row.requests, 0)
+    };
+    res.json({ success: true, data: keys, total: keys.length, anonymous });
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({ error: 'Failed to fetch API keys' });
+  }
+});
+
+// Issue a key. The plaintext key is only returned in this response.
+app.post('/api/api-keys', requireAdmin, (req, res) => {
+  try {
+    const errors = validateApiKeyInput(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed: ' + errors.join(', '), details: errors });
+    }
+
+    const { key, ...apiKey } = createApiKey(db, req.body, req.user.username);
+    console.log(`[API KEYS] ${req.user.username} issued key ${apiKey.key_prefix}… for ${apiKey.name}`);
+
+    res.status(201).json({ success: true, data: publicApiKey(apiKey), key, message: 'API key created. Copy it now, it will not be shown again.' });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+// Change name, contact or limits
+app.put('/api/api-keys/:id', requireAdmin, (req, res) => {
+  try {
+    const apiKey = db.prepare('SELECT * FROM api_keys WHERE id = ?').get(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    const errors = validateApiKeyInput(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed: ' + errors.join(', '), details: errors });
+    }
+
+    const updates = {};
+    const { name, contact, rate_limit_per_minute, daily_quota } = req.body;
+    if (name !== undefined) updates.name = String(name).trim();
+    if (contact !== undefined) updates.contact = contact || null;
+    if (rate_limit_per_minute !== undefined) updates.rate_limit_per_minute = parseInt(rate_limit_per_minute);
+    if (daily_quota !== undefined) updates.daily_quota = parseInt(daily_quota);
+
+    const fields = Object.keys(updates);
+    if (fields.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    db.prepare(`UPDATE api_keys SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`)
+      .run(...fields.map(field => updates[field]), apiKey.id);
+
+    console.log(`[API KEYS] ${req.user.username} updated ${apiKey.key_prefix}…: ${fields.join(', ')}`);
+    res.json({ success: true, data: publicApiKey(db.prepare('SELECT * FROM api_keys WHERE id = ?').get(apiKey.id)), message: 'API key updated successfully' });
+  } catch (error) {
+    console.error('Error updating API key:', error);
+    res.status(500).json({ error: 'Failed to update API key' });
+  }
+});
+
+// Revoke a key. The row is kept so its usage history stays readable.
+app.delete('/api/api-keys/:id', requireAdmin, (req, res) => {
+  try {
+    const apiKey = db.prepare('SELECT * FROM api_keys WHERE id = ?').get(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    if (apiKey.revoked_at) {
+      return res.status(400).json({ error: 'API key is already revoked' });
+    }
+
+    db.prepare("UPDATE api_keys SET revoked_at = datetime('now') WHERE id = ?").run(apiKey.id);
+    console.log(`[API KEYS] ${req.user.username} revoked ${apiKey.key_prefix}… (${apiKey.name})`);
+
+    res.json({ success: true, message: 'API key revoked' });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+// Daily usage counters, newest first (?days=30, max 365)
+app.get('/api/api-keys/:id/usage', requireAdmin, (req, res) => {
+  try {
+    const id = req.params.id === 'anonymous' ? ANONYMOUS_KEY_ID : parseInt(req.params.id);
+    if (id !== ANONYMOUS_KEY_ID && !db.prepare('SELECT id FROM api_keys WHERE id = ?').get(id)) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+    const usage = getUsage(db, id, days);
+    res.json({ success: true, data: usage, total: usage.length });
+  } catch (error) {
+    console.error('Error fetching API key usage:', error);
+    res.status(500).json({ error: 'Failed to fetch API key usage' });
+  }
+});
+
 // Backup management endpoints
 
 // List all backups
-app.get('/api/backups', checkAuth, (req, res) => {
+app.get('/api/backups', requireAdmin, (req, res) => {
   try {
     const backups = listBackups();
     res.json({ 
@@ -674,10 +2538,101 @@ app.get('/api/backups', checkAuth, (req, res) => {
   }
 });
 
+// Off-site backups. Registered before the /api/backups/:filename routes.
+function requireOffsite(req, res, next) {
+  if (!offsiteStore) {
+    return res.status(400).json({ error: 'Off-site storage is not configured (set BACKUP_S3_BUCKET)' });
+  }
+  next();
+}
+
+// List backups in remote storage
+app.get('/api/backups/remote', requireAdmin, async (req, res) => {
+  if (!offsiteStore) {
+    return res.json({ success: true, configured: false, data: [], total: 0 });
+  }
+
+  try {
+    const backups = await offsiteStore.list();
+    const { endpoint, bucket, prefix, compression, encryptionKey, autoUpload } = offsiteStore.config;
+    res.json({
+      success: true,
+      configured: true,
+      storage: { endpoint, bucket, prefix, compression, encrypted: Boolean(encryptionKey), auto_upload: autoUpload },
+      data: backups,
+      total: backups.length
+    });
+  } catch (error) {
+    console.error('Error listing remote backups:', error);
+    res.status(502).json({ error: `Failed to list remote backups: ${error.message}` });
+  }
+});
+
+// Copy a remote backup into the local backups folder { key }
+app.post('/api/backups/remote/fetch', requireAdmin, requireOffsite, async (req, res) => {
+  try {
+    const { key } = req.body;
+    if (!key) {
+      return res.status(400).json({ error: 'key is required' });
+    }
+
+    const filename = await fetchRemoteBackup(key);
+    res.json({ success: true, filename, message: `Fetched ${key} as ${filename}` });
+  } catch (error) {
+    console.error('Error fetching remote backup:', error);
+    res.status(502).json({ error: `Failed to fetch remote backup: ${error.message}` });
+  }
+});
+
+// Restore the database from a remote backup { key }
+app.post('/api/backups/remote/restore', requireAdmin, requireOffsite, async (req, res) => {
+  try {
+    const { key } = req.body;
+    if (!key) {
+      return res.status(400).json({ error: 'key is required' });
+    }
+
+    const filename = await fetchRemoteBackup(key);
+    const result = await restoreFromBackup(filename);
+    if (!result.success) {
+      return res.status(500).json({ error: result.error });
+    }
+
+    res.json({
+      success: true,
+      message: result.message,
+      filename,
+      preRestoreBackup: result.preRestoreBackup,
+      landingServers: result.landingServers
+    });
+  } catch (error) {
+    console.error('Error restoring remote backup:', error);
+    res.status(502).json({ error: `Failed to restore remote backup: ${error.message}` });
+  }
+});
+
+// Upload a local backup to remote storage
+app.post('/api/backups/:filename/upload', requireAdmin, requireOffsite, requireBackupName, async (req, res) => {
+  try {
+    const result = await uploadBackup(req.params.filename);
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({ success: true, key: result.key, size: result.size, message: `Uploaded to ${result.key}` });
+  } catch (error) {
+    console.error('Error uploading backup:', error);
+    res.status(502).json({ error: `Failed to upload backup: ${error.message}` });
+  }
+});
+
 // Create manual backup
-app.post('/api/backups', checkAuth, async (req, res) => {
+app.post('/api/backups', requireAdmin, async (req, res) => {
   try {
     const { reason = 'manual' } = req.body;
+    // The reason is part of the file name; scheduled tiers would be pruned
+    if (!/^[a-z0-9-]{1,40}$/.test(reason) || SCHEDULED_TIERS.includes(reason)) {
+      return res.status(400).json({ error: 'reason must be lowercase letters, digits and dashes, and not a scheduled tier' });
+    }
     const backup = await createBackup(reason);
     
     if (backup.success) {
@@ -696,8 +2651,120 @@ app.post('/api/backups', checkAuth, async (req, res) => {
   }
 });
 
+// Backup schedule, retention and the result of the last run
+app.get('/api/backups/schedule', requireAdmin, (req, res) => {
+  try {
+    res.json({ success: true, data: backupScheduler.status() });
+  } catch (error) {
+    console.error('Error fetching backup schedule:', error);
+    res.status(500).json({ error: 'Failed to fetch backup schedule' });
+  }
+});
+
+// Run the scheduled backup and pruning now
+app.post('/api/backups/schedule/run', requireAdmin, async (req, res) => {
+  try {
+    const result = await backupScheduler.run();
+    if (result.error) {
+      return res.status(500).json({ error: result.error, data: result });
+    }
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Error running scheduled backup:', error);
+    res.status(500).json({ error: 'Failed to run scheduled backup' });
+  }
+});
+
+// Backup routes only take plain backup file names, never paths
+function requireBackupName(req, res, next) {
+  if (!BACKUP_NAME.test(req.params.filename)) {
+    return res.status(400).json({ error: 'Invalid backup file name' });
+  }
+  next();
+}
+
+// Pin or unpin a backup { pinned: true|false }
+app.put('/api/backups/:filename/pin', requireAdmin, requireBackupName, (req, res) => {
+  try {
+    const { filename } = req.params;
+    const result = setBackupPinned(filename, req.body.pinned !== false);
+
+    if (result.success) {
+      res.json({ success: true, data: result.metadata });
+    } else {
+      res.status(404).json({ error: result.error });
+    }
+  } catch (error) {
+    console.error('Error pinning backup:', error);
+    res.status(500).json({ error: 'Failed to pin backup' });
+  }
+});
+
+// Events added, removed and changed in the live database since a backup
+app.get('/api/backups/:filename/diff', requireAdmin, requireBackupName, (req, res) => {
+  const { filename } = req.params;
+  const backupPath = path.join(BACKUP_DIR, filename);
+  if (!fs.existsSync(backupPath)) {
+    return res.status(404).json({ error: 'Backup file not found' });
+  }
+
+  let backupDb;
+  try {
+    backupDb = openBackup(backupPath);
+    res.json({ success: true, backup: filename, data: diffBackup(db, backupDb) });
+  } catch (error) {
+    console.error('Error comparing backup:', error);
+    res.status(500).json({ error: 'Failed to compare backup' });
+  } finally {
+    if (backupDb) backupDb.close();
+  }
+});
+
+// Restore selected events from a backup { ids: [...] }, leaving everything
+// else as it is
+app.post('/api/backups/:filename/restore-events', requireAdmin, requireBackupName, async (req, res) => {
+  const { filename } = req.params;
+  const { ids } = req.body;
+  const backupPath = path.join(BACKUP_DIR, filename);
+
+  if (!Array.isArray(ids) || ids.length === 0 || !ids.every(id => Number.isInteger(id))) {
+    return res.status(400).json({ error: 'ids must be a non-empty array of event ids' });
+  }
+  if (!fs.existsSync(backupPath)) {
+    return res.status(404).json({ error: 'Backup file not found' });
+  }
+
+  let backupDb;
+  try {
+    backupDb = openBackup(backupPath);
+
+    const backup = await createBackup('pre-event-restore');
+    if (!backup.success) {
+      return res.status(500).json({ error: 'Failed to create backup before restoring events' });
+    }
+
+    const results = restoreEventsFromBackup(db, backupDb, ids, req.user, `Restored from backup ${filename}`);
+    const changed = results.filter(result => ['restored', 'deleted'].includes(result.result)).length;
+    if (changed > 0) {
+      regenerateJsonFiles();
+    }
+
+    res.json({
+      success: true,
+      backup: backup.backupName,
+      results,
+      message: `Restored ${changed} of ${ids.length} events from ${filename}`
+    });
+  } catch (error) {
+    console.error('Error restoring events from backup:', error);
+    res.status(500).json({ error: 'Failed to restore events from backup' });
+  } finally {
+    if (backupDb) backupDb.close();
+  }
+});
+
 // Restore from backup
-app.post('/api/backups/:filename/restore', checkAuth, async (req, res) => {
+app.post('/api/backups/:filename/restore', requireAdmin, requireBackupName, async (req, res) => {
   try {
     const { filename } = req.params;
     const result = await restoreFromBackup(filename);
@@ -707,7 +2774,7 @@ app.post('/api/backups/:filename/restore', checkAuth, async (req, res) => {
         success: true,
         message: result.message,
         preRestoreBackup: result.preRestoreBackup,
-        warning: 'Server restart required to complete restoration. Please restart the API server.'
+        landingServers: result.landingServers
       });
     } else {
       res.status(500).json({ error: result.error });
@@ -719,7 +2786,7 @@ app.post('/api/backups/:filename/restore', checkAuth, async (req, res) => {
 });
 
 // Delete backup
-app.delete('/api/backups/:filename', checkAuth, (req, res) => {
+app.delete('/api/backups/:filename', requireAdmin, requireBackupName, (req, res) => {
   try {
     const { filename } = req.params;
     const result = deleteBackup(filename);
@@ -739,7 +2806,7 @@ app.delete('/api/backups/:filename', checkAuth, (req, res) => {
 });
 
 // Download backup file
-app.get('/api/backups/:filename/download', checkAuth, (req, res) => {
+app.get('/api/backups/:filename/download', requireAdmin, requireBackupName, (req, res) => {
   try {
     const { filename } = req.params;
     const backupPath = path.join(BACKUP_DIR, filename);
@@ -761,7 +2828,7 @@ app.get('/api/backups/:filename/download', checkAuth, (req, res) => {
 });
 
 // Export database as CSV
-app.get('/api/export/csv', checkAuth, (req, res) => {
+app.get('/api/export/csv', requireViewer, (req, res) => {
   try {
     // Query all non-deleted events
     const events = db.prepare(`
@@ -887,4 +2954,18 @@ app.listen(PORT, () => {
   console.log(`API Server running on port ${PORT}`);
   console.log(`Admin interface: http://localhost:${PORT}/admin`);
   console.log(`Management dashboard: http://localhost:${PORT}/manage`);
-});
\ No newline at end of file
+});
+
+// Scheduled trash purge: once shortly after startup, then every few hours
+function runScheduledTrashPurge() {
+  purgeTrash({ note: 'Purged after the retention period' })
+    .catch(error => console.error('Error purging trash:', error));
+}
+
+if (TRASH_RETENTION_DAYS > 0) {
+  setTimeout(runScheduledTrashPurge, 60 * 1000).unref();
+  setInterval(runScheduledTrashPurge, TRASH_PURGE_INTERVAL_MS).unref();
+  console.log(`🗑️  Deleted events are purged after ${TRASH_RETENTION_DAYS} days`);
+}
+
+backupScheduler.start();
\ No newline at end of file
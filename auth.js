@@ -0,0 +1,225 @@
+// User accounts, password hashing and login sessions
+//
+// Passwords are hashed with scrypt and a per-user salt. A login creates a
+// random session token; only its SHA-256 hash is stored, so a copy of the
+// database (or a backup) cannot be used to take over a session.
+
+const crypto = require('crypto');
+
+const ROLES = ['admin', 'editor', 'viewer'];
+
+const SESSION_HOURS = 12;
+const REMEMBER_ME_DAYS = 7;
+const MIN_PASSWORD_LENGTH = 10;
+
+const SCRYPT_KEYLEN = 64;
+
+// Failed logins allowed per username and per IP within the window before
+// further attempts are refused until it ends
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const MAX_FAILED_LOGINS_PER_USERNAME = 5;
+const MAX_FAILED_LOGINS_PER_IP = 20;
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEYLEN).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Never send password hashes to clients
+function publicUser(user) {
+  if (!user) return null;
+  const { password_hash, ...rest } = user;
+  return { ...rest, active: Boolean(user.active) };
+}
+
+// Validate fields for creating (all required) or updating (partial) a user.
+// Returns a list of error messages.
+function validateUserInput(input, { partial = false } = {}) {
+  const errors = [];
+
+  if (!partial || input.username !== undefined) {
+    if (!/^[a-z0-9._-]{3,32}$/i.test(input.username || '')) {
+      errors.push('username must be 3-32 characters: letters, digits, dot, dash or underscore');
+    }
+  }
+  if (!partial || input.password !== undefined) {
+    if (typeof input.password !== 'string' || input.password.length < MIN_PASSWORD_LENGTH) {
+      errors.push(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+  }
+  if (!partial || input.role !== undefined) {
+    if (!ROLES.includes(input.role)) {
+      errors.push(`role must be one of: ${ROLES.join(', ')}`);
+    }
+  }
+
+  return errors;
+}
+
+function createUser(db, { username, password, role, display_name }) {
+  const info = db.prepare(`
+    INSERT INTO users (username, password_hash, role, display_name, active, created_at, updated_at)
+    VALUES (?, ?, ?, ?, 1, datetime('now'), datetime('now'))
+  `).run(username.toLowerCase(), hashPassword(password), role, display_name || null);
+  return db.prepare('SELECT * FROM users WHERE id = ?').get(info.lastInsertRowid);
+}
+
+// Returns the user for valid, active credentials, otherwise null
+function authenticate(db, username, password) {
+  const user = db.prepare('SELECT * FROM users WHERE username = ?').get(String(username || '').toLowerCase());
+  if (!user || !user.active || !verifyPassword(password, user.password_hash)) {
+    return null;
+  }
+  db.prepare("UPDATE users SET last_login_at = datetime('now') WHERE id = ?").run(user.id);
+  return user;
+}
+
+function createSession(db, userId, rememberMe = false) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const lifetime = rememberMe ? `+${REMEMBER_ME_DAYS} days` : `+${SESSION_HOURS} hours`;
+
+  db.prepare(`
+    INSERT INTO sessions (user_id, token_hash, expires_at, created_at, last_used_at)
+    VALUES (?, ?, datetime('now', ?), datetime('now'), datetime('now'))
+  `).run(userId, hashToken(token), lifetime);
+
+  const { expires_at } = db.prepare('SELECT expires_at FROM sessions WHERE token_hash = ?').get(hashToken(token));
+  return { token, expires_at };
+}
+
+// Look up the active user behind a session token
+function getSessionUser(db, token) {
+  if (!token) return null;
+
+  const user = db.prepare(`
+    SELECT u.*, s.id as session_id
+    FROM sessions s
+    JOIN users u ON u.id = s.user_id
+    WHERE s.token_hash = ? AND s.expires_at > datetime('now') AND u.active = 1
+  `).get(hashToken(token));
+
+  if (user) {
+    db.prepare("UPDATE sessions SET last_used_at = datetime('now') WHERE id = ?").run(user.session_id);
+  }
+  return user || null;
+}
+
+function deleteSession(db, token) {
+  db.prepare('DELETE FROM sessions WHERE token_hash = ?').run(hashToken(token));
+}
+
+// Log a user out everywhere, e.g. after a password change or deactivation
+function deleteUserSessions(db, userId) {
+  db.prepare('DELETE FROM sessions WHERE user_id = ?').run(userId);
+}
+
+function purgeExpiredSessions(db) {
+  return db.prepare("DELETE FROM sessions WHERE expires_at <= datetime('now')").run().changes;
+}
+
+// Failed login counters kept in memory, per username and per IP.
+// retryAfter() returns the seconds until another attempt is allowed (0 when
+// it is); a successful login clears the username's counter.
+function createLoginThrottle() {
+  const failures = new Map();
+
+  function counters(ip, username) {
+    return [
+      [`ip:${ip}`, MAX_FAILED_LOGINS_PER_IP],
+      [`user:${String(username || '').toLowerCase()}`, MAX_FAILED_LOGINS_PER_USERNAME]
+    ];
+  }
+
+  function current(key, now) {
+    const entry = failures.get(key);
+    return entry && now - entry.start < LOGIN_WINDOW_MS ? entry : null;
+  }
+
+  // Drop finished windows so failed attempts don't accumulate
+  setInterval(() => {
+    const now = Date.now();
+    failures.forEach((entry, key) => {
+      if (now - entry.start >= LOGIN_WINDOW_MS) failures.delete(key);
+    });
+  }, LOGIN_WINDOW_MS).unref();
+
+  return {
+    retryAfter(ip, username) {
+      const now = Date.now();
+      return counters(ip, username).reduce((wait, [key, limit]) => {
+        const entry = current(key, now);
+        if (!entry || entry.count < limit) return wait;
+        return Math.max(wait, Math.ceil((entry.start + LOGIN_WINDOW_MS - now) / 1000));
+      }, 0);
+    },
+
+    recordFailure(ip, username) {
+      const now = Date.now();
+      counters(ip, username).forEach(([key]) => {
+        const entry = current(key, now) || { start: now, count: 0 };
+        entry.count++;
+        failures.set(key, entry);
+      });
+    },
+
+    recordSuccess(username) {
+      failures.delete(`user:${String(username || '').toLowerCase()}`);
+    }
+  };
+}
+
+// Create the first admin account on an empty users table. The password comes
+// from ADMIN_PASSWORD; otherwise a random one is printed once.
+function ensureInitialAdmin(db) {
+  const { count } = db.prepare('SELECT COUNT(*) as count FROM users').get();
+  if (count > 0) return;
+
+  const username = process.env.ADMIN_USERNAME || 'admin';
+  let password = process.env.ADMIN_PASSWORD;
+  const generated = !password;
+  if (generated) {
+    password = crypto.randomBytes(12).toString('base64url');
+  }
+
+  createUser(db, { username, password, role: 'admin', display_name: 'Administrator' });
+
+  console.log(`👤 Created initial admin account "${username}"`);
+  if (generated) {
+    console.log(`   Password: ${password}`);
+    console.log('   Change it after logging in, or set ADMIN_PASSWORD before first start.');
+    if (process.env.ADMIN_TOKEN) {
+      console.log('   ADMIN_TOKEN is no longer used as a password; set ADMIN_PASSWORD instead.');
+    }
+  }
+}
+
+module.exports = {
+  ROLES,
+  hashPassword,
+  verifyPassword,
+  publicUser,
+  validateUserInput,
+  createUser,
+  authenticate,
+  createSession,
+  getSessionUser,
+  deleteSession,
+  deleteUserSessions,
+  purgeExpiredSessions,
+  createLoginThrottle,
+  ensureInitialAdmin
+};
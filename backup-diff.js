@@ -0,0 +1,135 @@
+// Compare a backup with the live database and restore single events from it
+//
+// Diffs are from the backup to the live database: "added" events exist only
+// in the live database, "removed" only in the backup (they were permanently
+// deleted since), and each change is { from: backup value, to: live value }.
+// Soft deletes show up as a change to deleted_at.
+
+const Database = require('better-sqlite3');
+const { diffEvents, trackEventChange, applySnapshot } = require('./event-history');
+const { getRounds, replaceRounds } = require('./event-rounds');
+
+function hasTable(db, table) {
+  return Boolean(db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?").get(table));
+}
+
+// Open a backup file read-only. Throws if it is not a calendar database.
+function openBackup(backupPath) {
+  const backupDb = new Database(backupPath, { readonly: true, fileMustExist: true });
+  if (!hasTable(backupDb, 'calendar_events')) {
+    backupDb.close();
+    throw new Error('Backup does not contain a calendar_events table');
+  }
+  return backupDb;
+}
+
+function columnNames(db) {
+  return db.prepare('PRAGMA table_info(calendar_events)').all().map(column => column.name);
+}
+
+// Round schedules keyed by event ID, as comparable strings
+function roundSignatures(db) {
+  const signatures = new Map();
+  if (!hasTable(db, 'event_rounds')) return signatures;
+
+  db.prepare(`
+    SELECT event_id, round_number, round_type, round_date, start_time, label
+    FROM event_rounds
+    ORDER BY event_id, round_date, round_type, COALESCE(start_time, ''), COALESCE(round_number, 0)
+  `).all().forEach(round => {
+    const { event_id, ...rest } = round;
+    signatures.set(event_id, (signatures.get(event_id) || '') + JSON.stringify(rest));
+  });
+  return signatures;
+}
+
+function summarize(row) {
+  return { id: row.id, title: row.title, start_datetime: row.start_datetime, deleted_at: row.deleted_at };
+}
+
+// { summary, added, removed, changed }. Only columns present in both
+// databases are compared, so backups taken before a migration don't show
+// every event as changed.
+function diffBackup(db, backupDb) {
+  const liveColumns = columnNames(db);
+  const columns = columnNames(backupDb).filter(column => liveColumns.includes(column));
+  const select = `SELECT ${columns.join(', ')} FROM calendar_events ORDER BY id`;
+
+  const backupRows = new Map(backupDb.prepare(select).all().map(row => [row.id, row]));
+  const liveRows = db.prepare(select).all();
+  const backupRounds = roundSignatures(backupDb);
+  const liveRounds = roundSignatures(db);
+
+  const added = [];
+  const changed = [];
+  let unchanged = 0;
+
+  liveRows.forEach(live => {
+    const backup = backupRows.get(live.id);
+    if (!backup) {
+      added.push(summarize(live));
+      return;
+    }
+    backupRows.delete(live.id);
+
+    const changes = diffEvents(backup, live);
+    const roundsChanged = (backupRounds.get(live.id) || '') !== (liveRounds.get(live.id) || '');
+    if (Object.keys(changes).length > 0 || roundsChanged) {
+      changed.push({ ...summarize(live), changes, rounds_changed: roundsChanged });
+    } else {
+      unchanged++;
+    }
+  });
+
+  const removed = [...backupRows.values()].map(summarize);
+
+  return {
+    summary: { added: added.length, removed: removed.length, changed: changed.length, unchanged },
+    added,
+    removed,
+    changed
+  };
+}
+
+// Put the listed events back as they are in the backup, with their round
+// schedules. Events that did not exist yet when the backup was taken are
+// soft-deleted. Every change is recorded in the event history. Returns one
+// { id, result } per ID: restored, deleted, unchanged or not_found.
+function restoreEventsFromBackup(db, backupDb, ids, actor, note) {
+  const restoreRounds = hasTable(backupDb, 'event_rounds');
+  const findBackupRow = backupDb.prepare('SELECT * FROM calendar_events WHERE id = ?');
+  const findLiveRow = db.prepare('SELECT id, deleted_at FROM calendar_events WHERE id = ?');
+
+  return db.transaction(() => ids.map(id => {
+    const backupRow = findBackupRow.get(id);
+    const liveRow = findLiveRow.get(id);
+
+    if (backupRow) {
+      trackEventChange(db, id, 'backup_restore', actor, () => {
+        applySnapshot(db, id, backupRow);
+        if (restoreRounds) {
+          replaceRounds(db, id, getRounds(backupDb, id));
+        }
+      }, note);
+      return { id, result: 'restored' };
+    }
+
+    if (!liveRow) {
+      return { id, result: 'not_found' };
+    }
+    if (liveRow.deleted_at) {
+      return { id, result: 'unchanged' };
+    }
+
+    trackEventChange(db, id, 'delete', actor,
+      () => db.prepare("UPDATE calendar_events SET deleted_at = datetime('now') WHERE id = ?").run(id),
+      note);
+    return { id, result: 'deleted' };
+  }))();
+}
+
+module.exports = {
+  openBackup,
+  diffBackup,
+  restoreEventsFromBackup
+};
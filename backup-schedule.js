@@ -0,0 +1,200 @@
+// Scheduled backups with grandfather-father-son retention
+//
+// Once an hour the scheduler takes one backup, tagged with the longest tier
+// that is due: "weekly" once per week (from Monday 00:00 UTC), "daily" once
+// per day, otherwise "hourly". Afterwards the newest BACKUP_KEEP_HOURLY,
+// BACKUP_KEEP_DAILY and BACKUP_KEEP_WEEKLY backups of each tier are kept and
+// older ones deleted. Pinned backups and backups of any other kind (manual,
+// custom reasons, older files) are left alone. Only when
+// BACKUP_KEEP_OTHER_DAYS is set are the backups taken automatically before
+// risky operations (pre-restore, bulk, import, ...) and copies fetched from
+// off-site storage deleted after that many days.
+
+const SCHEDULED_TIERS = ['weekly', 'daily', 'hourly'];
+const AUTOMATIC_REASONS = ['pre-restore', 'pre-event-restore', 'bulk', 'import', 'merge', 'duplicate-deletion', 'trash-purge'];
+// File names of backups (calendar_<reason>_<timestamp>.db); routes taking
+// a backup file name accept nothing else
+const BACKUP_NAME = /^calendar_[a-z0-9-]+_[0-9TZ-]+\.db$/;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+// First check shortly after startup, so a restart doesn't skip an hour
+const STARTUP_DELAY_MS = 60 * 1000;
+
+function envCount(name, fallback) {
+  return process.env[name] !== undefined ? Math.max(0, parseInt(process.env[name]) || 0) : fallback;
+}
+
+// A tier with 0 kept backups is not scheduled
+function readRetention() {
+  return {
+    hourly: envCount('BACKUP_KEEP_HOURLY', 24),
+    daily: envCount('BACKUP_KEEP_DAILY', 7),
+    weekly: envCount('BACKUP_KEEP_WEEKLY', 8),
+    otherDays: envCount('BACKUP_KEEP_OTHER_DAYS', 0)
+  };
+}
+
+// Start of the current period of a tier, in UTC
+function periodStart(tier, now) {
+  const start = new Date(now);
+  start.setUTCMinutes(0, 0, 0);
+  if (tier === 'daily' || tier === 'weekly') {
+    start.setUTCHours(0);
+  }
+  if (tier === 'weekly') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  }
+  return start.getTime();
+}
+
+// The tier a backup taken now should have, or null if none is due. A weekly
+// backup also counts as that day's daily, and any tier as that hour's hourly.
+function dueTier(backups, retention, now = new Date()) {
+  const takenSince = (tiers, since) => backups.some(backup =>
+    tiers.includes(backup.reason) && new Date(backup.timestamp).getTime() >= since);
+
+  if (retention.weekly > 0 && !takenSince(['weekly'], periodStart('weekly', now))) {
+    return 'weekly';
+  }
+  if (retention.daily > 0 && !takenSince(['weekly', 'daily'], periodStart('daily', now))) {
+    return 'daily';
+  }
+  if (retention.hourly > 0 && !takenSince(SCHEDULED_TIERS, periodStart('hourly', now))) {
+    return 'hourly';
+  }
+  return null;
+}
+
+// Backups to delete: beyond the newest N of each scheduled tier, and with
+// otherDays set, automatic pre-operation backups and fetched copies older
+// than that. Copies fetched from off-site storage age from when they were
+// fetched.
+function selectPrunable(backups, retention, now = new Date()) {
+  const candidates = backups
+    .filter(backup => !backup.pinned)
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  const prunable = [];
+
+  SCHEDULED_TIERS.forEach(tier => {
+    candidates.filter(backup => backup.reason === tier && !backup.fetched_at)
+      .slice(retention[tier])
+      .forEach(backup => prunable.push(backup));
+  });
+
+  if (retention.otherDays > 0) {
+    const cutoff = now.getTime() - retention.otherDays * DAY_MS;
+    candidates
+      .filter(backup => (backup.fetched_at || AUTOMATIC_REASONS.includes(backup.reason)) &&
+        new Date(backup.fetched_at || backup.timestamp).getTime() < cutoff)
+      .forEach(backup => prunable.push(backup));
+  }
+
+  return prunable;
+}
+
+// createBackup(reason), listBackups() and deleteBackup(filename) are the
+// backup functions of the API server. onBackupCreated(filename), if given,
+// runs after each scheduled backup (e.g. the off-site upload); its errors
+// are reported in the run result without failing the backup.
+function createBackupScheduler({ createBackup, listBackups, deleteBackup, onBackupCreated = null, retention = readRetention() }) {
+  const enabled = SCHEDULED_TIERS.some(tier => retention[tier] > 0);
+  let lastRun = null;
+  let nextRunAt = null;
+  let running = false;
+  let timer = null;
+
+  async function run() {
+    if (running) return lastRun;
+    running = true;
+    const result = { started_at: new Date().toISOString(), tier: null, backup: null, pruned: [], error: null };
+
+    try {
+      const tier = enabled ? dueTier(listBackups(), retention) : null;
+      if (tier) {
+        const backup = await createBackup(tier);
+        if (!backup.success) {
+          throw new Error(backup.error || 'Backup failed');
+        }
+        result.tier = tier;
+        result.backup = backup.backupName;
+
+        if (onBackupCreated) {
+          try {
+            await onBackupCreated(backup.backupName);
+          } catch (error) {
+            console.error('Error after scheduled backup:', error);
+            result.upload_error = error.message;
+          }
+        }
+      }
+
+      selectPrunable(listBackups(), retention).forEach(backup => {
+        const deleted = deleteBackup(backup.filename);
+        if (deleted.success) {
+          result.pruned.push(backup.filename);
+        }
+      });
+      if (result.pruned.length > 0) {
+        console.log(`🧹 Pruned ${result.pruned.length} old backups`);
+      }
+    } catch (error) {
+      console.error('Error running scheduled backup:', error);
+      result.error = error.message;
+    } finally {
+      result.finished_at = new Date().toISOString();
+      lastRun = result;
+      running = false;
+    }
+    return result;
+  }
+
+  // Runs at the top of every hour
+  function scheduleNext(delay) {
+    nextRunAt = new Date(Date.now() + delay);
+    timer = setTimeout(async () => {
+      await run();
+      scheduleNext(periodStart('hourly', new Date()) + HOUR_MS - Date.now());
+    }, delay);
+    timer.unref();
+  }
+
+  function start() {
+    if (timer) return;
+    scheduleNext(STARTUP_DELAY_MS);
+    if (enabled) {
+      console.log(`🕐 Scheduled backups: keeping ${retention.hourly} hourly, ${retention.daily} daily, ${retention.weekly} weekly`);
+    }
+  }
+
+  function status() {
+    const backups = listBackups();
+    return {
+      enabled,
+      running,
+      next_run_at: nextRunAt && nextRunAt.toISOString(),
+      last_run: lastRun,
+      retention: { ...retention },
+      tiers: SCHEDULED_TIERS.map(tier => {
+        const tierBackups = backups.filter(backup => backup.reason === tier);
+        return {
+          tier,
+          keep: retention[tier],
+          count: tierBackups.length,
+          latest: tierBackups.length > 0 ? tierBackups[0].timestamp : null
+        };
+      })
+    };
+  }
+
+  return { start, run, status };
+}
+
+module.exports = {
+  SCHEDULED_TIERS,
+  BACKUP_NAME,
+  readRetention,
+  dueTier,
+  selectPrunable,
+  createBackupScheduler
+};
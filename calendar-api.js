@@ -2,11 +2,19 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const Database = require('better-sqlite3');
+const { ensureSchema } = require('./schema');
+const { getRounds } = require('./event-rounds');
+const { normalizePlayerName, setEventPlayersFromText } = require('./players');
+const { validateEvent, eventColumns, newEventColumns, validationErrorBody } = require('./event-schema');
+const { buildFtsQuery, searchJoin, isSearchSyntaxError } = require('./event-search');
+const { trackEventChange } = require('./event-history');
+const { buildEventVevent, buildRoundVevents, buildCalendar } = require('./ics');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const DB_PATH = process.env.NODE_ENV === 'production' ? '/app/calendar-2026.db' : 'calendar-2026.db';
 const db = new Database(DB_PATH, { readonly: false });
+ensureSchema(db);
 
 // Enhanced CORS configuration to allow all origins
 app.use(cors({
@@ -57,12 +65,21 @@ app.get('/api/events', (req, res) => {
       offset = 0
     } = req.query;
 
-    let query = `
-      SELECT * FROM calendar_events 
-      WHERE deleted_at IS NULL
-    `;
+    let query = 'SELECT * FROM calendar_events';
     const params = [];
 
+    // Full-text search joins the FTS index for relevance and snippets
+    if (search) {
+      const ftsQuery = buildFtsQuery(search);
+      if (!ftsQuery) {
+        return res.status(400).json({ error: 'search must contain at least one word' });
+      }
+      query = `SELECT calendar_events.*, search.search_rank, search.search_snippet FROM calendar_events ${searchJoin()}`;
+      params.push(ftsQuery);
+    }
+
+    query += ' WHERE deleted_at IS NULL';
+
     if (start_date) {
       query += ` AND date(end_datetime) >= date(?)`;
       params.push(start_date);
@@ -93,19 +110,16 @@ app.get('/api/events', (req, res) => {
       params.push(format);
     }
 
-    if (search) {
-      query += ` AND (title LIKE ? OR location LIKE ? OR players LIKE ?)`;
-      params.push(`%${search}%`, `%${search}%`, `%${search}%`);
-    }
-
-    query += ` ORDER BY start_datetime ASC LIMIT ? OFFSET ?`;
+    query += search
+      ? ` ORDER BY search_rank ASC, start_datetime ASC LIMIT ? OFFSET ?`
+      : ` ORDER BY start_datetime ASC LIMIT ? OFFSET ?`;
     params.push(parseInt(limit), parseInt(offset));
 
     const stmt = db.prepare(query);
     const events = stmt.all(...params);
     
     // Get total count
-    let countQuery = query.replace(/SELECT \* FROM/, 'SELECT COUNT(*) as count FROM');
+    let countQuery = query.replace(/^SELECT [\s\S]*? FROM calendar_events /, 'SELECT COUNT(*) as count FROM calendar_events ');
     countQuery = countQuery.replace(/ORDER BY.+$/, '');
     const countStmt = db.prepare(countQuery);
     const countParams = params.slice(0, -2); // Remove limit and offset
@@ -121,6 +135,9 @@ app.get('/api/events', (req, res) => {
       }
     });
   } catch (error) {
+    if (isSearchSyntaxError(error)) {
+      return res.status(400).json({ error: 'Invalid search query' });
+    }
     console.error('Error fetching events:', error);
     res.status(500).json({ error: 'Failed to fetch events' });
   }
@@ -186,12 +203,14 @@ app.get('/api/players/search', (req, res) => {
     }
     
     const stmt = db.prepare(`
-      SELECT * FROM calendar_events 
-      WHERE deleted_at IS NULL 
-        AND players LIKE ?
-      ORDER BY start_datetime ASC
+      SELECT DISTINCT e.* FROM calendar_events e
+      JOIN event_players ep ON ep.event_id = e.id
+      JOIN players p ON p.id = ep.player_id
+      WHERE e.deleted_at IS NULL
+        AND (p.name LIKE ? OR p.normalized_name LIKE ?)
+      ORDER BY e.start_datetime ASC
     `);
-    const events = stmt.all(`%${name}%`);
+    const events = stmt.all(`%${name}%`, `%${normalizePlayerName(name)}%`);
     res.json(events);
   } catch (error) {
     res.status(500).json({ error: 'Failed to search players' });
@@ -220,41 +239,27 @@ app.get('/api/stats', (req, res) => {
 // Add new event
 app.post('/api/events', (req, res) => {
   try {
-    // Validate required fields
-    if (!req.body.title || !req.body.start_datetime || !req.body.url) {
-      return res.status(400).json({ 
-        error: 'Missing required fields. Title, start date, and URL are required.' 
-      });
+    const { value, errors } = validateEvent(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json(validationErrorBody(errors));
     }
     
+    const columns = newEventColumns(value);
+    const fields = Object.keys(columns);
     const stmt = db.prepare(`
-      INSERT INTO calendar_events (
-        title, location, start_datetime, end_datetime, 
-        event_type, format, rounds, url, special, continent, 
-        category, live_games, prize_fund, description, venue, 
-        landing, players
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO calendar_events (${fields.join(', ')})
+      VALUES (${fields.map(() => '?').join(', ')})
     `);
     
-    const info = stmt.run(
-      req.body.title,
-      req.body.location || '',
-      req.body.start_datetime,
-      req.body.end_datetime || req.body.start_datetime,
-      req.body.event_type || '',
-      req.body.format || '',
-      req.body.rounds || null,
-      req.body.url,
-      req.body.special || '',
-      req.body.continent || '',
-      req.body.category || '',
-      req.body.live_games || '',
-      req.body.prize_fund || '',
-      req.body.description || '',
-      req.body.venue || '',
-      req.body.landing || '',
-      req.body.players || ''
-    );
+    // This server has no logins, so history entries have no actor
+    const info = trackEventChange(db, null, 'create', null, () => {
+      const info = stmt.run(...fields.map(field => columns[field]));
+      
+      if (columns.players) {
+        setEventPlayersFromText(db, info.lastInsertRowid, columns.players);
+      }
+      return info;
+    });
     
     res.status(201).json({ id: info.lastInsertRowid, message: 'Event created successfully' });
   } catch (error) {
@@ -267,13 +272,21 @@ app.post('/api/events', (req, res) => {
 app.put('/api/events/:id', (req, res) => {
   try {
     const { id } = req.params;
-    const fields = Object.keys(req.body);
-    const values = Object.values(req.body);
+    const current = db.prepare('SELECT * FROM calendar_events WHERE id = ? AND deleted_at IS NULL').get(id);
+    if (!current) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
     
-    if (fields.length === 0) {
+    const { value, errors } = validateEvent(req.body, { partial: true, current });
+    if (errors.length > 0) {
+      return res.status(400).json(validationErrorBody(errors));
+    }
+    if (Object.keys(value).length === 0) {
       return res.status(400).json({ error: 'No fields to update' });
     }
     
+    const updates = eventColumns(value, current);
+    const fields = Object.keys(updates);
     const setClause = fields.map(field => `${field} = ?`).join(', ');
     const stmt = db.prepare(`
       UPDATE calendar_events 
@@ -281,11 +294,13 @@ app.put('/api/events/:id', (req, res) => {
       WHERE id = ? AND deleted_at IS NULL
     `);
     
-    const info = stmt.run(...values, id);
-    
-    if (info.changes === 0) {
-      return res.status(404).json({ error: 'Event not found' });
-    }
+    trackEventChange(db, id, 'update', null, () => {
+      stmt.run(...fields.map(field => updates[field]), id);
+      
+      if ('players' in updates) {
+        setEventPlayersFromText(db, id, updates.players);
+      }
+    });
     
     res.json({ message: 'Event updated successfully' });
   } catch (error) {
@@ -298,7 +313,7 @@ app.delete('/api/events/:id', (req, res) => {
   try {
     const { id } = req.params;
     const stmt = db.prepare('UPDATE calendar_events SET deleted_at = CURRENT_TIMESTAMP WHERE id = ?');
-    const info = stmt.run(id);
+    const info = trackEventChange(db, id, 'delete', null, () => stmt.run(id));
     
     if (info.changes === 0) {
       return res.status(404).json({ error: 'Event not found' });
@@ -311,57 +326,23 @@ app.delete('/api/events/:id', (req, res) => {
 });
 
 // Generate ICS/iCal format for calendar apps
+// Pass ?rounds=true to add one VEVENT per scheduled round
 app.get('/api/events.ics', (req, res) => {
   try {
     const events = db.prepare('SELECT * FROM calendar_events WHERE deleted_at IS NULL ORDER BY start_datetime').all();
-    
-    let ics = `BEGIN:VCALENDAR
-VERSION:2.0
-PRODID:-//Chess Calendar//EN
-CALSCALE:GREGORIAN
-METHOD:PUBLISH
-X-WR-CALNAME:Chess Tournaments
-X-WR-TIMEZONE:UTC
-`;
+    const includeRounds = req.query.rounds === 'true';
 
+    const lines = [];
     events.forEach(event => {
-      // Format dates to iCal format (YYYYMMDDTHHMMSSZ)
-      const formatDate = (dateStr) => {
-        const date = new Date(dateStr);
-        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
-      };
-      
-      const start = formatDate(event.start_datetime);
-      const end = formatDate(event.end_datetime);
-      
-      // Escape special characters in text fields
-      const escapeText = (text) => {
-        if (!text) return '';
-        return text.replace(/\\/g, '\\\\')
-                  .replace(/;/g, '\\;')
-                  .replace(/,/g, '\\,')
-                  .replace(/\n/g, '\\n');
-      };
-      
-      ics += `BEGIN:VEVENT
-UID:chess-${event.id}@chesscalendar.local
-DTSTART:${start}
-DTEND:${end}
-SUMMARY:${escapeText(event.title)}
-LOCATION:${escapeText(event.location)}
-URL:${event.url}
-DESCRIPTION:${escapeText(event.description || `${event.format || ''} ${event.event_type || ''} chess tournament`)}
-CATEGORIES:${event.format || 'Chess'}
-STATUS:CONFIRMED
-END:VEVENT
-`;
+      lines.push(...buildEventVevent(event));
+      if (includeRounds) {
+        lines.push(...buildRoundVevents(event, getRounds(db, event.id)));
+      }
     });
-    
-    ics += 'END:VCALENDAR';
-    
+
     res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
     res.setHeader('Content-Disposition', 'attachment; filename="chess-tournaments.ics"');
-    res.send(ics);
+    res.send(buildCalendar('Chess Tournaments', lines));
   } catch (error) {
     console.error('Error generating ICS:', error);
     res.status(500).json({ error: 'Failed to generate calendar file' });
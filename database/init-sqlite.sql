@@ -9,7 +9,13 @@ CREATE TABLE IF NOT EXISTS calendar_events (
     location TEXT,
     start_datetime DATETIME NOT NULL,
     end_datetime DATETIME NOT NULL,
-    all_day INTEGER DEFAULT 0,
+    all_day INTEGER DEFAULT 0, -- 1: on its dates in every time zone, stored at midnight
+    timezone TEXT, -- IANA zone the event takes place in, e.g. 'Europe/Madrid' (timezone.js)
+    
+    -- Recurrence (expanded by recurrence.js)
+    recurrence_rule TEXT, -- RFC 5545 RRULE, e.g. 'FREQ=WEEKLY;BYDAY=TH'
+    recurrence_exdates TEXT, -- comma-separated skipped dates (YYYY-MM-DD)
+    ics_uid TEXT, -- UID of an event imported from an .ics file (ics-import.js)
     
     -- Chess tournament specific fields
     event_type TEXT,
@@ -25,6 +31,26 @@ CREATE TABLE IF NOT EXISTS calendar_events (
     landing TEXT,
     players TEXT,
     
+    -- Structured time control (parsed by time-control.js)
+    time_control TEXT, -- canonical notation, e.g. '40/90+30, 30+30'
+    tc_base_min REAL, -- base time of the first stage in minutes
+    tc_increment_sec INTEGER,
+    tc_delay_sec INTEGER,
+    tc_stages TEXT, -- JSON array of stages
+    fide_category TEXT, -- standard, rapid or blitz
+    
+    -- Field strength from attached players' FIDE ratings (import-fide-ratings.js)
+    avg_rating INTEGER,
+    top10_avg_rating INTEGER,
+    rated_players INTEGER,
+    
+    -- Structured prize fund (parsed by prize-fund.js from prize_fund)
+    prize_amount REAL,
+    prize_currency TEXT, -- ISO 4217 code
+    prize_eur INTEGER, -- converted with currency-rates.json
+    prize_usd INTEGER,
+    prize_breakdown TEXT, -- JSON array of { place, amount, currency, each }
+    
     -- Organization fields
     tags TEXT, -- Comma-separated tags
     color TEXT,
@@ -50,4 +76,169 @@ CREATE INDEX idx_events_start_date ON calendar_events(start_datetime) WHERE dele
 CREATE INDEX idx_events_end_date ON calendar_events(end_datetime) WHERE deleted_at IS NULL;
 CREATE INDEX idx_events_location ON calendar_events(location) WHERE deleted_at IS NULL;
 CREATE INDEX idx_events_type ON calendar_events(event_type) WHERE deleted_at IS NULL;
-CREATE INDEX idx_events_continent ON calendar_events(continent) WHERE deleted_at IS NULL;
\ No newline at end of file
+CREATE INDEX idx_events_continent ON calendar_events(continent) WHERE deleted_at IS NULL;
+CREATE INDEX idx_events_ics_uid ON calendar_events(ics_uid) WHERE ics_uid IS NOT NULL;
+
+-- Per-round schedule (rounds, rest days, ceremonies, tiebreaks)
+CREATE TABLE IF NOT EXISTS event_rounds (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    event_id INTEGER NOT NULL REFERENCES calendar_events(id) ON DELETE CASCADE,
+    round_number INTEGER,
+    round_type TEXT NOT NULL DEFAULT 'round', -- round, rest, opening, closing, tiebreak
+    round_date TEXT NOT NULL, -- YYYY-MM-DD
+    start_time TEXT, -- HH:MM local time at the venue
+    label TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_rounds_event ON event_rounds(event_id, round_date);
+
+-- Players and event participation (calendar_events.players mirrors these as text)
+CREATE TABLE IF NOT EXISTS players (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    normalized_name TEXT NOT NULL UNIQUE, -- lowercase, no accents or punctuation
+    fide_id INTEGER UNIQUE,
+    title TEXT,
+    federation TEXT,
+    birth_year INTEGER,
+    rating_standard INTEGER,
+    rating_rapid INTEGER,
+    rating_blitz INTEGER,
+    ratings_updated_at DATETIME, -- date of the rating list
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS event_players (
+    event_id INTEGER NOT NULL REFERENCES calendar_events(id) ON DELETE CASCADE,
+    player_id INTEGER NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    position INTEGER DEFAULT 0, -- order in the original list
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (event_id, player_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_players_player ON event_players(player_id);
+
+-- User accounts and login sessions (auth.js)
+CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT NOT NULL UNIQUE, -- stored lowercase
+    password_hash TEXT NOT NULL, -- scrypt$salt$hash
+    role TEXT NOT NULL DEFAULT 'viewer', -- admin, editor or viewer
+    display_name TEXT,
+    active INTEGER NOT NULL DEFAULT 1,
+    last_login_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash TEXT NOT NULL UNIQUE, -- SHA-256 of the bearer token
+    expires_at DATETIME NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_used_at DATETIME
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+
+-- API keys for partner sites and daily usage counters (api-keys.js)
+CREATE TABLE IF NOT EXISTS api_keys (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    contact TEXT,
+    key_prefix TEXT NOT NULL, -- first characters of the key, for display
+    key_hash TEXT NOT NULL UNIQUE, -- SHA-256 of the key
+    rate_limit_per_minute INTEGER NOT NULL,
+    daily_quota INTEGER NOT NULL,
+    revoked_at DATETIME,
+    created_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_used_at DATETIME
+);
+
+CREATE TABLE IF NOT EXISTS api_key_usage (
+    api_key_id INTEGER NOT NULL, -- 0 for anonymous requests
+    day TEXT NOT NULL, -- YYYY-MM-DD (UTC)
+    requests INTEGER NOT NULL DEFAULT 0,
+    rejected INTEGER NOT NULL DEFAULT 0, -- answered with 429
+    PRIMARY KEY (api_key_id, day)
+);
+
+-- Per-event change history with field diffs and full snapshots (event-history.js)
+CREATE TABLE IF NOT EXISTS event_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    event_id INTEGER NOT NULL, -- kept after a permanent delete
+    version INTEGER NOT NULL, -- 1, 2, 3... per event
+    action TEXT NOT NULL, -- baseline, create, update, delete, permanent_delete, restore, duplicate_delete, revert
+    actor_user_id INTEGER,
+    actor TEXT, -- username at the time of the change
+    changes TEXT NOT NULL DEFAULT '{}', -- JSON { field: { from, to } }
+    snapshot TEXT, -- JSON of the whole row after the change
+    note TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (event_id, version)
+);
+
+-- Candidate duplicate pairs marked as "not a duplicate" (event_a_id < event_b_id)
+CREATE TABLE IF NOT EXISTS duplicate_dismissals (
+    event_a_id INTEGER NOT NULL,
+    event_b_id INTEGER NOT NULL,
+    dismissed_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (event_a_id, event_b_id)
+);
+
+-- IDs of events merged into another one; they redirect to event_id
+CREATE TABLE IF NOT EXISTS event_aliases (
+    old_id INTEGER PRIMARY KEY,
+    event_id INTEGER NOT NULL,
+    created_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_event_aliases_event ON event_aliases(event_id);
+
+-- Recurring tournaments; each event is an edition of at most one series
+CREATE TABLE IF NOT EXISTS series (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    slug TEXT NOT NULL UNIQUE,
+    description TEXT,
+    url TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+CREATE TABLE IF NOT EXISTS series_editions (
+    event_id INTEGER PRIMARY KEY,
+    series_id INTEGER NOT NULL,
+    edition INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_series_editions_series ON series_editions(series_id);
+
+-- Full-text search index (queried through event-search.js)
+CREATE VIRTUAL TABLE IF NOT EXISTS calendar_events_fts USING fts5(
+    title, location, players, description, venue, category,
+    content = 'calendar_events',
+    content_rowid = 'id',
+    tokenize = 'unicode61 remove_diacritics 2'
+);
+
+CREATE TRIGGER IF NOT EXISTS calendar_events_fts_insert AFTER INSERT ON calendar_events BEGIN
+    INSERT INTO calendar_events_fts (rowid, title, location, players, description, venue, category)
+    VALUES (new.id, new.title, new.location, new.players, new.description, new.venue, new.category);
+END;
+
+CREATE TRIGGER IF NOT EXISTS calendar_events_fts_delete AFTER DELETE ON calendar_events BEGIN
+    INSERT INTO calendar_events_fts (calendar_events_fts, rowid, title, location, players, description, venue, category)
+    VALUES ('delete', old.id, old.title, old.location, old.players, old.description, old.venue, old.category);
+END;
+
+CREATE TRIGGER IF NOT EXISTS calendar_events_fts_update AFTER UPDATE OF title, location, players, description, venue, category ON calendar_events BEGIN
+    INSERT INTO calendar_events_fts (calendar_events_fts, rowid, title, location, players, description, venue, category)
+    VALUES ('delete', old.id, old.title, old.location, old.players, old.description, old.venue, old.category);
+    INSERT INTO calendar_events_fts (rowid, title, location, players, description, venue, category)
+    VALUES (new.id, new.title, new.location, new.players, new.description, new.venue, new.category);
+END;
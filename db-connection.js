@@ -0,0 +1,165 @@
+// SQLite connection manager: lets a server swap its database file (after a
+// backup restore) without restarting
+//
+// openDatabase() returns a connection whose .db is a stand-in for the
+// better-sqlite3 handle. Code keeps using it as usual (db.prepare(...)); every
+// call goes to the current handle, so swapping the handle is a single
+// assignment and no request ever sees a closed connection.
+//
+// The API server restores with replaceDatabase(); the landing servers hold
+// their own read-only handles and reopen them when the API server posts to
+// their /internal/reload-db endpoint (see reloadDatabaseHandler).
+
+const Database = require('better-sqlite3');
+const fs = require('fs');
+
+// Returns null when the file is a healthy calendar database, otherwise the
+// reason it is not
+function checkDatabaseFile(filePath) {
+  let candidate;
+  try {
+    candidate = new Database(filePath, { readonly: true, fileMustExist: true });
+    const result = candidate.pragma('integrity_check', { simple: true });
+    if (result !== 'ok') {
+      return `integrity check failed: ${result}`;
+    }
+    const table = candidate.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'calendar_events'").get();
+    if (!table) {
+      return 'calendar_events table is missing';
+    }
+    return null;
+  } catch (error) {
+    return error.message;
+  } finally {
+    if (candidate) candidate.close();
+  }
+}
+
+// onOpen(handle) runs on every new handle, e.g. to apply schema migrations
+function openDatabase(filePath, { readonly = false, onOpen = null } = {}) {
+  let current = null;
+
+  function open() {
+    const handle = new Database(filePath, { readonly });
+    try {
+      if (onOpen) onOpen(handle);
+    } catch (error) {
+      handle.close();
+      throw error;
+    }
+    return handle;
+  }
+
+  current = open();
+
+  const db = new Proxy({}, {
+    get(target, prop) {
+      const value = current[prop];
+      return typeof value === 'function' ? value.bind(current) : value;
+    }
+  });
+
+  // Reopen the file, e.g. after another process replaced it. The old handle
+  // stays in use if the file cannot be opened.
+  function reload() {
+    const next = open();
+    const previous = current;
+    current = next;
+    previous.close();
+  }
+
+  // Replace the database file with a copy of sourcePath and switch to it.
+  // The copy is integrity-checked before the live file is touched; if the
+  // swapped-in database still fails to open, rollbackPath (a snapshot taken
+  // just before) is put back. Synchronous, so requests are never served
+  // between closing the old handle and opening the new one.
+  function replaceDatabase(sourcePath, { rollbackPath } = {}) {
+    const stagingPath = `${filePath}.restore-tmp`;
+    fs.copyFileSync(sourcePath, stagingPath);
+
+    const problem = checkDatabaseFile(stagingPath);
+    if (problem) {
+      fs.unlinkSync(stagingPath);
+      throw new Error(`Backup is not usable (${problem}); the database was not changed`);
+    }
+
+    current.close();
+    try {
+      fs.renameSync(stagingPath, filePath);
+      current = open();
+      const result = current.pragma('integrity_check', { simple: true });
+      if (result !== 'ok') {
+        throw new Error(`integrity check failed after restore: ${result}`);
+      }
+    } catch (error) {
+      console.error('Restored database failed to open, rolling back:', error);
+      if (current.open) current.close();
+      if (fs.existsSync(stagingPath)) fs.unlinkSync(stagingPath);
+      if (rollbackPath) {
+        fs.copyFileSync(rollbackPath, filePath);
+      }
+      current = open();
+      throw new Error(`Restore failed and was rolled back: ${error.message}`);
+    }
+  }
+
+  return {
+    db,
+    reload,
+    replaceDatabase
+  };
+}
+
+// POST /internal/reload-db for servers holding their own handle. Requests
+// must carry X-Reload-Token when DB_RELOAD_TOKEN is set, otherwise they are
+// only accepted from the same machine.
+function reloadDatabaseHandler(connection) {
+  return (req, res) => {
+    const token = process.env.DB_RELOAD_TOKEN;
+    const allowed = token
+      ? req.get('X-Reload-Token') === token
+      : ['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(req.socket.remoteAddress);
+    if (!allowed) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    try {
+      connection.reload();
+      console.log('🔄 Database reloaded');
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Error reloading database:', error);
+      res.status(500).json({ error: 'Failed to reload database' });
+    }
+  };
+}
+
+// Ask other servers to reopen the database. Resolves to one
+// { url, success, error } per server; failures are logged, never thrown.
+async function notifyDatabaseReload(urls) {
+  const headers = process.env.DB_RELOAD_TOKEN ? { 'X-Reload-Token': process.env.DB_RELOAD_TOKEN } : {};
+
+  return Promise.all(urls.map(async url => {
+    try {
+      const response = await fetch(`${url.replace(/\/$/, '')}/internal/reload-db`, {
+        method: 'POST',
+        headers,
+        signal: AbortSignal.timeout(5000)
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      return { url, success: true };
+    } catch (error) {
+      console.warn(`⚠️  Could not notify ${url} to reload the database: ${error.message}`);
+      return { url, success: false, error: error.message };
+    }
+  }));
+}
+
+module.exports = {
+  checkDatabaseFile,
+  openDatabase,
+  reloadDatabaseHandler,
+  notifyDatabaseReload
+};
@@ -0,0 +1,309 @@
+// Fuzzy duplicate detection
+//
+// /api/duplicates only catches exact copies. This module scores pairs of
+// active events that start within a few weeks of each other on five
+// signals, each between 0 and 1:
+//   title     words in common, weighted so rare words ("seville") count more
+//             than common ones ("open", "chess"); years, ordinals and roman
+//             numerals are ignored ("50th Seville Open" = "Seville Open 2025")
+//   dates     1 when the date ranges overlap, falling to 0 at maxDaysApart
+//   location  1 for the same city, 0.5 for the same country
+//   url       1 for the same page or chess-results tournament, 0.8 for the
+//             same (non-generic) website
+//   players   share of the smaller player list that is in both events
+// The score is the weighted average of the signals that apply to the pair
+// (events without a location, URL or players skip that signal), and every
+// signal that contributed comes with a human-readable reason.
+
+const SIGNAL_WEIGHTS = { title: 0.4, dates: 0.25, location: 0.15, url: 0.1, players: 0.1 };
+
+const DEFAULT_THRESHOLD = parseFloat(process.env.DUPLICATE_THRESHOLD) || 0.6;
+const DEFAULT_MAX_DAYS_APART = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Words that say nothing about which tournament it is
+const STOPWORDS = new Set(['the', 'of', 'and', 'de', 'del', 'la', 'le', 'el', 'di', 'der', 'des', 'du', 'y', 'et', 'in', 'at', 'a']);
+const ROMAN_NUMERAL = /^(?=[mdclxvi]{2,}$)m*(c[md]|d?c{0,3})(x[cl]|l?x{0,3})(i[xv]|v?i{0,3})$/;
+
+// Sites hosting many unrelated tournaments: only the same page counts
+const GENERIC_HOSTS = [
+  'chess-results.com', 'chessdom.com', 'chessbase.com', 'chess.com', 'lichess.org', 'fide.com',
+  'facebook.com', 'instagram.com', 'docs.google.com', 'forms.gle', 'wufoo.com', 'eventbrite.com'
+];
+
+const PLACEHOLDER_LOCATIONS = ['', 'tba', 'tbd', 'online', 'various'];
+
+function normalizeText(value) {
+  return String(value || '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function titleTokens(title) {
+  return new Set(normalizeText(title).split(' ').filter(token =>
+    token.length > 1 &&
+    !STOPWORDS.has(token) &&
+    !/^\d+$/.test(token) &&
+    !/^\d+(st|nd|rd|th)$/.test(token) &&
+    !ROMAN_NUMERAL.test(token)
+  ));
+}
+
+// "Seville - Spain" -> { city: 'seville', country: 'spain' }; a single part
+// is usually the country
+function parseLocation(location) {
+  const parts = String(location || '').split(/\s+-\s+|,/).map(normalizeText).filter(Boolean);
+  if (parts.length === 0 || PLACEHOLDER_LOCATIONS.includes(parts.join(' '))) return null;
+  if (parts.length === 1) return { city: null, country: parts[0] };
+  return { city: parts[0], country: parts[parts.length - 1] };
+}
+
+function parseUrl(url) {
+  try {
+    const parsed = new URL(url);
+    const host = parsed.hostname.toLowerCase().replace(/^(www|s\d+)\./, '');
+    const tournament = host === 'chess-results.com'
+      ? (parsed.pathname.match(/tnr(\d+)/i) || [])[1] || parsed.searchParams.get('tno')
+      : null;
+    return {
+      host,
+      page: host + parsed.pathname.replace(/\/+$/, '').toLowerCase() + parsed.search,
+      tournament,
+      generic: GENERIC_HOSTS.some(generic => host === generic || host.endsWith(`.${generic}`))
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+function dateRange(event) {
+  const start = Date.parse(String(event.start_datetime).slice(0, 10));
+  const end = Date.parse(String(event.end_datetime || event.start_datetime).slice(0, 10));
+  // Some imported events have the end before the start
+  return { start, end: Math.max(start, isNaN(end) ? start : end) };
+}
+
+// Inverse document frequency of every title word across the events
+function tokenWeights(prepared) {
+  const counts = new Map();
+  prepared.forEach(event => event.tokens.forEach(token => counts.set(token, (counts.get(token) || 0) + 1)));
+  const weights = new Map();
+  counts.forEach((count, token) => weights.set(token, Math.log(1 + prepared.length / count)));
+  return weights;
+}
+
+function titleSignal(a, b, weights) {
+  if (a.tokens.size === 0 || b.tokens.size === 0) return null;
+
+  const shared = [...a.tokens].filter(token => b.tokens.has(token));
+  const union = new Set([...a.tokens, ...b.tokens]);
+  const weight = tokens => tokens.reduce((sum, token) => sum + weights.get(token), 0);
+  const score = weight(shared) / weight([...union]);
+
+  return {
+    score,
+    reason: shared.length > 0
+      ? `Similar titles (${Math.round(score * 100)}%, shared words: ${shared.join(', ')})`
+      : null
+  };
+}
+
+function datesSignal(a, b, maxDaysApart) {
+  const gapDays = Math.max(a.range.start, b.range.start) - Math.min(a.range.end, b.range.end);
+  if (gapDays <= 0) {
+    return { score: 1, reason: a.range.start === b.range.start ? 'Same start date' : 'Dates overlap' };
+  }
+  const days = Math.round(gapDays / DAY_MS);
+  return {
+    score: Math.max(0, 1 - days / maxDaysApart),
+    reason: `${days} day${days === 1 ? '' : 's'} apart`
+  };
+}
+
+function locationSignal(a, b) {
+  if (!a.location || !b.location) return null;
+  if (a.location.city && a.location.city === b.location.city) {
+    return { score: 1, reason: `Same city (${a.event.location})` };
+  }
+  if (a.location.country === b.location.country) {
+    return { score: 0.5, reason: `Same country (${a.location.country})` };
+  }
+  return { score: 0, reason: null };
+}
+
+function urlSignal(a, b) {
+  if (!a.url || !b.url) return null;
+  if (a.url.page === b.url.page) {
+    return { score: 1, reason: 'Same URL' };
+  }
+  if (a.url.tournament && a.url.tournament === b.url.tournament) {
+    return { score: 1, reason: `Same chess-results tournament (${a.url.tournament})` };
+  }
+  if (a.url.host === b.url.host && !a.url.generic) {
+    return { score: 0.8, reason: `Same website (${a.url.host})` };
+  }
+  return { score: 0, reason: null };
+}
+
+function playersSignal(a, b) {
+  if (a.players.size === 0 || b.players.size === 0) return null;
+  const shared = [...a.players].filter(id => b.players.has(id)).length;
+  return {
+    score: shared / Math.min(a.players.size, b.players.size),
+    reason: shared > 0 ? `${shared} player${shared === 1 ? '' : 's'} in common` : null
+  };
+}
+
+function scorePair(a, b, weights, maxDaysApart) {
+  const signals = {
+    title: titleSignal(a, b, weights),
+    dates: datesSignal(a, b, maxDaysApart),
+    location: locationSignal(a, b),
+    url: urlSignal(a, b),
+    players: playersSignal(a, b)
+  };
+
+  let total = 0;
+  let weightSum = 0;
+  const scores = {};
+  const reasons = [];
+  Object.entries(signals).forEach(([name, signal]) => {
+    scores[name] = signal ? Math.round(signal.score * 100) / 100 : null;
+    if (!signal) return;
+    total += SIGNAL_WEIGHTS[name] * signal.score;
+    weightSum += SIGNAL_WEIGHTS[name];
+    if (signal.reason && signal.score > 0) reasons.push(signal.reason);
+  });
+
+  return { score: Math.round((total / weightSum) * 100) / 100, signals: scores, reasons };
+}
+
+function summarize(prepared) {
+  const { id, title, location, start_datetime, end_datetime, url, created_at } = prepared.event;
+  return { id, title, location, start_datetime, end_datetime, url, created_at, player_count: prepared.players.size };
+}
+
+function prepareEvent(event, players) {
+  return {
+    event,
+    tokens: titleTokens(event.title),
+    range: dateRange(event),
+    location: parseLocation(event.location),
+    url: event.url ? parseUrl(event.url) : null,
+    players
+  };
+}
+
+// Active events and their players, ready for scoring, sorted by start
+function prepareActiveEvents(db) {
+  const events = db.prepare(`
+    SELECT id, title, location, start_datetime, end_datetime, url, created_at
+    FROM calendar_events
+    WHERE deleted_at IS NULL AND start_datetime IS NOT NULL
+  `).all();
+
+  const playersByEvent = new Map();
+  db.prepare('SELECT event_id, player_id FROM event_players').all().forEach(row => {
+    if (!playersByEvent.has(row.event_id)) playersByEvent.set(row.event_id, new Set());
+    playersByEvent.get(row.event_id).add(row.player_id);
+  });
+
+  return events
+    .map(event => prepareEvent(event, playersByEvent.get(event.id) || new Set()))
+    .filter(entry => !isNaN(entry.range.start))
+    .sort((a, b) => a.range.start - b.range.start);
+}
+
+// Candidate duplicate pairs scoring at least threshold, best first.
+// Options: threshold (0-1), maxDaysApart, eventId (only pairs with that
+// event), includeDismissed, limit.
+function findDuplicateCandidates(db, {
+  threshold = DEFAULT_THRESHOLD,
+  maxDaysApart = DEFAULT_MAX_DAYS_APART,
+  eventId = null,
+  includeDismissed = false,
+  limit = 200
+} = {}) {
+  const prepared = prepareActiveEvents(db);
+  const weights = tokenWeights(prepared);
+
+  const dismissed = new Set(db.prepare('SELECT event_a_id, event_b_id FROM duplicate_dismissals').all()
+    .map(row => `${row.event_a_id}:${row.event_b_id}`));
+
+  // Events are sorted by start, so stop comparing once the next one starts
+  // too long after this one ends
+  const window = maxDaysApart * DAY_MS;
+  const candidates = [];
+  for (let i = 0; i < prepared.length; i++) {
+    const a = prepared[i];
+    for (let j = i + 1; j < prepared.length && prepared[j].range.start <= a.range.end + window; j++) {
+      const b = prepared[j];
+      if (eventId && a.event.id !== eventId && b.event.id !== eventId) continue;
+
+      const [first, second] = a.event.id < b.event.id ? [a, b] : [b, a];
+      const isDismissed = dismissed.has(`${first.event.id}:${second.event.id}`);
+      if (isDismissed && !includeDismissed) continue;
+
+      const result = scorePair(first, second, weights, maxDaysApart);
+      if (result.score >= threshold) {
+        candidates.push({ ...result, dismissed: isDismissed, events: [summarize(first), summarize(second)] });
+      }
+    }
+  }
+
+  candidates.sort((a, b) => b.score - a.score || a.events[0].id - b.events[0].id);
+  return { total: candidates.length, data: candidates.slice(0, limit) };
+}
+
+// For each of the given events (not saved yet, e.g. from an import), the
+// best-scoring active event at or above threshold as { id, title, location,
+// start_datetime, end_datetime, url, score, reasons }, or null
+function findBestMatches(db, events, { threshold = DEFAULT_THRESHOLD, maxDaysApart = DEFAULT_MAX_DAYS_APART } = {}) {
+  const existing = prepareActiveEvents(db);
+  const incoming = events.map(event => prepareEvent(event, new Set()));
+  const weights = tokenWeights(existing.concat(incoming.filter(entry => !isNaN(entry.range.start))));
+  const window = maxDaysApart * DAY_MS;
+
+  return incoming.map(entry => {
+    if (isNaN(entry.range.start)) return null;
+
+    let best = null;
+    existing.forEach(candidate => {
+      if (candidate.range.start > entry.range.end + window || entry.range.start > candidate.range.end + window) return;
+      const result = scorePair(candidate, entry, weights, maxDaysApart);
+      if (result.score >= threshold && (!best || result.score > best.score)) {
+        const { player_count, created_at, ...summary } = summarize(candidate);
+        best = { ...summary, score: result.score, reasons: result.reasons };
+      }
+    });
+    return best;
+  });
+}
+
+// Mark a pair as not a duplicate, so it is no longer suggested
+function dismissDuplicatePair(db, idA, idB, actor) {
+  const [first, second] = idA < idB ? [idA, idB] : [idB, idA];
+  db.prepare(`
+    INSERT OR IGNORE INTO duplicate_dismissals (event_a_id, event_b_id, dismissed_by, created_at)
+    VALUES (?, ?, ?, datetime('now'))
+  `).run(first, second, actor ? actor.username : null);
+}
+
+function undismissDuplicatePair(db, idA, idB) {
+  const [first, second] = idA < idB ? [idA, idB] : [idB, idA];
+  return db.prepare('DELETE FROM duplicate_dismissals WHERE event_a_id = ? AND event_b_id = ?').run(first, second).changes > 0;
+}
+
+module.exports = {
+  SIGNAL_WEIGHTS,
+  DEFAULT_THRESHOLD,
+  DEFAULT_MAX_DAYS_APART,
+  titleTokens,
+  findDuplicateCandidates,
+  findBestMatches,
+  dismissDuplicatePair,
+  undismissDuplicatePair
+};
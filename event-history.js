@@ -0,0 +1,183 @@
+// Per-event change history (audit trail) and revert
+//
+// Every write to an event adds a version to event_history with the actor,
+// the action, a field-level diff and a snapshot of the whole row after the
+// change. Reverting copies a snapshot back onto the event. Events that
+// predate the history get a "baseline" version holding their state before
+// the first recorded change, so that state can be reverted to as well.
+
+const { setEventPlayersFromText } = require('./players');
+
+// Not shown in diffs: bookkeeping columns and columns derived from
+// time_control, prize_fund and players (they are still in the snapshots)
+const UNTRACKED_FIELDS = [
+  'id', 'created_at', 'updated_at',
+  'tc_base_min', 'tc_increment_sec', 'tc_delay_sec', 'tc_stages', 'fide_category',
+  'prize_amount', 'prize_currency', 'prize_eur', 'prize_usd',
+  'avg_rating', 'top10_avg_rating', 'rated_players'
+];
+
+function getEventRow(db, eventId) {
+  return db.prepare('SELECT * FROM calendar_events WHERE id = ?').get(eventId) || null;
+}
+
+// Empty strings and NULL are the same thing as far as editors are concerned
+function sameValue(a, b) {
+  return String(a ?? '') === String(b ?? '');
+}
+
+// { field: { from, to } } for every tracked field that differs
+function diffEvents(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  fields.forEach(field => {
+    if (UNTRACKED_FIELDS.includes(field)) return;
+    const from = before ? before[field] ?? null : null;
+    const to = after ? after[field] ?? null : null;
+    if (!sameValue(from, to)) {
+      changes[field] = { from, to };
+    }
+  });
+
+  return changes;
+}
+
+function insertVersion(db, eventId, { action, actor, changes, snapshot, note }) {
+  const { next } = db.prepare('SELECT COALESCE(MAX(version), 0) + 1 as next FROM event_history WHERE event_id = ?').get(eventId);
+  db.prepare(`
+    INSERT INTO event_history (event_id, version, action, actor_user_id, actor, changes, snapshot, note, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+  `).run(
+    eventId, next, action,
+    actor ? actor.id : null, actor ? actor.username : null,
+    JSON.stringify(changes), JSON.stringify(snapshot), note || null
+  );
+  return next;
+}
+
+// Record a change given the rows before and after it. actor is the logged-in
+// user (or null for scripts). Returns the new version, or null when nothing
+// tracked changed.
+function recordEventChange(db, eventId, action, { before, after, actor, note } = {}) {
+  const changes = diffEvents(before, after);
+  if (before && after && Object.keys(changes).length === 0) {
+    return null;
+  }
+
+  const { count } = db.prepare('SELECT COUNT(*) as count FROM event_history WHERE event_id = ?').get(eventId);
+  if (count === 0 && before) {
+    insertVersion(db, eventId, { action: 'baseline', actor: null, changes: {}, snapshot: before, note: 'State before the first recorded change' });
+  }
+
+  // A permanently deleted event keeps its last state as the snapshot
+  return insertVersion(db, eventId, { action, actor, changes, snapshot: after || before, note });
+}
+
+// Run write(), which changes one event, in a transaction and record the
+// change. Returns whatever write() returns.
+function trackEventChange(db, eventId, action, actor, write, note) {
+  return db.transaction(() => {
+    const before = getEventRow(db, eventId);
+    const result = write();
+    const id = eventId ?? (result && result.lastInsertRowid);
+    const after = getEventRow(db, id);
+    if (before || after) {
+      recordEventChange(db, id, action, { before, after, actor, note });
+    }
+    return result;
+  })();
+}
+
+function parseVersion(row) {
+  return {
+    ...row,
+    changes: JSON.parse(row.changes || '{}'),
+    snapshot: row.snapshot ? JSON.parse(row.snapshot) : null
+  };
+}
+
+// Versions newest first; snapshots are only included on request
+function getEventHistory(db, eventId, { includeSnapshots = false } = {}) {
+  return db.prepare('SELECT * FROM event_history WHERE event_id = ? ORDER BY version DESC').all(eventId)
+    .map(parseVersion)
+    .map(version => {
+      if (!includeSnapshots) delete version.snapshot;
+      return version;
+    });
+}
+
+// ICS SEQUENCE numbers: how many times each event changed after it was
+// created, as a Map of event id to count (only events with changes)
+function getEventSequences(db, eventIds = null) {
+  const where = eventIds ? `AND event_id IN (${eventIds.map(() => '?').join(', ')})` : '';
+  const rows = db.prepare(`
+    SELECT event_id, COUNT(*) as sequence
+    FROM event_history
+    WHERE action NOT IN ('create', 'baseline') ${where}
+    GROUP BY event_id
+  `).all(...(eventIds || []));
+  return new Map(rows.map(row => [row.event_id, row.sequence]));
+}
+
+function getEventVersion(db, eventId, version) {
+  const row = db.prepare('SELECT * FROM event_history WHERE event_id = ? AND version = ?').get(eventId, version);
+  return row ? parseVersion(row) : null;
+}
+
+// Write a stored copy of an event row (a history snapshot or a row from a
+// backup) onto the event, re-creating it if it was permanently deleted.
+// Columns missing from the snapshot are left alone.
+function applySnapshot(db, eventId, snapshot) {
+  const columns = db.prepare('PRAGMA table_info(calendar_events)').all().map(column => column.name)
+    .filter(column => column in snapshot && !['id', 'created_at', 'updated_at'].includes(column));
+
+  db.transaction(() => {
+    if (getEventRow(db, eventId)) {
+      db.prepare(`
+        UPDATE calendar_events
+        SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = datetime('now')
+        WHERE id = ?
+      `).run(...columns.map(column => snapshot[column]), eventId);
+    } else {
+      db.prepare(`
+        INSERT INTO calendar_events (id, ${columns.join(', ')}, created_at, updated_at)
+        VALUES (?, ${columns.map(() => '?').join(', ')}, ?, datetime('now'))
+      `).run(eventId, ...columns.map(column => snapshot[column]), snapshot.created_at || null);
+    }
+
+    // Player links and ratings follow the restored players text
+    setEventPlayersFromText(db, eventId, snapshot.players || '');
+  })();
+}
+
+// Copy a version's snapshot back onto the event and record that as a new
+// "revert" version. Returns the new version number, or null for an unknown
+// version.
+function revertEvent(db, eventId, version, actor) {
+  const target = getEventVersion(db, eventId, version);
+  if (!target || !target.snapshot) return null;
+
+  return db.transaction(() => {
+    const before = getEventRow(db, eventId);
+    applySnapshot(db, eventId, target.snapshot);
+
+    return recordEventChange(db, eventId, 'revert', {
+      before,
+      after: getEventRow(db, eventId),
+      actor,
+      note: `Reverted to version ${target.version}`
+    });
+  })();
+}
+
+module.exports = {
+  diffEvents,
+  recordEventChange,
+  trackEventChange,
+  getEventHistory,
+  getEventSequences,
+  getEventVersion,
+  applySnapshot,
+  revertEvent
+};
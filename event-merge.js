@@ -0,0 +1,222 @@
+// Field-by-field merge of duplicate events, with redirecting IDs
+//
+// planMerge() and applyMerge() fold one or more duplicates ("losers") into the event that
+// is kept (the "survivor"). For each field the caller picks which event's
+// value to keep; fields it doesn't pick keep the survivor's value, or the
+// first loser's when the survivor has none. Players and tags are combined
+// from all events. The losers are soft-deleted, and each loser ID is
+// recorded in event_aliases so API requests and /t/:slug-<id> landing URLs
+// for it can redirect to the survivor.
+
+const { EVENT_SCHEMA, validateEvent, eventColumns, validationErrorBody } = require('./event-schema');
+const { trackEventChange } = require('./event-history');
+const { getEventPlayers, attachPlayer } = require('./players');
+const { getRounds, replaceRounds } = require('./event-rounds');
+
+// Combined from every event instead of picked
+const COMBINED_FIELDS = ['players', 'tags'];
+
+// Event fields that can be picked, plus the round schedule. prize_breakdown
+// always comes from the same event as prize_fund.
+const MERGEABLE_FIELDS = Object.keys(EVENT_SCHEMA)
+  .filter(field => !COMBINED_FIELDS.includes(field) && field !== 'prize_breakdown')
+  .concat('round_schedule');
+
+function isBlank(value) {
+  return value === null || value === undefined || String(value).trim() === '';
+}
+
+function splitTags(text) {
+  return String(text || '').split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+// Tags of all events, survivor's first, without case-insensitive repeats
+function combineTags(rows) {
+  const seen = new Set();
+  const tags = [];
+  rows.forEach(row => splitTags(row.tags).forEach(tag => {
+    if (!seen.has(tag.toLowerCase())) {
+      seen.add(tag.toLowerCase());
+      tags.push(tag);
+    }
+  }));
+  return tags.join(', ');
+}
+
+// { field: source event ID } for every field the survivor takes from a loser
+function pickSources(survivor, losers, fields, roundsById) {
+  const sources = {};
+
+  MERGEABLE_FIELDS.forEach(field => {
+    let sourceId = fields[field];
+    if (sourceId === undefined) {
+      const missing = field === 'round_schedule'
+        ? event => roundsById.get(event.id).length === 0
+        : event => isBlank(event[field]);
+      const donor = missing(survivor) && losers.find(loser => !missing(loser));
+      if (!donor) return;
+      sourceId = donor.id;
+    }
+    if (sourceId !== survivor.id) {
+      sources[field] = sourceId;
+    }
+  });
+
+  return sources;
+}
+
+// Check a merge request and work out what it changes, without writing
+// anything. fields maps field names to the ID of the event whose value to
+// keep. Returns the plan for applyMerge() or { status, body } describing the
+// error response.
+function planMerge(db, survivorId, loserIds, fields) {
+  if (!Number.isInteger(survivorId)) {
+    return { status: 400, body: { error: 'survivor_id must be an event id' } };
+  }
+  if (!Array.isArray(loserIds) || loserIds.length === 0 || !loserIds.every(id => Number.isInteger(id))) {
+    return { status: 400, body: { error: 'loser_ids must be a non-empty array of event ids' } };
+  }
+  if (loserIds.includes(survivorId) || new Set(loserIds).size !== loserIds.length) {
+    return { status: 400, body: { error: 'loser_ids must be different events, not including the survivor' } };
+  }
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    return { status: 400, body: { error: 'fields must be an object of field name to event id' } };
+  }
+
+  const ids = [survivorId, ...loserIds];
+  for (const [field, sourceId] of Object.entries(fields)) {
+    if (!MERGEABLE_FIELDS.includes(field)) {
+      return { status: 400, body: { error: `${field} cannot be picked; mergeable fields are: ${MERGEABLE_FIELDS.join(', ')}` } };
+    }
+    if (!ids.includes(sourceId)) {
+      return { status: 400, body: { error: `fields.${field} must be the id of one of the merged events` } };
+    }
+  }
+
+  const findLive = db.prepare('SELECT * FROM calendar_events WHERE id = ? AND deleted_at IS NULL');
+  const rows = new Map();
+  for (const id of ids) {
+    const row = findLive.get(id);
+    if (!row) {
+      return { status: 404, body: { error: `Event ${id} not found` } };
+    }
+    rows.set(id, row);
+  }
+
+  const survivor = rows.get(survivorId);
+  const losers = loserIds.map(id => rows.get(id));
+  const roundsById = new Map(ids.map(id => [id, getRounds(db, id)]));
+  const sources = pickSources(survivor, losers, fields, roundsById);
+
+  const input = {};
+  Object.entries(sources).forEach(([field, sourceId]) => {
+    if (field === 'round_schedule') return;
+    const source = rows.get(sourceId);
+    input[field] = source[field];
+    if (field === 'prize_fund') {
+      input.prize_breakdown = source.prize_breakdown ? JSON.parse(source.prize_breakdown) : null;
+    }
+  });
+
+  const { value, errors } = validateEvent(input, { partial: true, current: survivor });
+  if (errors.length > 0) {
+    return { status: 400, body: validationErrorBody(errors) };
+  }
+
+  const updates = eventColumns(value, survivor);
+  const tags = combineTags([survivor, ...losers]);
+  if (tags !== (survivor.tags || '')) {
+    updates.tags = tags;
+  }
+
+  const survivorPlayers = new Set(getEventPlayers(db, survivorId).map(player => player.id));
+  const addedPlayers = [];
+  losers.forEach(loser => getEventPlayers(db, loser.id).forEach(player => {
+    if (!survivorPlayers.has(player.id)) {
+      survivorPlayers.add(player.id);
+      addedPlayers.push(player.id);
+    }
+  }));
+
+  return {
+    survivorId,
+    loserIds,
+    sources,
+    updates,
+    addedPlayers,
+    rounds: sources.round_schedule ? roundsById.get(sources.round_schedule) : null
+  };
+}
+
+// Write a plan from planMerge(). Returns { sources, players_added }.
+function applyMerge(db, plan, actor) {
+  const { survivorId, loserIds, sources, updates, addedPlayers, rounds } = plan;
+  const softDelete = db.prepare("UPDATE calendar_events SET deleted_at = datetime('now') WHERE id = ?");
+  const addAlias = db.prepare(`
+    INSERT OR REPLACE INTO event_aliases (old_id, event_id, created_by, created_at)
+    VALUES (?, ?, ?, datetime('now'))
+  `);
+
+  db.transaction(() => {
+    trackEventChange(db, survivorId, 'merge', actor, () => {
+      const columns = Object.keys(updates);
+      if (columns.length > 0) {
+        db.prepare(`
+          UPDATE calendar_events
+          SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = datetime('now')
+          WHERE id = ?
+        `).run(...columns.map(column => updates[column]), survivorId);
+      }
+      addedPlayers.forEach(playerId => attachPlayer(db, survivorId, playerId));
+      if (rounds) {
+        replaceRounds(db, survivorId, rounds);
+      }
+    }, `Merged event${loserIds.length === 1 ? '' : 's'} ${loserIds.map(id => `#${id}`).join(', ')}`);
+
+    loserIds.forEach(loserId => {
+      trackEventChange(db, loserId, 'merge_delete', actor, () => softDelete.run(loserId),
+        `Merged into event #${survivorId}`);
+      addAlias.run(loserId, survivorId, actor ? actor.username : null);
+    });
+
+    // Older aliases of the losers follow them to the survivor, and the
+    // survivor answers for its own ID again
+    db.prepare(`UPDATE event_aliases SET event_id = ? WHERE event_id IN (${loserIds.map(() => '?').join(', ')})`)
+      .run(survivorId, ...loserIds);
+    db.prepare('DELETE FROM event_aliases WHERE old_id = ?').run(survivorId);
+
+    // A loser's series link moves to the survivor unless it has its own
+    loserIds.forEach(loserId => {
+      db.prepare('UPDATE OR IGNORE series_editions SET event_id = ? WHERE event_id = ?').run(survivorId, loserId);
+    });
+  })();
+
+  return { sources, players_added: addedPlayers.length };
+}
+
+// The live event an old ID was merged into ({ id, title }), or null. Only
+// consulted when the ID itself is not a live event, so restoring a merged
+// event from the trash makes its own page reachable again.
+function findMergedEvent(db, oldId) {
+  try {
+    return db.prepare(`
+      SELECT e.id, e.title
+      FROM event_aliases a
+      JOIN calendar_events e ON e.id = a.event_id AND e.deleted_at IS NULL
+      WHERE a.old_id = ?
+    `).get(oldId) || null;
+  } catch (error) {
+    // Read-only connections opened before the first migration
+    if (error.message.includes('no such table')) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  MERGEABLE_FIELDS,
+  planMerge,
+  applyMerge,
+  findMergedEvent
+};
@@ -0,0 +1,135 @@
+// Per-round schedule helpers shared by the API and landing servers
+
+const ROUND_TYPES = ['round', 'rest', 'opening', 'closing', 'tiebreak'];
+
+// Typical playing session length per format, used for round end times in ICS output
+const ROUND_DURATION_MINUTES = {
+  classical: 300,
+  rapid: 120,
+  blitz: 60,
+  bullet: 30,
+  freestyle: 180
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Validate and normalize a schedule submitted through the API.
+// Returns { rounds, errors } where errors is a list of messages.
+function validateRounds(input) {
+  const errors = [];
+  const rounds = [];
+
+  if (!Array.isArray(input)) {
+    return { rounds, errors: ['rounds must be an array'] };
+  }
+
+  input.forEach((item, index) => {
+    const prefix = `rounds[${index}]`;
+    if (!item || typeof item !== 'object') {
+      errors.push(`${prefix} must be an object`);
+      return;
+    }
+
+    const roundType = String(item.round_type || 'round').toLowerCase();
+    if (!ROUND_TYPES.includes(roundType)) {
+      errors.push(`${prefix}.round_type must be one of: ${ROUND_TYPES.join(', ')}`);
+    }
+
+    const roundDate = String(item.round_date || item.date || '').trim();
+    if (!DATE_PATTERN.test(roundDate) || isNaN(new Date(roundDate).getTime())) {
+      errors.push(`${prefix}.round_date must be a date in YYYY-MM-DD format`);
+    }
+
+    const startTime = String(item.start_time || '').trim();
+    if (startTime && !TIME_PATTERN.test(startTime)) {
+      errors.push(`${prefix}.start_time must be a time in HH:MM format`);
+    }
+
+    let roundNumber = null;
+    if (item.round_number !== undefined && item.round_number !== null && item.round_number !== '') {
+      roundNumber = parseInt(item.round_number);
+      if (isNaN(roundNumber) || roundNumber < 1) {
+        errors.push(`${prefix}.round_number must be a positive integer`);
+      }
+    } else if (roundType === 'round') {
+      errors.push(`${prefix}.round_number is required for rounds`);
+    }
+
+    rounds.push({
+      round_number: roundNumber,
+      round_type: roundType,
+      round_date: roundDate,
+      start_time: startTime || null,
+      label: item.label ? String(item.label).trim() : null
+    });
+  });
+
+  return { rounds, errors };
+}
+
+// Fetch the schedule for an event. Returns [] when the table does not exist
+// yet, which happens for read-only connections opened before the first migration.
+function getRounds(db, eventId) {
+  try {
+    return db.prepare(`
+      SELECT id, event_id, round_number, round_type, round_date, start_time, label
+      FROM event_rounds
+      WHERE event_id = ?
+      ORDER BY round_date ASC,
+        CASE round_type WHEN 'opening' THEN 0 WHEN 'closing' THEN 2 ELSE 1 END ASC,
+        COALESCE(start_time, '') ASC,
+        COALESCE(round_number, 0) ASC
+    `).all(eventId);
+  } catch (error) {
+    if (error.message.includes('no such table')) {
+      return [];
+    }
+    throw error;
+  }
+}
+
+// Replace the whole schedule of an event in one transaction
+function replaceRounds(db, eventId, rounds) {
+  const deleteStmt = db.prepare('DELETE FROM event_rounds WHERE event_id = ?');
+  const insertStmt = db.prepare(`
+    INSERT INTO event_rounds (event_id, round_number, round_type, round_date, start_time, label)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+
+  const replace = db.transaction(() => {
+    deleteStmt.run(eventId);
+    rounds.forEach(round => {
+      insertStmt.run(eventId, round.round_number, round.round_type, round.round_date, round.start_time, round.label);
+    });
+  });
+
+  replace();
+  return getRounds(db, eventId);
+}
+
+// Human-readable name for a schedule entry
+function describeRound(round) {
+  if (round.label) return round.label;
+  switch (round.round_type) {
+    case 'round': return `Round ${round.round_number}`;
+    case 'rest': return 'Rest Day';
+    case 'opening': return 'Opening Ceremony';
+    case 'closing': return 'Closing Ceremony';
+    case 'tiebreak': return round.round_number ? `Tiebreak ${round.round_number}` : 'Tiebreaks';
+    default: return round.round_type;
+  }
+}
+
+function roundDurationMinutes(format) {
+  return ROUND_DURATION_MINUTES[(format || '').toLowerCase()] || ROUND_DURATION_MINUTES.classical;
+}
+
+module.exports = {
+  ROUND_TYPES,
+  validateRounds,
+  getRounds,
+  replaceRounds,
+  describeRound,
+  roundDurationMinutes
+};
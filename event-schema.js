@@ -0,0 +1,352 @@
+// Declarative schema for calendar events, shared by every write path: the
+// API create/update routes, calendar-api.js, the CSV importer and the admin
+// bulk import (through POST /api/events/validate)
+//
+// validateEvent() checks types, required fields, enums, URLs, dates and
+// end >= start. It returns the normalized values plus a list of errors,
+// each { field, code, message }, so clients can point at the bad field.
+
+const { normalizeTimeControlInput, timeControlColumns } = require('./time-control');
+const { prizeColumns } = require('./prize-fund');
+const { normalizeRRule, normalizeExdates } = require('./recurrence');
+const { resolveTimeZone, timeZoneForLocation } = require('./timezone');
+
+const CONTINENTS = ['Africa', 'Asia', 'Europe', 'North America', 'South America', 'Oceania', 'Online'];
+// Values found in older data and the event sheet, mapped to a continent
+// ('' for none)
+const CONTINENT_ALIASES = { Israel: 'Asia', Unknown: '' };
+// Filter names covering several continents (continent=Americas, the
+// americas feed)
+const CONTINENT_GROUPS = { Americas: ['North America', 'South America'] };
+const STATUSES = ['confirmed', 'tentative', 'postponed', 'cancelled'];
+const VISIBILITIES = ['public', 'private'];
+
+const EVENT_SCHEMA = {
+  title: { type: 'string', required: true, maxLength: 300 },
+  url: { type: 'url', required: true },
+  start_datetime: { type: 'datetime', required: true },
+  end_datetime: { type: 'datetime' },
+  all_day: { type: 'boolean' },
+  timezone: { type: 'timezone' },
+  recurrence_rule: { type: 'rrule' },
+  recurrence_exdates: { type: 'date_list' },
+  location: { type: 'string', maxLength: 300 },
+  venue: { type: 'string', maxLength: 300 },
+  description: { type: 'string', maxLength: 10000 },
+  event_type: { type: 'string', maxLength: 100 },
+  format: { type: 'string', maxLength: 100 },
+  category: { type: 'string', maxLength: 100 },
+  rounds: { type: 'integer', min: 1, max: 200 },
+  special: { type: 'enum', values: ['yes'] },
+  continent: { type: 'enum', values: CONTINENTS, aliases: CONTINENT_ALIASES },
+  live_games: { type: 'string', maxLength: 1000 },
+  prize_fund: { type: 'string', maxLength: 1000 },
+  prize_breakdown: { type: 'prize_breakdown' },
+  landing: { type: 'string', maxLength: 1000 },
+  players: { type: 'string', maxLength: 20000 },
+  time_control: { type: 'time_control' },
+  tags: { type: 'string', maxLength: 500 },
+  color: { type: 'string', maxLength: 30 },
+  priority: { type: 'integer', min: -100, max: 100 },
+  status: { type: 'enum', values: STATUSES },
+  visibility: { type: 'enum', values: VISIBILITIES },
+  metadata: { type: 'json' }
+};
+
+// Accepted but ignored, so a row read from the API can be sent back as is:
+// set by the server or derived from time_control, prize_fund, players and
+// the dates (start and end in ISO 8601)
+const READ_ONLY_FIELDS = [
+  'id', 'created_at', 'updated_at', 'deleted_at', 'ics_uid', 'start', 'end',
+  'tc_base_min', 'tc_increment_sec', 'tc_delay_sec', 'tc_stages', 'fide_category',
+  'prize_amount', 'prize_currency', 'prize_eur', 'prize_usd',
+  'avg_rating', 'top10_avg_rating', 'rated_players'
+];
+
+function isEmpty(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+// "2026-03-01", "2026-03-01 14:00", "2026-03-01T14:00:00" or an ISO string
+// with a UTC offset (converted to UTC) -> "YYYY-MM-DD HH:MM:SS", else null
+function normalizeDatetime(value) {
+  const match = String(value).trim().match(/^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?(Z|[+-]\d{2}:?\d{2})?)?$/);
+  if (!match) return null;
+
+  const [, date, hours = '00', minutes = '00', seconds = '00', offset] = match;
+  const parsed = new Date(`${date}T${hours}:${minutes}:${seconds}${offset ? (offset === 'Z' ? 'Z' : offset) : 'Z'}`);
+  if (isNaN(parsed.getTime())) return null;
+
+  if (offset) {
+    return parsed.toISOString().slice(0, 19).replace('T', ' ');
+  }
+  // Reject dates that JavaScript rolls over, such as 2026-02-30
+  if (!parsed.toISOString().startsWith(`${date}T${hours}:${minutes}:${seconds}`)) return null;
+  return `${date} ${hours}:${minutes}:${seconds}`;
+}
+
+// Returns { value } or { code, message } for one field
+function checkField(field, rule, raw) {
+  switch (rule.type) {
+    case 'string': {
+      if (typeof raw !== 'string' && typeof raw !== 'number') {
+        return { code: 'invalid_type', message: `${field} must be text` };
+      }
+      const value = String(raw).trim();
+      if (rule.maxLength && value.length > rule.maxLength) {
+        return { code: 'too_long', message: `${field} must be at most ${rule.maxLength} characters` };
+      }
+      return { value };
+    }
+
+    case 'url': {
+      let value = String(raw).trim();
+      // Links copied without a scheme ("www.example.com")
+      if (/^www\./i.test(value)) value = `https://${value}`;
+      try {
+        const url = new URL(value);
+        if (!['http:', 'https:'].includes(url.protocol)) throw new Error('unsupported protocol');
+      } catch (e) {
+        return { code: 'invalid_url', message: `${field} must be a valid URL (e.g. https://example.com)` };
+      }
+      return { value };
+    }
+
+    case 'datetime': {
+      const value = normalizeDatetime(raw);
+      if (!value) {
+        return { code: 'invalid_datetime', message: `${field} must be a date (YYYY-MM-DD) or date and time (YYYY-MM-DD HH:MM:SS)` };
+      }
+      return { value };
+    }
+
+    case 'integer': {
+      const value = Number(raw);
+      if (typeof raw === 'boolean' || !Number.isInteger(value)) {
+        return { code: 'invalid_type', message: `${field} must be a whole number` };
+      }
+      if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+        return { code: 'out_of_range', message: `${field} must be between ${rule.min} and ${rule.max}` };
+      }
+      return { value };
+    }
+
+    case 'boolean': {
+      const text = String(raw).trim().toLowerCase();
+      if (['true', '1', 'yes'].includes(text)) return { value: 1 };
+      if (['false', '0', 'no'].includes(text)) return { value: 0 };
+      return { code: 'invalid_type', message: `${field} must be true or false` };
+    }
+
+    case 'enum': {
+      // Case and surrounding spaces are forgiven ("Yes", "europe ")
+      const text = String(raw).trim().toLowerCase();
+      const alias = Object.keys(rule.aliases || {}).find(name => name.toLowerCase() === text);
+      const value = alias !== undefined ? rule.aliases[alias] : rule.values.find(allowed => allowed.toLowerCase() === text);
+      if (value === undefined) {
+        return { code: 'invalid_enum', message: `${field} must be one of: ${rule.values.join(', ')}` };
+      }
+      return { value };
+    }
+
+    case 'json': {
+      if (typeof raw === 'object') return { value: JSON.stringify(raw) };
+      try {
+        JSON.parse(raw);
+        return { value: String(raw) };
+      } catch (e) {
+        return { code: 'invalid_json', message: `${field} must be valid JSON` };
+      }
+    }
+
+    case 'time_control': {
+      try {
+        normalizeTimeControlInput(raw);
+        return { value: raw };
+      } catch (e) {
+        return { code: 'invalid_time_control', message: `${field}: ${e.message}` };
+      }
+    }
+
+    case 'prize_breakdown': {
+      try {
+        prizeColumns('', raw);
+        return { value: raw };
+      } catch (e) {
+        return { code: 'invalid_prize_breakdown', message: e.message };
+      }
+    }
+
+    case 'rrule': {
+      try {
+        return { value: normalizeRRule(raw) };
+      } catch (e) {
+        return { code: 'invalid_rrule', message: `${field}: ${e.message}` };
+      }
+    }
+
+    case 'timezone': {
+      const timeZone = resolveTimeZone(raw);
+      if (!timeZone) {
+        return { code: 'invalid_timezone', message: `${field} must be an IANA time zone such as Europe/Madrid` };
+      }
+      return { value: timeZone };
+    }
+
+    case 'date_list': {
+      try {
+        return { value: normalizeExdates(raw) };
+      } catch (e) {
+        return { code: 'invalid_date_list', message: `${field}: ${e.message}` };
+      }
+    }
+
+    default:
+      throw new Error(`Unknown schema type "${rule.type}" for ${field}`);
+  }
+}
+
+// Validate an event for creating (all required fields) or, with partial,
+// updating the fields present. current is the stored row when updating, used
+// for the end >= start check. optional lists required fields a caller
+// accepts as missing. Returns { value, errors }.
+function validateEvent(input, { partial = false, current = null, optional = [] } = {}) {
+  const value = {};
+  const errors = [];
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { value, errors: [{ field: null, code: 'invalid_type', message: 'event must be a JSON object' }] };
+  }
+
+  Object.keys(input).forEach(field => {
+    if (!EVENT_SCHEMA[field] && !READ_ONLY_FIELDS.includes(field)) {
+      errors.push({ field, code: 'unknown_field', message: `${field} is not an event field` });
+    }
+  });
+
+  Object.entries(EVENT_SCHEMA).forEach(([field, rule]) => {
+    const provided = Object.prototype.hasOwnProperty.call(input, field);
+    if (partial && !provided) return;
+
+    const raw = input[field];
+    if (isEmpty(raw)) {
+      if (rule.required && !optional.includes(field)) {
+        errors.push({ field, code: 'required', message: `${field} is required and cannot be empty` });
+      } else if (provided) {
+        value[field] = ['string', 'url', 'enum'].includes(rule.type) ? '' : null;
+      }
+      return;
+    }
+
+    const result = checkField(field, rule, raw);
+    if (result.code) {
+      errors.push({ field, code: result.code, message: result.message });
+    } else {
+      value[field] = result.value;
+    }
+  });
+
+  const start = value.start_datetime || (current && current.start_datetime);
+  const end = value.end_datetime || (current && current.end_datetime);
+  if (start && end && ('start_datetime' in value || 'end_datetime' in value) && end < start) {
+    errors.push({ field: 'end_datetime', code: 'end_before_start', message: 'end_datetime cannot be before start_datetime' });
+  }
+
+  return { value, errors };
+}
+
+// Column values to store for validated input, including the columns derived
+// from time_control, prize_fund, prize_breakdown and location. current is
+// the stored row when updating (its prize_fund applies to a new breakdown).
+function eventColumns(value, current = null) {
+  const columns = { ...value };
+
+  if ('time_control' in value) {
+    Object.assign(columns, timeControlColumns(normalizeTimeControlInput(value.time_control)));
+  }
+  if ('prize_fund' in value || 'prize_breakdown' in value) {
+    const prizeFund = 'prize_fund' in value ? value.prize_fund : current && current.prize_fund;
+    Object.assign(columns, prizeColumns(prizeFund, value.prize_breakdown));
+  }
+  // The time zone follows the location unless it was set to another one;
+  // an empty time zone goes back to the location's
+  if ('location' in value || 'timezone' in value) {
+    const location = 'location' in value ? value.location : current && current.location;
+    const followsLocation = !current || !current.timezone || current.timezone === timeZoneForLocation(current.location);
+    const zoneUnchanged = !('timezone' in value) || Boolean(current && value.timezone === current.timezone);
+    if (('timezone' in value && !value.timezone) || (zoneUnchanged && followsLocation)) {
+      columns.timezone = timeZoneForLocation(location);
+    }
+  }
+
+  return columns;
+}
+
+// Empty text columns are stored as '' rather than NULL
+const EVENT_TEXT_DEFAULTS = {
+  location: '', event_type: '', format: '', special: '', continent: '', category: '',
+  live_games: '', prize_fund: '', description: '', venue: '', landing: '', players: ''
+};
+
+// Column values for a new event from validated input
+function newEventColumns(input) {
+  const columns = { ...EVENT_TEXT_DEFAULTS, ...eventColumns(input) };
+  if (!columns.end_datetime) {
+    columns.end_datetime = columns.start_datetime;
+  }
+  // Dates without times are all-day
+  if (columns.all_day === undefined || columns.all_day === null) {
+    const untimed = value => String(value).slice(11, 19) === '00:00:00';
+    columns.all_day = untimed(columns.start_datetime) && untimed(columns.end_datetime) ? 1 : 0;
+  }
+  return columns;
+}
+
+// One-off migration: replace legacy continent values with their aliases
+function migrateContinents(db) {
+  const update = db.prepare('UPDATE calendar_events SET continent = ? WHERE continent = ? COLLATE NOCASE');
+  let changed = 0;
+  const migrate = db.transaction(() => {
+    Object.entries(CONTINENT_ALIASES).forEach(([alias, continent]) => {
+      changed += update.run(continent, alias).changes;
+    });
+  });
+  migrate();
+
+  const unknown = db.prepare(`
+    SELECT DISTINCT continent FROM calendar_events
+    WHERE continent != '' AND continent NOT IN (${CONTINENTS.map(() => '?').join(', ')})
+  `).all(...CONTINENTS).map(row => row.continent);
+  console.log(`Continent migration: updated ${changed} events`);
+  if (unknown.length > 0) {
+    console.warn(`⚠️  Continents outside the list remain: ${unknown.join(', ')}`);
+  }
+}
+
+// Continents matched by a continent filter value
+function continentFilterValues(name) {
+  const group = Object.keys(CONTINENT_GROUPS).find(key => key.toLowerCase() === String(name).toLowerCase());
+  return group ? CONTINENT_GROUPS[group] : [name];
+}
+
+// Body of a 400 response. details keeps the plain messages older clients show.
+function validationErrorBody(errors) {
+  return {
+    error: 'Validation failed: ' + errors.map(error => error.message).join(', '),
+    details: errors.map(error => error.message),
+    errors
+  };
+}
+
+module.exports = {
+  EVENT_SCHEMA,
+  CONTINENTS,
+  STATUSES,
+  VISIBILITIES,
+  validateEvent,
+  eventColumns,
+  newEventColumns,
+  validationErrorBody,
+  continentFilterValues,
+  migrateContinents
+};
@@ -0,0 +1,87 @@
+// Full-text search over calendar_events using the calendar_events_fts
+// FTS5 index (created and kept in sync by triggers in schema.js)
+//
+// User input is turned into a safe FTS5 query: words must all match,
+// "quoted text" matches a phrase, a trailing * matches a prefix (carls*)
+// and an uppercase OR between terms matches either side.
+
+const SEARCH_COLUMNS = ['title', 'location', 'players', 'description', 'venue', 'category'];
+
+// bm25() weights in SEARCH_COLUMNS order: a hit in the title counts most
+const COLUMN_WEIGHTS = [10.0, 3.0, 5.0, 1.0, 2.0, 2.0];
+
+const SNIPPET_TOKENS = 12;
+
+function quoteTerm(term) {
+  return `"${term.replace(/"/g, '""')}"`;
+}
+
+// Returns null when the input has nothing searchable
+function buildFtsQuery(input) {
+  const parts = [];
+  const pattern = /"([^"]*)"|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(String(input || ''))) !== null) {
+    if (match[1] !== undefined) {
+      if (match[1].trim()) parts.push(quoteTerm(match[1].trim()));
+      continue;
+    }
+
+    const word = match[2];
+    if (word === 'OR') {
+      if (parts.length && parts[parts.length - 1] !== 'OR') parts.push('OR');
+      continue;
+    }
+
+    const prefix = word.endsWith('*');
+    const term = word.replace(/\*+$/, '').replace(/[^\p{L}\p{N}'.&-]/gu, '');
+    if (!/[\p{L}\p{N}]/u.test(term)) continue;
+    parts.push(quoteTerm(term) + (prefix ? '*' : ''));
+  }
+
+  if (parts[parts.length - 1] === 'OR') parts.pop();
+  return parts.length ? parts.join(' ') : null;
+}
+
+// JOIN clause that restricts calendar_events to matches and exposes
+// search_rank (lower is better) and search_snippet. The bound parameter is
+// the output of buildFtsQuery().
+function searchJoin() {
+  return `
+    JOIN (
+      SELECT rowid AS event_id,
+        bm25(calendar_events_fts, ${COLUMN_WEIGHTS.join(', ')}) AS search_rank,
+        snippet(calendar_events_fts, -1, '<mark>', '</mark>', '…', ${SNIPPET_TOKENS}) AS search_snippet
+      FROM calendar_events_fts
+      WHERE calendar_events_fts MATCH ?
+    ) search ON search.event_id = calendar_events.id`;
+}
+
+// FTS5 rejects some queries at execution time (e.g. a bare "OR")
+function isSearchSyntaxError(error) {
+  return /fts5: syntax error|unterminated string|no such column/.test(error.message);
+}
+
+// Ranked search used by the CLI
+function searchEvents(db, input, limit = 20) {
+  const ftsQuery = buildFtsQuery(input);
+  if (!ftsQuery) return [];
+
+  return db.prepare(`
+    SELECT calendar_events.*, search.search_rank, search.search_snippet
+    FROM calendar_events
+    ${searchJoin()}
+    WHERE calendar_events.deleted_at IS NULL
+    ORDER BY search.search_rank ASC, calendar_events.start_datetime ASC
+    LIMIT ?
+  `).all(ftsQuery, limit);
+}
+
+module.exports = {
+  SEARCH_COLUMNS,
+  buildFtsQuery,
+  searchJoin,
+  searchEvents,
+  isSearchSyntaxError
+};
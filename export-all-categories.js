@@ -1,5 +1,6 @@
 const Database = require('better-sqlite3');
 const fs = require('fs');
+const { continentFilterValues } = require('./event-schema');
 
 // Open the database
 const db = new Database('calendar-2026.db', { readonly: true });
@@ -48,12 +49,15 @@ writeJSON('womens-events', womensEvents, "Women's tournaments");
 
 // 4. EVENTS BY CONTINENT
 const continents = ['Europe', 'Asia', 'Americas', 'Africa', 'Oceania'];
+// Americas covers North and South America
+const continentCondition = continent =>
+  `LOWER(continent) IN (${continentFilterValues(continent).map(() => 'LOWER(?)').join(', ')})`;
 continents.forEach(continent => {
   const events = db.prepare(`
     SELECT * FROM calendar_events 
-    WHERE LOWER(continent) = LOWER(?) AND deleted_at IS NULL
+    WHERE ${continentCondition(continent)} AND deleted_at IS NULL
     ORDER BY start_datetime ASC
-  `).all(continent);
+  `).all(...continentFilterValues(continent));
   writeJSON(`${continent.toLowerCase()}-events`, events, `${continent} tournaments`);
 });
 
@@ -164,8 +168,8 @@ console.log('\nBy Continent:');
 continents.forEach(continent => {
   const count = db.prepare(`
     SELECT COUNT(*) as count FROM calendar_events 
-    WHERE LOWER(continent) = LOWER(?) AND deleted_at IS NULL
-  `).get(continent).count;
+    WHERE ${continentCondition(continent)} AND deleted_at IS NULL
+  `).get(...continentFilterValues(continent)).count;
   console.log(`  ${continent}: ${count}`);
 });
 console.log('\nBy Format:');
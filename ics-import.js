@@ -0,0 +1,403 @@
+// iCalendar (.ics) import, for federation calendars
+//
+// parseIcs() reads the VEVENTs of a calendar file: all-day and timed events
+// (UTC, TZID or floating times), DTEND or DURATION, RRULE/EXDATE, and
+// modified occurrences (RECURRENCE-ID), which are left out of their
+// recurring event and imported as events of their own.
+//
+// planIcsImport() maps each VEVENT onto calendar_events and decides what to
+// do with it, without writing anything (the dry-run preview):
+//   create     a new event
+//   update     has the UID of an event imported before, which has changed
+//   unchanged  has the UID of an event imported before, nothing changed
+//   deleted    has the UID of an event in the trash; not brought back
+//   similar    looks like an existing event (see duplicate-detection.js);
+//              only created when the preview says to include it
+//   invalid    fails validation
+// applyIcsImport() then writes the plan. Imported events keep their UID in
+// calendar_events.ics_uid; our own feeds' UIDs (chess-<id>@...) match the
+// event with that id.
+
+const { validateEvent, eventColumns, newEventColumns, EVENT_SCHEMA } = require('./event-schema');
+const { trackEventChange } = require('./event-history');
+const { findBestMatches } = require('./duplicate-detection');
+const { resolveTimeZone, zonedTimeToUtc, localDate } = require('./timezone');
+const { isAllDay } = require('./ics');
+
+// CATEGORIES values that set the format
+const FORMATS = ['Classical', 'Rapid', 'Blitz', 'Bullet', 'Freestyle'];
+const OWN_UID = /^chess-(\d+)@chesscalendar\.local$/;
+
+// URLs are optional, as in the CSV import: many federation calendars
+// don't link each tournament
+const VALIDATION_OPTIONS = { optional: ['url'] };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function unfoldLines(text) {
+  return String(text).replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n').filter(line => line.trim());
+}
+
+// 'DTSTART;TZID="Europe/Madrid":20260301T100000' -> { name, params, value }
+function parseContentLine(line) {
+  let quoted = false;
+  let colon = -1;
+  for (let i = 0; i < line.length && colon === -1; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    else if (line[i] === ':' && !quoted) colon = i;
+  }
+  if (colon === -1) return null;
+
+  const [name, ...rawParams] = line.slice(0, colon).split(';');
+  const params = {};
+  rawParams.forEach(param => {
+    const equals = param.indexOf('=');
+    if (equals > 0) params[param.slice(0, equals).toUpperCase()] = param.slice(equals + 1).replace(/^"|"$/g, '');
+  });
+  return { name: name.trim().toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+function unescapeText(value) {
+  return String(value).replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char)).trim();
+}
+
+// "+0100" -> 60
+function parseOffset(value) {
+  const match = String(value || '').trim().match(/^([+-])(\d{2})(\d{2})/);
+  if (!match) return null;
+  return (match[1] === '-' ? -1 : 1) * (parseInt(match[2]) * 60 + parseInt(match[3]));
+}
+
+// Calendar name, the standard UTC offset of each VTIMEZONE (for zone names
+// Intl doesn't know) and the properties of each VEVENT ({ NAME: [props] })
+function parseIcs(text) {
+  const lines = unfoldLines(text);
+  if (lines.length === 0 || lines[0].trim().toUpperCase() !== 'BEGIN:VCALENDAR') {
+    throw new Error('Not an iCalendar file: it must start with BEGIN:VCALENDAR');
+  }
+
+  const calendar = { name: null, timezones: {}, events: [] };
+  const stack = [];
+  lines.forEach(line => {
+    const prop = parseContentLine(line);
+    if (!prop) return;
+
+    if (prop.name === 'BEGIN') {
+      stack.push({ type: prop.value.trim().toUpperCase(), props: {}, offsets: [] });
+      return;
+    }
+    if (prop.name === 'END') {
+      const component = stack.pop();
+      const parent = stack[stack.length - 1];
+      if (!component) return;
+      if (component.type === 'VEVENT' && parent && parent.type === 'VCALENDAR') {
+        calendar.events.push(component.props);
+      } else if ((component.type === 'STANDARD' || component.type === 'DAYLIGHT') && parent && parent.type === 'VTIMEZONE') {
+        const offset = parseOffset(component.props.TZOFFSETTO && component.props.TZOFFSETTO[0].value);
+        if (offset !== null) parent.offsets.push({ type: component.type, offset });
+      } else if (component.type === 'VTIMEZONE' && component.props.TZID) {
+        const standard = component.offsets.find(entry => entry.type === 'STANDARD') || component.offsets[0];
+        if (standard) calendar.timezones[component.props.TZID[0].value] = standard.offset;
+      }
+      return;
+    }
+
+    const component = stack[stack.length - 1];
+    if (!component) return;
+    if (component.type === 'VCALENDAR' && prop.name === 'X-WR-CALNAME') {
+      calendar.name = unescapeText(prop.value);
+    }
+    (component.props[prop.name] = component.props[prop.name] || []).push(prop);
+  });
+
+  return calendar;
+}
+
+function toDatetime(time) {
+  return new Date(time).toISOString().slice(0, 19).replace('T', ' ');
+}
+
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// A DATE or DATE-TIME value: { allDay: true, date } or { allDay: false,
+// time } (UTC timestamp). Times in unknown zones fall back to the
+// VTIMEZONE's standard offset, floating times are taken as UTC.
+function parseDateValue(value, params, timezones, warnings) {
+  const text = String(value).trim();
+  const dateMatch = text.match(/^(\d{4})(\d{2})(\d{2})$/);
+  if (dateMatch) {
+    return { allDay: true, date: `${dateMatch[1]}-${dateMatch[2]}-${dateMatch[3]}` };
+  }
+
+  const match = text.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/);
+  if (!match || params.VALUE === 'DATE') {
+    throw new Error(`"${text}" is not an iCalendar date`);
+  }
+  const local = `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}`;
+  if (isNaN(Date.parse(`${local}Z`))) {
+    throw new Error(`"${text}" is not a valid date`);
+  }
+
+  if (match[7]) {
+    return { allDay: false, time: Date.parse(`${local}Z`) };
+  }
+  if (params.TZID) {
+    const zone = resolveTimeZone(params.TZID);
+    if (zone) {
+      return { allDay: false, time: zonedTimeToUtc(local, zone) };
+    }
+    if (timezones[params.TZID] !== undefined) {
+      warnings.add(`Time zone "${params.TZID}" is not known; used its standard offset, ignoring daylight saving time`);
+      return { allDay: false, time: Date.parse(`${local}Z`) - timezones[params.TZID] * 60000 };
+    }
+    warnings.add(`Time zone "${params.TZID}" is not known; times taken as UTC`);
+  } else {
+    warnings.add('Times without a time zone taken as UTC');
+  }
+  return { allDay: false, time: Date.parse(`${local}Z`) };
+}
+
+// "P1D", "PT2H30M", "P1W" -> milliseconds, or null
+function parseDuration(value) {
+  const match = String(value).trim().match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) return null;
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  const total = ((Number(weeks) * 7 + Number(days)) * 86400 + Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds)) * 1000;
+  return sign === '-' ? -total : total;
+}
+
+function truncate(input, field, warnings) {
+  const maxLength = EVENT_SCHEMA[field].maxLength;
+  if (input[field] && input[field].length > maxLength) {
+    input[field] = input[field].slice(0, maxLength);
+    warnings.add(`${field} shortened to ${maxLength} characters`);
+  }
+}
+
+// Event fields of one VEVENT, with its UID, RECURRENCE-ID date and the
+// problems found
+function readVevent(props, timezones) {
+  const first = name => (props[name] || [])[0];
+  const text = name => (first(name) ? unescapeText(first(name).value) : '');
+  const warnings = new Set();
+  const errors = [];
+  const input = {};
+
+  input.title = text('SUMMARY');
+  input.location = text('LOCATION');
+  input.description = text('DESCRIPTION');
+  ['title', 'location', 'description'].forEach(field => truncate(input, field, warnings));
+
+  const url = text('URL') || (input.description.match(/https?:\/\/[^\s<>"]+/) || [])[0] || '';
+  if (/^https?:\/\//i.test(url)) {
+    input.url = url;
+  } else if (url) {
+    warnings.add(`URL "${url}" is not a web address and was left out`);
+  }
+
+  const categories = (props.CATEGORIES || []).flatMap(prop => prop.value.split(/(?<!\\),/).map(unescapeText)).filter(Boolean);
+  if (categories.length > 0) {
+    input.tags = categories.join(', ');
+    truncate(input, 'tags', warnings);
+    const format = FORMATS.find(name => categories.some(category => category.toLowerCase() === name.toLowerCase()));
+    if (format) input.format = format;
+  }
+
+  const status = text('STATUS').toUpperCase();
+  if (status) input.status = { CANCELLED: 'cancelled', TENTATIVE: 'tentative' }[status] || 'confirmed';
+
+  let allDay = false;
+  // Skipped dates are local dates in the event's zone, like its occurrences
+  const dateOf = (prop, value = prop.value) => {
+    const parsed = parseDateValue(value, prop.params, timezones, warnings);
+    return parsed.allDay ? parsed.date : localDate(toDatetime(parsed.time), input.timezone || null);
+  };
+  try {
+    const dtstart = first('DTSTART');
+    if (!dtstart) throw new Error('DTSTART is missing');
+    const start = parseDateValue(dtstart.value, dtstart.params, timezones, warnings);
+    const dtend = first('DTEND');
+    const end = dtend ? parseDateValue(dtend.value, dtend.params, timezones, warnings) : null;
+    const duration = first('DURATION') ? parseDuration(first('DURATION').value) : null;
+    allDay = start.allDay;
+
+    if (start.allDay) {
+      // DTEND is exclusive: an event on the 1st and 2nd ends on the 3rd
+      let lastDay = start.date;
+      if (end) {
+        lastDay = addDays(end.allDay ? end.date : toDatetime(end.time).slice(0, 10), -1);
+      } else if (duration) {
+        lastDay = addDays(start.date, Math.max(1, Math.round(duration / DAY_MS)) - 1);
+      }
+      input.all_day = true;
+      input.start_datetime = `${start.date} 00:00:00`;
+      input.end_datetime = `${lastDay < start.date ? start.date : lastDay} 00:00:00`;
+    } else {
+      const endTime = end ? (end.allDay ? Date.parse(`${end.date}T00:00:00Z`) : end.time) : start.time + (duration || 0);
+      input.all_day = false;
+      input.start_datetime = toDatetime(start.time);
+      input.end_datetime = toDatetime(Math.max(start.time, endTime));
+      const timeZone = dtstart.params.TZID && resolveTimeZone(dtstart.params.TZID);
+      if (timeZone) input.timezone = timeZone;
+    }
+
+    if (first('RRULE')) {
+      input.recurrence_rule = first('RRULE').value.trim();
+      if (props.RRULE.length > 1) warnings.add('Only the first RRULE was imported');
+    }
+    const exdates = (props.EXDATE || []).flatMap(prop => prop.value.split(',').map(value => dateOf(prop, value)));
+    if (exdates.length > 0) input.recurrence_exdates = exdates;
+    if (props.RDATE) warnings.add('Extra dates (RDATE) are not supported and were left out');
+  } catch (error) {
+    errors.push(error.message);
+  }
+
+  let recurrenceId = null;
+  if (first('RECURRENCE-ID')) {
+    try {
+      recurrenceId = dateOf(first('RECURRENCE-ID'));
+    } catch (error) {
+      errors.push(`RECURRENCE-ID: ${error.message}`);
+    }
+  }
+
+  return { uid: text('UID') || null, recurrenceId, allDay, cancelled: status === 'CANCELLED', input, warnings, errors };
+}
+
+function sameValue(a, b) {
+  return String(a ?? '') === String(b ?? '');
+}
+
+// The dry-run preview of importing a parsed calendar. threshold is the
+// duplicate score above which events without a UID match count as similar.
+function planIcsImport(db, calendar, { threshold } = {}) {
+  const vevents = calendar.events.map((props, index) => ({ index, ...readVevent(props, calendar.timezones) }));
+  const recurring = new Map(vevents.filter(vevent => vevent.uid && !vevent.recurrenceId).map(vevent => [vevent.uid, vevent]));
+
+  const items = [];
+  const keys = new Set();
+  vevents.forEach(vevent => {
+    if (vevent.recurrenceId) {
+      // A moved or cancelled occurrence: skipped in the recurring event, and
+      // imported on its own unless cancelled
+      const parent = recurring.get(vevent.uid);
+      if (parent) {
+        parent.input.recurrence_exdates = (parent.input.recurrence_exdates || []).concat(vevent.recurrenceId);
+      }
+      if (vevent.cancelled) return;
+      delete vevent.input.recurrence_rule;
+      delete vevent.input.recurrence_exdates;
+      vevent.key = `${vevent.uid}#${vevent.recurrenceId}`;
+    } else {
+      vevent.key = vevent.uid || `#${vevent.index + 1}`;
+    }
+
+    if (keys.has(vevent.key)) {
+      vevent.errors.push('The UID appears more than once in the file');
+    }
+    keys.add(vevent.key);
+    items.push(vevent);
+  });
+
+  const findByUid = db.prepare('SELECT * FROM calendar_events WHERE ics_uid = ? ORDER BY deleted_at IS NOT NULL, id LIMIT 1');
+  const findById = db.prepare('SELECT * FROM calendar_events WHERE id = ?');
+  const unmatched = [];
+
+  const planned = items.map(vevent => {
+    const item = {
+      key: vevent.key,
+      index: vevent.index,
+      uid: vevent.uid,
+      value: null,
+      match: null,
+      changes: null,
+      errors: vevent.errors,
+      warnings: [...vevent.warnings]
+    };
+
+    if (item.errors.length === 0) {
+      const { value, errors } = validateEvent(vevent.input, VALIDATION_OPTIONS);
+      item.value = value;
+      errors.forEach(error => item.errors.push(error.message));
+    }
+    if (item.errors.length > 0) {
+      return { ...item, action: 'invalid' };
+    }
+
+    const ownId = vevent.uid && (vevent.uid.match(OWN_UID) || [])[1];
+    const existing = (ownId && findById.get(ownId)) || (vevent.key.startsWith('#') ? null : findByUid.get(vevent.key));
+    if (!existing) {
+      unmatched.push(item);
+      return item;
+    }
+
+    item.match = { id: existing.id, title: existing.title, start_datetime: existing.start_datetime, by: 'uid' };
+    if (existing.deleted_at) {
+      return { ...item, action: 'deleted' };
+    }
+
+    // Fields the calendar leaves empty keep their current value. Our feeds
+    // export events without times as all-day, which isn't a change.
+    const columns = eventColumns(item.value, existing);
+    if (columns.all_day && isAllDay(existing)) delete columns.all_day;
+    const changes = {};
+    Object.entries(columns).forEach(([field, to]) => {
+      if (to !== null && to !== '' && !sameValue(existing[field], to)) {
+        changes[field] = { from: existing[field] ?? null, to };
+      }
+    });
+    item.changes = changes;
+    return { ...item, action: Object.keys(changes).length > 0 ? 'update' : 'unchanged' };
+  });
+
+  const matches = findBestMatches(db, unmatched.map(item => item.value), threshold !== undefined ? { threshold } : {});
+  unmatched.forEach((item, index) => {
+    item.action = matches[index] ? 'similar' : 'create';
+    if (matches[index]) item.match = { ...matches[index], by: 'similar' };
+  });
+
+  const summary = { total: planned.length, create: 0, update: 0, unchanged: 0, deleted: 0, similar: 0, invalid: 0 };
+  planned.forEach(item => { summary[item.action]++; });
+  return { calendar: calendar.name, summary, items: planned };
+}
+
+// Write a plan from planIcsImport(): create the new events (and the similar
+// ones whose keys are in include) and apply the updates. note is recorded
+// in the history of each event. Returns { created, updated } event ids.
+function applyIcsImport(db, plan, actor, { include = [], note = null } = {}) {
+  const included = new Set(include);
+  const created = [];
+  const updated = [];
+
+  db.transaction(() => {
+    plan.items.forEach(item => {
+      if (item.action === 'create' || (item.action === 'similar' && included.has(item.key))) {
+        const columns = { ...newEventColumns(item.value), ics_uid: item.key.startsWith('#') ? null : item.key };
+        const fields = Object.keys(columns);
+        const info = trackEventChange(db, null, 'create', actor, () => db.prepare(`
+          INSERT INTO calendar_events (${fields.join(', ')}, created_at, updated_at)
+          VALUES (${fields.map(() => '?').join(', ')}, datetime('now'), datetime('now'))
+        `).run(...fields.map(field => columns[field])), note);
+        created.push(Number(info.lastInsertRowid));
+      } else if (item.action === 'update') {
+        const fields = Object.keys(item.changes);
+        trackEventChange(db, item.match.id, 'update', actor, () => db.prepare(`
+          UPDATE calendar_events
+          SET ${fields.map(field => `${field} = ?`).join(', ')}, updated_at = datetime('now')
+          WHERE id = ?
+        `).run(...fields.map(field => item.changes[field].to), item.match.id), note);
+        updated.push(item.match.id);
+      }
+    });
+  })();
+
+  return { created, updated };
+}
+
+module.exports = {
+  parseIcs,
+  planIcsImport,
+  applyIcsImport
+};
@@ -0,0 +1,295 @@
+// iCalendar (RFC 5545) helpers shared by the API servers
+
+const { describeRound, roundDurationMinutes } = require('./event-rounds');
+const { parseExdates } = require('./recurrence');
+const { timeZoneOffset, timeZoneTransitions, zonedTimeToUtc, isoDatetime, formatOffset } = require('./timezone');
+
+const ICS_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Escape special characters in text fields
+function escapeText(text) {
+  if (!text) return '';
+  return String(text).replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Format a stored datetime as a UTC timestamp (YYYYMMDDTHHMMSSZ). Stored
+// datetimes ("2026-03-01 14:00:00") are UTC.
+function formatUtc(dateStr) {
+  const text = String(dateStr);
+  const date = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2})?$/.test(text) ? new Date(`${text.replace(' ', 'T')}Z`) : new Date(dateStr);
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Format a stored datetime as wall-clock time in the zone, for use with
+// TZID (YYYYMMDDTHHMMSS)
+function formatZoned(dateStr, timeZone) {
+  return isoDatetime(dateStr, timeZone).slice(0, 19).replace(/[-:]/g, '');
+}
+
+// "2026-03-01" -> "20260301" (DATE value)
+function formatDate(dateStr) {
+  return String(dateStr).slice(0, 10).replace(/-/g, '');
+}
+
+// Format a date and optional HH:MM time as floating local time (no Z suffix)
+function formatLocal(dateStr, time) {
+  return `${dateStr.replace(/-/g, '')}T${time.replace(':', '')}00`;
+}
+
+function addMinutes(dateStr, time, minutes) {
+  const [hours, mins] = time.split(':').map(Number);
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCMinutes(hours * 60 + mins + minutes);
+  const iso = date.toISOString();
+  return { date: iso.slice(0, 10), time: iso.slice(11, 16) };
+}
+
+function nextDay(dateStr) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().slice(0, 10);
+}
+
+// Flagged all-day, or stored without times like most tournaments
+// ("2026-03-01 00:00:00" to "2026-03-09 00:00:00", the last day)
+function isAllDay(event) {
+  const untimed = value => !value || String(value).slice(11, 19) === '' || String(value).slice(11, 19) === '00:00:00';
+  return Number(event.all_day) === 1 || (untimed(event.start_datetime) && untimed(event.end_datetime));
+}
+
+const VEVENT_STATUS = { confirmed: 'CONFIRMED', tentative: 'TENTATIVE', postponed: 'TENTATIVE', cancelled: 'CANCELLED' };
+
+// RRULE and EXDATE lines of a recurring event. EXDATE takes the type of
+// DTSTART: dates for all-day events, otherwise times with the first
+// occurrence's time, local to timeZone when given and else UTC. A date-only
+// UNTIL becomes the end of that day, in UTC as RFC 5545 requires.
+function recurrenceLines(event, allDay, timeZone = null) {
+  if (!event.recurrence_rule) return [];
+
+  const rule = allDay ? event.recurrence_rule : event.recurrence_rule.replace(/UNTIL=(\d{4})(\d{2})(\d{2})(?=;|$)/, (match, year, month, day) => {
+    const endOfDay = timeZone ? new Date(zonedTimeToUtc(`${year}-${month}-${day}T23:59:59`, timeZone)) : `${year}-${month}-${day} 23:59:59`;
+    return `UNTIL=${formatUtc(endOfDay)}`;
+  });
+  const lines = [`RRULE:${rule}`];
+  const exdates = parseExdates(event.recurrence_exdates);
+  if (exdates.length > 0 && allDay) {
+    lines.push(`EXDATE;VALUE=DATE:${exdates.map(formatDate).join(',')}`);
+  } else if (exdates.length > 0 && timeZone) {
+    const time = formatZoned(event.start_datetime, timeZone).slice(8);
+    lines.push(`EXDATE;TZID=${timeZone}:${exdates.map(date => formatDate(date) + time).join(',')}`);
+  } else if (exdates.length > 0) {
+    const time = String(event.start_datetime).slice(11, 19) || '00:00:00';
+    lines.push(`EXDATE:${exdates.map(date => formatUtc(`${date} ${time}`)).join(',')}`);
+  }
+  return lines;
+}
+
+// sequence is the number of revisions (see getEventSequences), so calendar
+// apps replace their copy when an event changes
+// Recurring timed events with a time zone are written in that zone's local
+// time (DTSTART;TZID=...), so their occurrences follow its DST changes;
+// buildCalendar() adds the VTIMEZONE.
+function buildEventVevent(event, { sequence = 0 } = {}) {
+  const allDay = isAllDay(event);
+  const startDate = String(event.start_datetime).slice(0, 10);
+  // Some imported events end before they start
+  const endDate = [startDate, String(event.end_datetime || event.start_datetime).slice(0, 10)].sort()[1];
+  const timeZone = !allDay && event.recurrence_rule && event.timezone ? event.timezone : null;
+
+  let times;
+  if (allDay) {
+    // The DTEND of an all-day event is the day after the last day
+    times = [`DTSTART;VALUE=DATE:${formatDate(startDate)}`, `DTEND;VALUE=DATE:${formatDate(nextDay(endDate))}`];
+  } else if (timeZone) {
+    times = [
+      `DTSTART;TZID=${timeZone}:${formatZoned(event.start_datetime, timeZone)}`,
+      `DTEND;TZID=${timeZone}:${formatZoned(event.end_datetime || event.start_datetime, timeZone)}`
+    ];
+  } else {
+    times = [`DTSTART:${formatUtc(event.start_datetime)}`, `DTEND:${formatUtc(event.end_datetime || event.start_datetime)}`];
+  }
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:chess-${event.id}@chesscalendar.local`,
+    `DTSTAMP:${formatUtc(event.updated_at || event.created_at || new Date())}`,
+    ...times,
+    ...recurrenceLines(event, allDay, timeZone),
+    `SEQUENCE:${sequence}`,
+    ...(event.updated_at ? [`LAST-MODIFIED:${formatUtc(event.updated_at)}`] : []),
+    `SUMMARY:${escapeText(event.title)}`,
+    `LOCATION:${escapeText(event.location)}`,
+    `URL:${event.url || ''}`,
+    `DESCRIPTION:${escapeText(event.description || `${event.format || ''} ${event.event_type || ''} chess tournament`)}`,
+    `CATEGORIES:${escapeText(event.format || 'Chess')}`,
+    `STATUS:${VEVENT_STATUS[event.status] || 'CONFIRMED'}`,
+    'END:VEVENT'
+  ];
+}
+
+// One VEVENT per schedule entry. Entries with a start time become timed
+// events in the venue's local time (TZID of the event's time zone, floating
+// when it has none); entries without one are all-day. sequence is the
+// event's, so schedule changes reach subscribers with the event update.
+function buildRoundVevents(event, rounds, { sequence = 0 } = {}) {
+  const duration = roundDurationMinutes(event.format);
+  const lines = [];
+
+  rounds.forEach(round => {
+    const name = describeRound(round);
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:chess-${event.id}-round-${round.id}@chesscalendar.local`,
+      `DTSTAMP:${formatUtc(event.updated_at || new Date())}`
+    );
+
+    if (round.start_time) {
+      const end = addMinutes(round.round_date, round.start_time, duration);
+      const tzid = event.timezone ? `;TZID=${event.timezone}` : '';
+      lines.push(
+        `DTSTART${tzid}:${formatLocal(round.round_date, round.start_time)}`,
+        `DTEND${tzid}:${formatLocal(end.date, end.time)}`
+      );
+    } else {
+      lines.push(
+        `DTSTART;VALUE=DATE:${round.round_date.replace(/-/g, '')}`,
+        `DTEND;VALUE=DATE:${nextDay(round.round_date).replace(/-/g, '')}`
+      );
+    }
+
+    lines.push(
+      `SEQUENCE:${sequence}`,
+      `SUMMARY:${escapeText(`${event.title} - ${name}`)}`,
+      `LOCATION:${escapeText(event.location)}`,
+      `URL:${event.url || ''}`,
+      `CATEGORIES:${escapeText(event.format || 'Chess')}`,
+      `RELATED-TO:chess-${event.id}@chesscalendar.local`,
+      'STATUS:CONFIRMED',
+      'END:VEVENT'
+    );
+  });
+
+  return lines;
+}
+
+// Fold content lines longer than 75 octets as required by RFC 5545
+function foldLine(line) {
+  if (Buffer.byteLength(line, 'utf8') <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char, 'utf8') > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// "+0200" (UTC offset value)
+function formatIcsOffset(minutes) {
+  return formatOffset(minutes).replace(':', '');
+}
+
+// YEARLY rule for a change on the same weekday of the month every year,
+// e.g. "FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU" for the last Sunday of March
+function yearlyTransitionRule(local) {
+  const day = local.getUTCDate();
+  const monthDays = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth() + 1, 0)).getUTCDate();
+  const nth = day + 7 > monthDays ? -1 : Math.ceil(day / 7);
+  return `FREQ=YEARLY;BYMONTH=${local.getUTCMonth() + 1};BYDAY=${nth}${ICS_WEEKDAYS[local.getUTCDay()]}`;
+}
+
+// Day of the month a yearly transition rule falls on in the given year
+function transitionRuleDay(rule, year) {
+  const [, month, nth, weekday] = rule.match(/BYMONTH=(\d+);BYDAY=(-?\d)(\w\w)/);
+  const monthDays = new Date(Date.UTC(year, Number(month), 0)).getUTCDate();
+  const days = Array.from({ length: monthDays }, (_, i) => i + 1)
+    .filter(day => ICS_WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()] === weekday);
+  return Number(nth) > 0 ? days[nth - 1] : days[days.length - 1];
+}
+
+// VTIMEZONE for a zone used from the given year on, built from its offset
+// changes through Intl. The observances start the year before, so they
+// cover every date of that year; changes that follow a yearly rule repeat.
+function buildVtimezone(timeZone, year) {
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+  const transitions = timeZoneTransitions(timeZone, year - 1);
+  const following = timeZoneTransitions(timeZone, year);
+
+  if (transitions.length === 0) {
+    const offset = formatIcsOffset(timeZoneOffset(timeZone, Date.UTC(year, 0, 1)));
+    lines.push('BEGIN:STANDARD', 'DTSTART:19700101T000000', `TZOFFSETFROM:${offset}`, `TZOFFSETTO:${offset}`, 'END:STANDARD');
+  }
+
+  transitions.forEach(transition => {
+    const kind = transition.to > transition.from ? 'DAYLIGHT' : 'STANDARD';
+    // Onset in the local time before the change
+    const local = new Date(transition.time + transition.from * 60000);
+    const rule = yearlyTransitionRule(local);
+    const repeats = following.some(next => {
+      const nextLocal = new Date(next.time + next.from * 60000);
+      return next.from === transition.from && next.to === transition.to &&
+        nextLocal.getUTCMonth() === local.getUTCMonth() && nextLocal.getUTCDate() === transitionRuleDay(rule, year);
+    });
+
+    lines.push(
+      `BEGIN:${kind}`,
+      `DTSTART:${local.toISOString().slice(0, 19).replace(/[-:]/g, '')}`,
+      `TZOFFSETFROM:${formatIcsOffset(transition.from)}`,
+      `TZOFFSETTO:${formatIcsOffset(transition.to)}`,
+      ...(repeats ? [`RRULE:${rule}`] : []),
+      `END:${kind}`
+    );
+  });
+
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
+
+// VTIMEZONEs for the zones the events refer to with TZID, each from the
+// earliest year it is used in
+function timeZoneComponents(veventLines) {
+  const firstYears = new Map();
+  veventLines.forEach(line => {
+    const match = line.match(/^(?:DTSTART|DTEND|EXDATE);TZID=([^:;]+):(\d{4})/);
+    if (match && !(firstYears.get(match[1]) <= Number(match[2]))) {
+      firstYears.set(match[1], Number(match[2]));
+    }
+  });
+  return [...firstYears].flatMap(([timeZone, year]) => buildVtimezone(timeZone, year));
+}
+
+// refreshInterval (an ISO 8601 duration such as "PT1H") tells subscribed
+// calendar apps how often to poll
+function buildCalendar(name, veventLines, { refreshInterval = null } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Chess Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    'X-WR-TIMEZONE:UTC',
+    ...(refreshInterval ? [`REFRESH-INTERVAL;VALUE=DURATION:${refreshInterval}`, `X-PUBLISHED-TTL:${refreshInterval}`] : []),
+    ...timeZoneComponents(veventLines),
+    ...veventLines,
+    'END:VCALENDAR'
+  ];
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  escapeText,
+  isAllDay,
+  buildEventVevent,
+  buildRoundVevents,
+  buildCalendar
+};
@@ -2,6 +2,9 @@ const fs = require('fs');
 const csv = require('csv-parser');
 const Database = require('better-sqlite3');
 const path = require('path');
+const { ensureSchema } = require('./schema');
+const { setEventPlayersFromText } = require('./players');
+const { EVENT_SCHEMA, validateEvent, eventColumns } = require('./event-schema');
 
 // Create/open SQLite database
 const db = new Database('calendar-2026.db');
@@ -9,18 +12,24 @@ const db = new Database('calendar-2026.db');
 // Initialize database schema
 const initSQL = fs.readFileSync('./database/init-sqlite.sql', 'utf8');
 db.exec(initSQL);
+ensureSchema(db);
 
-// Prepare insert statement
-const insertStmt = db.prepare(`
-  INSERT INTO calendar_events (
-    title, location, start_datetime, end_datetime, 
-    event_type, format, rounds, url, special, continent, 
-    category, live_games, prize_fund, description, venue, 
-    landing, players
-  ) VALUES (
-    ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?
-  )
-`);
+// The sheet lists some events before their website exists, so rows
+// without a URL are imported and can be completed in the admin panel
+const VALIDATION_OPTIONS = { optional: ['url'] };
+
+function isOptionalField(field) {
+  const rule = EVENT_SCHEMA[field];
+  return Boolean(rule) && !rule.required;
+}
+
+function insertEvent(columns) {
+  const fields = Object.keys(columns);
+  return db.prepare(`
+    INSERT INTO calendar_events (${fields.join(', ')})
+    VALUES (${fields.map(() => '?').join(', ')})
+  `).run(...fields.map(field => columns[field]));
+}
 
 function parseDate(dateStr, year = 2025) {
   if (!dateStr) return null;
@@ -77,43 +86,63 @@ async function importChessCalendar() {
           for (const event of events) {
             try {
               const title = event.Name || event.name || 'Untitled Event';
-              const location = event.Location || '';
               
-              // Parse dates - assuming 2025 for events without year
-              let startDate = parseDate(event['Start date'] || event.start_date);
-              let endDate = parseDate(event['End date'] || event.end_date);
+              // Dates without a year ("January 2") are taken as 2025
+              const startDate = parseDate(event['Start date'] || event.start_date);
+              const input = {
+                title,
+                location: event.Location || '',
+                start_datetime: startDate,
+                // If no end date, use start date
+                end_datetime: parseDate(event['End date'] || event.end_date) || startDate,
+                all_day: true,
+                event_type: event.Type || '',
+                format: event.Format || '',
+                rounds: parseInt(event.Rounds) || null,
+                url: event.URL || '',
+                special: event.Special || '',
+                continent: event.Continent || '',
+                category: event.Category || '',
+                live_games: event['Live games'] || '',
+                prize_fund: event['Prize Fund'] || '',
+                description: event.Description || '',
+                venue: event.Venue || '',
+                landing: event.Landing || '',
+                players: event.Players || '',
+                time_control: event['Time Control'] || event.time_control || null
+              };
               
-              if (!startDate) {
-                console.warn(`⚠️  Skipping "${title}" - no valid start date`);
-                failed++;
-                continue;
+              let { value, errors } = validateEvent(input, VALIDATION_OPTIONS);
+              
+              // Unreadable optional fields (time control, continent, ...) are
+              // imported as empty instead of skipping the row; an end date
+              // before the start falls back to the start date
+              const optionalErrors = errors.filter(error => isOptionalField(error.field));
+              if (optionalErrors.length > 0) {
+                optionalErrors.forEach(error => {
+                  if (error.field === 'end_datetime') {
+                    console.warn(`⚠️  "${title}" - ${error.message}, ending it on the start date`);
+                    input.end_datetime = input.start_datetime;
+                    return;
+                  }
+                  console.warn(`⚠️  "${title}" - ${error.message}, leaving ${error.field} empty`);
+                  input[error.field] = null;
+                });
+                ({ value, errors } = validateEvent(input, VALIDATION_OPTIONS));
               }
               
-              // If no end date, use start date
-              if (!endDate) {
-                endDate = startDate;
+              if (errors.length > 0) {
+                console.warn(`⚠️  Skipping "${title}" - ${errors.map(error => error.message).join(', ')}`);
+                failed++;
+                continue;
               }
               
               // Insert the event
-              insertStmt.run(
-                title,
-                location,
-                startDate,
-                endDate,
-                event.Type || '',
-                event.Format || '',
-                parseInt(event.Rounds) || null,
-                event.URL || '',
-                event.Special || '',
-                event.Continent || '',
-                event.Category || '',
-                event['Live games'] || '',
-                event['Prize Fund'] || '',
-                event.Description || '',
-                event.Venue || '',
-                event.Landing || '',
-                event.Players || ''
-              );
+              const info = insertEvent(eventColumns(value));
+              
+              if (value.players) {
+                setEventPlayersFromText(db, info.lastInsertRowid, value.players);
+              }
               
               imported++;
               
@@ -0,0 +1,271 @@
+#!/usr/bin/env node
+
+// Enrich players with data from the FIDE rating list downloads
+// (https://ratings.fide.com/download_lists.phtml, fetched manually).
+//
+// Usage:
+//   node import-fide-ratings.js <file> [<file> ...] [--list=standard|rapid|blitz] [--date=YYYY-MM-DD]
+//
+// Accepts the unzipped TXT or XML lists. The combined "players_list" files
+// carry all three ratings; single lists (standard_rating_list.txt,
+// rapid_rating_list_xml.xml, ...) are detected from the file name or --list.
+// Players are matched by FIDE ID first, then by normalized name. Event
+// average and top-10 average ratings are recomputed at the end.
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const Database = require('better-sqlite3');
+const { ensureSchema } = require('./schema');
+const { normalizePlayerName, refreshEventRatings } = require('./players');
+
+const db = new Database('calendar-2026.db');
+ensureSchema(db);
+
+const args = process.argv.slice(2);
+const files = args.filter(arg => !arg.startsWith('--'));
+const options = Object.fromEntries(args
+  .filter(arg => arg.startsWith('--'))
+  .map(arg => arg.slice(2).split('='))
+  .map(([key, value]) => [key, value === undefined ? true : value]));
+
+const LIST_TYPES = ['standard', 'rapid', 'blitz'];
+
+function detectListType(file) {
+  if (options.list) return options.list;
+  const name = path.basename(file).toLowerCase();
+  if (name.includes('rapid')) return 'rapid';
+  if (name.includes('blitz')) return 'blitz';
+  if (name.includes('standard')) return 'standard';
+  return 'combined';
+}
+
+function parseRating(value) {
+  const rating = parseInt(value);
+  return isNaN(rating) || rating <= 0 ? null : rating;
+}
+
+// FIDE names are "Last, First"; the calendar uses "First Last" but some
+// entries are in FIDE order already ("Gukesh D", "Wei Yi")
+function nameKeys(fideName) {
+  const [last, first] = fideName.split(',').map(part => (part || '').trim());
+  const keys = [normalizePlayerName(first ? `${first} ${last}` : last)];
+  if (first) keys.push(normalizePlayerName(`${last} ${first}`));
+  return keys;
+}
+
+// Convert a raw list record to the fields we store. For single lists the
+// only rating column belongs to that list.
+function toRecord(raw, listType) {
+  const record = {
+    fide_id: parseInt(raw.fideid),
+    name: (raw.name || '').trim(),
+    federation: (raw.country || '').trim() || null,
+    title: (raw.title || raw.w_title || '').trim() || null,
+    birth_year: parseInt(raw.birthday) || null
+  };
+
+  if (listType === 'combined') {
+    record.rating_standard = parseRating(raw.rating);
+    record.rating_rapid = parseRating(raw.rapid_rating);
+    record.rating_blitz = parseRating(raw.blitz_rating);
+  } else {
+    record[`rating_${listType}`] = parseRating(raw.rating);
+  }
+
+  return record;
+}
+
+// Fixed-width TXT lists: column boundaries come from the header line
+const TXT_COLUMNS = {
+  'ID Number': 'fideid',
+  'Name': 'name',
+  'Fed': 'country',
+  'Sex': 'sex',
+  'Tit': 'title',
+  'WTit': 'w_title',
+  'OTit': 'o_title',
+  'FOA': 'foa_title',
+  'SRtng': 'rating',
+  'RRtng': 'rapid_rating',
+  'BRtng': 'blitz_rating',
+  'B-day': 'birthday',
+  'Flag': 'flag'
+};
+
+function parseTxtHeader(header) {
+  const columns = [];
+  const pattern = /ID Number|\S+/g;
+  let match;
+  while ((match = pattern.exec(header)) !== null) {
+    // Single lists name the rating column after the list month, e.g. "MAY25"
+    const key = TXT_COLUMNS[match[0]] || (/^[A-Z]{3}\d{2}$/.test(match[0]) ? 'rating' : null);
+    columns.push({ key, start: match.index });
+  }
+  return columns.map((column, index) => ({
+    ...column,
+    end: index + 1 < columns.length ? columns[index + 1].start : undefined
+  })).filter(column => column.key);
+}
+
+async function readTxtList(file, onRecord) {
+  const rl = readline.createInterface({ input: fs.createReadStream(file, 'latin1'), crlfDelay: Infinity });
+  let columns = null;
+
+  for await (const line of rl) {
+    if (!columns) {
+      columns = parseTxtHeader(line);
+      continue;
+    }
+    if (!line.trim()) continue;
+
+    const raw = {};
+    columns.forEach(column => {
+      raw[column.key] = line.slice(column.start, column.end).trim();
+    });
+    onRecord(raw);
+  }
+}
+
+// XML lists: split the stream on </player> so the file never has to fit in memory
+async function readXmlList(file, onRecord) {
+  const stream = fs.createReadStream(file, 'utf8');
+  let buffer = '';
+
+  for await (const chunk of stream) {
+    buffer += chunk;
+    let end;
+    while ((end = buffer.indexOf('</player>')) !== -1) {
+      const block = buffer.slice(0, end);
+      buffer = buffer.slice(end + '</player>'.length);
+
+      const raw = {};
+      const tagPattern = /<(\w+)>([^<]*)<\/\1>/g;
+      let match;
+      while ((match = tagPattern.exec(block)) !== null) {
+        raw[match[1]] = match[2].replace(/&amp;/g, '&').replace(/&apos;/g, "'").replace(/&quot;/g, '"');
+      }
+      onRecord(raw);
+    }
+  }
+}
+
+async function importFideRatings() {
+  if (files.length === 0) {
+    console.log('Usage: node import-fide-ratings.js <file> [<file> ...] [--list=standard|rapid|blitz] [--date=YYYY-MM-DD]');
+    process.exit(1);
+  }
+  if (options.list && !LIST_TYPES.includes(options.list)) {
+    throw new Error(`--list must be one of: ${LIST_TYPES.join(', ')}`);
+  }
+
+  const listDate = options.date || new Date().toISOString().slice(0, 10);
+
+  // Index our players so the (large) lists can be streamed in one pass
+  const players = db.prepare('SELECT id, name, normalized_name, fide_id FROM players').all();
+  const byFideId = new Map(players.filter(p => p.fide_id).map(p => [p.fide_id, p]));
+  const byName = new Map(players.map(p => [p.normalized_name, p]));
+
+  // Best candidate per player: an ID match always wins, otherwise the
+  // highest-rated namesake (calendar players are mostly titled players)
+  const matches = new Map();
+
+  const strength = record => Math.max(record.rating_standard || 0, record.rating_rapid || 0, record.rating_blitz || 0);
+
+  for (const file of files) {
+    const listType = detectListType(file);
+    const reader = file.toLowerCase().endsWith('.xml') ? readXmlList : readTxtList;
+    let scanned = 0;
+
+    console.log(`\n📥 Reading ${file} (${listType} list)...`);
+
+    await reader(file, raw => {
+      scanned++;
+      if (scanned % 250000 === 0) {
+        console.log(`  Scanned ${scanned} records...`);
+      }
+
+      const record = toRecord(raw, listType);
+      if (!record.fide_id || !record.name) return;
+
+      let player = byFideId.get(record.fide_id);
+      let byId = true;
+      if (!player) {
+        byId = false;
+        player = nameKeys(record.name).map(key => byName.get(key)).find(Boolean);
+      }
+      if (!player) return;
+
+      const existing = matches.get(player.id);
+      if (existing && existing.record.fide_id === record.fide_id) {
+        // Same person from another list: merge the ratings
+        Object.keys(record).forEach(key => {
+          if (record[key] !== null && record[key] !== undefined) existing.record[key] = record[key];
+        });
+        return;
+      }
+
+      if (existing) {
+        existing.ambiguous = true;
+        if (existing.byId || (!byId && strength(existing.record) >= strength(record))) return;
+      }
+
+      matches.set(player.id, { record, byId, ambiguous: existing ? true : false });
+    });
+
+    console.log(`  ✅ ${scanned} records scanned`);
+  }
+
+  const update = db.prepare(`
+    UPDATE players SET
+      fide_id = ?,
+      title = COALESCE(?, title),
+      federation = COALESCE(?, federation),
+      birth_year = COALESCE(?, birth_year),
+      rating_standard = COALESCE(?, rating_standard),
+      rating_rapid = COALESCE(?, rating_rapid),
+      rating_blitz = COALESCE(?, rating_blitz),
+      ratings_updated_at = ?,
+      updated_at = datetime('now')
+    WHERE id = ?
+  `);
+
+  let ambiguous = 0;
+  const applyMatches = db.transaction(() => {
+    matches.forEach(({ record, ambiguous: isAmbiguous }, playerId) => {
+      if (isAmbiguous) ambiguous++;
+      update.run(
+        record.fide_id, record.title, record.federation, record.birth_year,
+        record.rating_standard ?? null, record.rating_rapid ?? null, record.rating_blitz ?? null,
+        listDate, playerId
+      );
+    });
+  });
+  applyMatches();
+
+  console.log('\n📊 Recomputing event strength...');
+  refreshEventRatings(db);
+
+  const rated = db.prepare('SELECT COUNT(*) as count FROM calendar_events WHERE deleted_at IS NULL AND avg_rating IS NOT NULL').get().count;
+
+  console.log('\n' + '='.repeat(50));
+  console.log('🎉 FIDE Rating Import Complete!');
+  console.log('='.repeat(50));
+  console.log(`✅ Players matched: ${matches.size} of ${players.length}`);
+  if (ambiguous > 0) {
+    console.log(`⚠️  Players with several namesakes (highest rated used): ${ambiguous}`);
+  }
+  console.log(`📈 Events with a rated field: ${rated}`);
+  console.log(`📅 Rating list date: ${listDate}`);
+}
+
+importFideRatings()
+  .then(() => {
+    db.close();
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error('❌ Import failed:', error);
+    db.close();
+    process.exit(1);
+  });
@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+
+// Import events from an iCalendar (.ics) file, e.g. a federation's
+// tournament calendar.
+//
+// Usage:
+//   node import-ics.js <file.ics|https://...|webcal://...> [--commit] [--include=<uid>,<uid>] [--threshold=0.75]
+//
+// Without --commit only a preview is printed. Events already imported from
+// the same calendar are matched by UID and updated; new events that look
+// like an existing one are listed as similar and skipped unless their UID
+// (or #<number> for events without one) is given in --include.
+
+const fs = require('fs');
+const Database = require('better-sqlite3');
+const { ensureSchema } = require('./schema');
+const { parseIcs, planIcsImport, applyIcsImport } = require('./ics-import');
+
+const db = new Database('calendar-2026.db');
+ensureSchema(db);
+
+const args = process.argv.slice(2);
+const source = args.find(arg => !arg.startsWith('--'));
+const options = Object.fromEntries(args
+  .filter(arg => arg.startsWith('--'))
+  .map(arg => arg.slice(2).split('='))
+  .map(([key, value]) => [key, value === undefined ? true : value]));
+
+const ACTION_ICONS = {
+  create: '🆕', update: '✏️ ', unchanged: '✔️ ', deleted: '🗑️ ', similar: '⚠️ ', invalid: '❌'
+};
+
+async function readSource() {
+  if (/^(https?|webcal):\/\//i.test(source)) {
+    const response = await fetch(source.replace(/^webcal:/i, 'https:'));
+    if (!response.ok) throw new Error(`${source} returned HTTP ${response.status}`);
+    return response.text();
+  }
+  return fs.readFileSync(source, 'utf8');
+}
+
+async function importIcs() {
+  if (!source) {
+    throw new Error('Usage: node import-ics.js <file.ics|https://...|webcal://...> [--commit] [--include=<uid>,<uid>] [--threshold=0.75]');
+  }
+
+  console.log(`Reading ${source}...`);
+  const calendar = parseIcs(await readSource());
+  const plan = planIcsImport(db, calendar, options.threshold ? { threshold: parseFloat(options.threshold) } : {});
+  console.log(`\n📅 ${plan.calendar || 'Calendar'}: ${plan.summary.total} events\n`);
+
+  plan.items.forEach(item => {
+    const event = item.value || {};
+    console.log(`${ACTION_ICONS[item.action]} ${item.action.padEnd(9)} ${event.title || item.key} (${event.start_datetime || '?'})`);
+    if (item.match) {
+      const score = item.match.score !== undefined ? `, ${Math.round(item.match.score * 100)}% similar` : '';
+      console.log(`     ↳ #${item.match.id} ${item.match.title} (${item.match.start_datetime}${score})`);
+    }
+    if (item.action === 'similar') console.log(`     key: ${item.key}`);
+    Object.entries(item.changes || {}).forEach(([field, change]) => {
+      console.log(`     ${field}: ${change.from ?? '(empty)'} → ${change.to}`);
+    });
+    item.errors.forEach(error => console.log(`     ❌ ${error}`));
+    item.warnings.forEach(warning => console.log(`     ⚠️  ${warning}`));
+  });
+
+  const { summary } = plan;
+  console.log('\n' + '='.repeat(50));
+  console.log(`🆕 New: ${summary.create}   ✏️  Changed: ${summary.update}   ✔️  Unchanged: ${summary.unchanged}`);
+  console.log(`⚠️  Similar to existing: ${summary.similar}   🗑️  In trash: ${summary.deleted}   ❌ Invalid: ${summary.invalid}`);
+
+  if (!options.commit) {
+    console.log('\n👀 Preview only, nothing was imported. Run again with --commit to import.');
+    return;
+  }
+
+  const include = typeof options.include === 'string' ? options.include.split(',').map(key => key.trim()) : [];
+  const result = applyIcsImport(db, plan, { id: null, username: 'import-ics' }, { include, note: `Imported from ${source}` });
+  console.log('\n🎉 Import Complete!');
+  console.log(`✅ Created: ${result.created.length} events`);
+  console.log(`✏️  Updated: ${result.updated.length} events`);
+}
+
+importIcs()
+  .then(() => {
+    db.close();
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error('❌ Import failed:', error.message);
+    db.close();
+    process.exit(1);
+  });
@@ -1,17 +1,24 @@
 const express = require('express');
 const cors = require('cors');
-const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
+const { openDatabase, reloadDatabaseHandler } = require('./db-connection');
 const LocationService = require('./location-service');
+const { getRounds, describeRound } = require('./event-rounds');
+const { getEventPlayers, ratingColumnForEvent } = require('./players');
+const { formatMoney } = require('./prize-fund');
+const { findMergedEvent } = require('./event-merge');
+const { localDate, displayTimeZone } = require('./timezone');
+const { getEventSeries } = require('./series');
 
 const app = express();
 const PORT = process.env.LANDING_PORT || 3001;
 const API_URL = process.env.API_URL || 'http://localhost:3000';
 const DB_PATH = process.env.NODE_ENV === 'production' ? '/app/calendar-2026.db' : 'calendar-2026.db';
 
-// Initialize database connection
-const db = new Database(DB_PATH, { readonly: true });
+// Initialize database connection (reopened when the API server restores a backup)
+const connection = openDatabase(DB_PATH, { readonly: true });
+const db = connection.db;
 
 // Initialize location service
 const locationService = new LocationService();
@@ -28,23 +35,213 @@ function generateSlug(title) {
         .replace(/^-+|-+$/g, '');
 }
 
-function formatDate(dateString) {
-    const options = { year: 'numeric', month: 'long', day: 'numeric' };
-    return new Date(dateString).toLocaleDateString('en-US', options);
+function formatDate(dateString, timeZone = null) {
+    const options = { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' };
+    return new Date(`${localDate(dateString, timeZone)}T00:00:00Z`).toLocaleDateString('en-US', options);
 }
 
-function formatDateRange(startDate, endDate) {
-    const start = new Date(startDate);
-    const end = new Date(endDate);
-    const startMonth = start.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-    const endMonth = end.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+function formatDateRange(startDate, endDate, timeZone = null) {
+    const start = new Date(`${localDate(startDate, timeZone)}T00:00:00Z`);
+    const end = new Date(`${localDate(endDate, timeZone)}T00:00:00Z`);
+    const startMonth = start.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+    const endMonth = end.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
     
-    if (start.getMonth() === end.getMonth() && start.getFullYear() === end.getFullYear()) {
-        return `${start.getDate()}-${end.getDate()} ${end.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}`;
+    if (start.getUTCMonth() === end.getUTCMonth() && start.getUTCFullYear() === end.getUTCFullYear()) {
+        return `${start.getUTCDate()}-${end.getUTCDate()} ${end.toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' })}`;
     }
     return `${startMonth} - ${endMonth}`;
 }
 
+// Attached players sorted by the rating list that applies to the event.
+// Returns [] if the players tables have not been created yet.
+function getFieldPlayers(tournament) {
+    try {
+        const column = ratingColumnForEvent(tournament);
+        return getEventPlayers(db, tournament.id)
+            .map(player => ({ ...player, rating: player[column] }))
+            .sort((a, b) => (b.rating || 0) - (a.rating || 0));
+    } catch (error) {
+        if (error.message.includes('no such table')) {
+            return [];
+        }
+        throw error;
+    }
+}
+
+// Player table plus field strength for the participants tab
+function renderFieldPlayers(tournament, fieldPlayers) {
+    if (fieldPlayers.length === 0) {
+        return `<p style="font-size: 1.2rem;">${tournament.players}</p>`;
+    }
+
+    return `
+                    ${tournament.avg_rating ? `
+                    <p><strong>Average Rating:</strong> ${tournament.avg_rating}
+                       &nbsp;·&nbsp; <strong>Top-10 Average:</strong> ${tournament.top10_avg_rating}
+                       &nbsp;·&nbsp; <strong>Rated Players:</strong> ${tournament.rated_players}</p>
+                    ` : ''}
+                    <table class="data-table">
+                        <thead>
+                            <tr>
+                                <th>Player</th>
+                                <th>Title</th>
+                                <th>Federation</th>
+                                <th>Rating</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${fieldPlayers.map(player => `
+                            <tr>
+                                <td>${player.name}</td>
+                                <td>${player.title || '-'}</td>
+                                <td>${player.federation || '-'}</td>
+                                <td>${player.rating || '-'}</td>
+                            </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>`;
+}
+
+// Total prize fund in its own currency, falling back to the free text
+function formatPrizeFund(tournament) {
+    if (tournament.prize_amount) {
+        return formatMoney(tournament.prize_amount, tournament.prize_currency);
+    }
+    return tournament.prize_fund || 'TBA';
+}
+
+// Approximate EUR/USD value for prize funds in other currencies
+function formatPrizeConversion(tournament) {
+    if (!tournament.prize_amount || !tournament.prize_eur) return '';
+    const converted = [];
+    if (tournament.prize_currency !== 'EUR') converted.push(formatMoney(tournament.prize_eur, 'EUR'));
+    if (tournament.prize_currency !== 'USD' && tournament.prize_usd) converted.push(formatMoney(tournament.prize_usd, 'USD'));
+    return converted.length ? ` <span style="color: #718096;">(≈ ${converted.join(' / ')})</span>` : '';
+}
+
+function renderPrizeTable(title, heading, items) {
+    return `
+                    <div class="info-card">
+                        <h3>${title}</h3>
+                        <table class="data-table">
+                            <thead>
+                                <tr>
+                                    <th>${heading}</th>
+                                    <th>Prize</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${items.map(item => `
+                                <tr>
+                                    <td>${item.place}</td>
+                                    <td>${formatMoney(item.amount, item.currency)}${item.each ? ' each' : ''}</td>
+                                </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>`;
+}
+
+// Prizes tab: placings ("1st", "4th-10th") and special prizes ("Best Woman")
+// from the structured breakdown
+function renderPrizes(tournament) {
+    let breakdown = [];
+    try {
+        breakdown = JSON.parse(tournament.prize_breakdown || '[]');
+    } catch (error) {
+        console.error('Invalid prize breakdown for event', tournament.id);
+    }
+
+    if (breakdown.length === 0) {
+        return `
+                <div class="info-card">
+                    <p>The prize distribution has not been published yet. Please check the official website for details.</p>
+                </div>`;
+    }
+
+    const placings = breakdown.filter(item => /^\d/.test(item.place));
+    const special = breakdown.filter(item => !/^\d/.test(item.place));
+
+    return `
+                <div class="info-grid">
+                    ${placings.length ? renderPrizeTable('🥇 Main Prizes', 'Place', placings) : ''}
+                    ${special.length ? renderPrizeTable('🏅 Category Prizes', 'Category', special) : ''}
+                </div>`;
+}
+
+// Heading for one day of the schedule, e.g. "Opening Ceremony, Rounds 1-2"
+function describeScheduleDay(dayRounds) {
+    const parts = [];
+    const numbers = dayRounds
+        .filter(round => round.round_type === 'round' && !round.label)
+        .map(round => round.round_number);
+
+    dayRounds.forEach(round => {
+        if (round.round_type === 'round' && !round.label) {
+            if (round.round_number === numbers[0]) {
+                parts.push(numbers.length > 1 ? `Rounds ${numbers[0]}-${numbers[numbers.length - 1]}` : `Round ${numbers[0]}`);
+            }
+        } else {
+            parts.push(describeRound(round));
+        }
+    });
+
+    return parts.join(', ');
+}
+
+// Earlier editions of the tournament's series, newest first, and a link to
+// the next one when this is not the latest
+function renderPastEditions(tournament, series) {
+    if (!series) return '';
+
+    const past = series.editions.filter(edition => edition.start_datetime < tournament.start_datetime).reverse();
+    const next = series.editions.find(edition => edition.start_datetime > tournament.start_datetime);
+    if (past.length === 0 && !next) return '';
+
+    return `
+                <div class="info-card" style="margin-top: 20px;">
+                    <h3><i class="fas fa-history"></i> Past Editions of ${series.name}</h3>
+                    ${past.map(edition => `
+                    <p><strong>${edition.year}</strong>: <a href="/t/${generateSlug(edition.title)}-${edition.id}">${edition.title}</a>${edition.location ? ` - ${edition.location}` : ''}</p>
+                    `).join('')}
+                    ${past.length === 0 ? '<p>This is the first edition in our calendar.</p>' : ''}
+                    ${next ? `<p style="margin-top: 10px;"><strong>Next edition:</strong> <a href="/t/${generateSlug(next.title)}-${next.id}">${next.title}</a> (${formatDate(next.start_datetime, displayTimeZone(next))})</p>` : ''}
+                </div>`;
+}
+
+// Render the schedule tab from the event's round table, grouped by day
+function renderSchedule(rounds) {
+    if (rounds.length === 0) {
+        return `
+                <div class="info-card">
+                    <p>The round-by-round schedule has not been published yet. Please check the official website for the latest timings.</p>
+                </div>`;
+    }
+
+    const days = [];
+    rounds.forEach(round => {
+        const lastDay = days[days.length - 1];
+        if (lastDay && lastDay.date === round.round_date) {
+            lastDay.rounds.push(round);
+        } else {
+            days.push({ date: round.round_date, rounds: [round] });
+        }
+    });
+
+    return `
+                <div class="schedule-timeline">
+                    ${days.map((day, index) => `
+                    <div class="schedule-item">
+                        <div class="schedule-time">Day ${index + 1} - ${formatDate(`${day.date}T00:00:00`)}</div>
+                        <div><strong>${describeScheduleDay(day.rounds)}</strong></div>
+                        <div style="color: #718096;">
+                            ${day.rounds.map(round => `<p>${round.start_time ? `${round.start_time}: ` : ''}${describeRound(round)}</p>`).join('')}
+                        </div>
+                    </div>
+                    `).join('')}
+                </div>`;
+}
+
 // Comprehensive tournament page with ALL information
 app.get('/t/:slug', async (req, res) => {
     try {
@@ -62,6 +259,10 @@ app.get('/t/:slug', async (req, res) => {
         `).get(id);
 
         if (!tournament) {
+            const merged = findMergedEvent(db, id);
+            if (merged) {
+                return res.redirect(301, `/t/${generateSlug(merged.title)}-${merged.id}`);
+            }
             return res.status(404).send('Tournament not found');
         }
 
@@ -73,17 +274,12 @@ app.get('/t/:slug', async (req, res) => {
             tournament.end_datetime.split(' ')[0]
         );
 
-        const timeControl = tournament.format === 'rapid' ? '15+10' : 
-                           tournament.format === 'blitz' ? '3+2' : 
-                           tournament.format === 'classical' ? '90+30' : '25+10';
+        const rounds = getRounds(db, tournament.id);
+        const roundCount = tournament.rounds || rounds.filter(round => round.round_type === 'round').length || '9';
 
-        // Generate placeholder data for comprehensive info
-        const prizeBreakdown = tournament.prize_fund ? [
-            { place: '1st', amount: '$10,000' },
-            { place: '2nd', amount: '$6,000' },
-            { place: '3rd', amount: '$4,000' },
-            { place: '4th-10th', amount: '$1,000 each' }
-        ] : null;
+        const timeControl = tournament.time_control || 'TBA';
+        const fieldPlayers = getFieldPlayers(tournament);
+        const series = getEventSeries(db, tournament.id);
 
         const html = `
 <!DOCTYPE html>
@@ -91,8 +287,8 @@ app.get('/t/:slug', async (req, res) => {
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${tournament.title} - ${formatDateRange(tournament.start_datetime, tournament.end_datetime)}</title>
-    <meta name="description" content="${tournament.title} chess tournament in ${tournament.location}. ${formatDateRange(tournament.start_datetime, tournament.end_datetime)}.">
+    <title>${tournament.title} - ${formatDateRange(tournament.start_datetime, tournament.end_datetime, displayTimeZone(tournament))}</title>
+    <meta name="description" content="${tournament.title} chess tournament in ${tournament.location}. ${formatDateRange(tournament.start_datetime, tournament.end_datetime, displayTimeZone(tournament))}.">
     
     <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css">
     
@@ -721,7 +917,7 @@ app.get('/t/:slug', async (req, res) => {
             <div class="tournament-meta">
                 <div class="tournament-meta-item">
                     <i class="fas fa-calendar"></i>
-                    ${formatDateRange(tournament.start_datetime, tournament.end_datetime)}
+                    ${formatDateRange(tournament.start_datetime, tournament.end_datetime, displayTimeZone(tournament))}
                 </div>
                 <div class="tournament-meta-item">
                     <i class="fas fa-map-marker-alt"></i>
@@ -773,7 +969,7 @@ app.get('/t/:slug', async (req, res) => {
             <div id="overview" class="tab-panel active">
                 <div class="stats-row">
                     <div class="stat-box">
-                        <div class="stat-number">${tournament.rounds || '9'}</div>
+                        <div class="stat-number">${roundCount}</div>
                         <div class="stat-label">Rounds</div>
                     </div>
                     <div class="stat-box">
@@ -785,7 +981,7 @@ app.get('/t/:slug', async (req, res) => {
                         <div class="stat-label">Expected Players</div>
                     </div>
                     <div class="stat-box">
-                        <div class="stat-number">${tournament.prize_fund || '$50,000'}</div>
+                        <div class="stat-number">${formatPrizeFund(tournament)}</div>
                         <div class="stat-label">Prize Fund</div>
                     </div>
                 </div>
@@ -805,8 +1001,9 @@ app.get('/t/:slug', async (req, res) => {
                     <div class="info-card">
                         <h3><i class="fas fa-chess-board"></i> Tournament Format</h3>
                         <p><strong>System:</strong> ${tournament.format || 'Swiss System'}</p>
-                        <p><strong>Rounds:</strong> ${tournament.rounds || '9'}</p>
+                        <p><strong>Rounds:</strong> ${roundCount}</p>
                         <p><strong>Time Control:</strong> ${timeControl}</p>
+                        ${tournament.fide_category ? `<p><strong>FIDE Category:</strong> ${tournament.fide_category.charAt(0).toUpperCase() + tournament.fide_category.slice(1)}</p>` : ''}
                         <p><strong>Rating:</strong> FIDE rated tournament</p>
                         <p><strong>Pairing:</strong> Swiss-Manager pairing software</p>
                         ${tournament.event_type ? `<p><strong>Event Type:</strong> ${tournament.event_type}</p>` : ''}
@@ -836,6 +1033,8 @@ app.get('/t/:slug', async (req, res) => {
                 </div>
                 ` : ''}
 
+                ${renderPastEditions(tournament, series)}
+
                 <div class="action-buttons">
                     ${tournament.url ? `
                     <a href="${tournament.url}" target="_blank" class="btn btn-primary">
@@ -852,7 +1051,13 @@ app.get('/t/:slug', async (req, res) => {
                     <a href="${API_URL}/api/events/${tournament.id}/ics" class="btn btn-success">
                         <i class="fas fa-calendar-plus"></i> Add to Calendar
                     </a>
-                    
+
+                    ${rounds.length > 0 ? `
+                    <a href="${API_URL}/api/events/${tournament.id}/ics?rounds=true" class="btn btn-secondary">
+                        <i class="fas fa-calendar-week"></i> Add All Rounds
+                    </a>
+                    ` : ''}
+
                     ${tournament.live_games ? `
                     <a href="${tournament.live_games}" target="_blank" class="btn btn-secondary">
                         <i class="fas fa-broadcast-tower"></i> Live Games
@@ -864,142 +1069,16 @@ app.get('/t/:slug', async (req, res) => {
             <!-- Schedule Tab -->
             <div id="schedule" class="tab-panel">
                 <h2><i class="fas fa-calendar-week"></i> Tournament Schedule</h2>
-                <div class="schedule-timeline">
-                    <div class="schedule-item">
-                        <div class="schedule-time">Day 1 - ${formatDate(tournament.start_datetime)}</div>
-                        <div><strong>Registration & Opening Ceremony</strong></div>
-                        <div style="color: #718096;">
-                            <p>09:00 - 14:00: Registration and confirmation</p>
-                            <p>14:30: Technical meeting</p>
-                            <p>15:00: Opening ceremony</p>
-                            <p>16:00: Round 1</p>
-                        </div>
-                    </div>
-                    <div class="schedule-item">
-                        <div class="schedule-time">Day 2-4</div>
-                        <div><strong>Double Rounds</strong></div>
-                        <div style="color: #718096;">
-                            <p>10:00: Morning round</p>
-                            <p>14:00: Lunch break</p>
-                            <p>16:00: Afternoon round</p>
-                            <p>20:00: Analysis room open</p>
-                        </div>
-                    </div>
-                    <div class="schedule-item">
-                        <div class="schedule-time">Day 5 - Rest Day</div>
-                        <div><strong>Optional Activities</strong></div>
-                        <div style="color: #718096;">
-                            <p>10:00: Blitz tournament (optional)</p>
-                            <p>14:00: City tour (optional)</p>
-                            <p>16:00: Simul with GM (optional)</p>
-                            <p>19:00: Tournament dinner</p>
-                        </div>
-                    </div>
-                    <div class="schedule-item">
-                        <div class="schedule-time">Day 6-8</div>
-                        <div><strong>Final Rounds</strong></div>
-                        <div style="color: #718096;">
-                            <p>15:00: Daily round</p>
-                            <p>19:00: Post-game analysis</p>
-                        </div>
-                    </div>
-                    <div class="schedule-item">
-                        <div class="schedule-time">Last Day - ${formatDate(tournament.end_datetime)}</div>
-                        <div><strong>Final Round & Closing</strong></div>
-                        <div style="color: #718096;">
-                            <p>10:00: Round 9</p>
-                            <p>15:00: Closing ceremony</p>
-                            <p>16:00: Prize giving ceremony</p>
-                            <p>17:00: Farewell reception</p>
-                        </div>
-                    </div>
-                </div>
+                ${renderSchedule(rounds)}
             </div>
 
             <!-- Prizes Tab -->
             <div id="prizes" class="tab-panel">
                 <h2><i class="fas fa-trophy"></i> Prize Distribution</h2>
                 <p style="font-size: 1.2rem; margin-bottom: 30px;">
-                    <strong>Total Prize Fund:</strong> ${tournament.prize_fund || '$50,000'}
+                    <strong>Total Prize Fund:</strong> ${formatPrizeFund(tournament)}${formatPrizeConversion(tournament)}
                 </p>
-                
-                <div class="info-grid">
-                    <div class="info-card">
-                        <h3>🥇 Main Prizes</h3>
-                        <table class="data-table">
-                            <thead>
-                                <tr>
-                                    <th>Place</th>
-                                    <th>Prize</th>
-                                </tr>
-                            </thead>
-                            <tbody>
-                                <tr>
-                                    <td>1st</td>
-                                    <td><strong>$10,000</strong> + Trophy</td>
-                                </tr>
-                                <tr>
-                                    <td>2nd</td>
-                                    <td>$6,000</td>
-                                </tr>
-                                <tr>
-                                    <td>3rd</td>
-                                    <td>$4,000</td>
-                                </tr>
-                                <tr>
-                                    <td>4th-10th</td>
-                                    <td>$1,500 each</td>
-                                </tr>
-                                <tr>
-                                    <td>11th-20th</td>
-                                    <td>$750 each</td>
-                                </tr>
-                                <tr>
-                                    <td>21st-30th</td>
-                                    <td>$400 each</td>
-                                </tr>
-                            </tbody>
-                        </table>
-                    </div>
-
-                    <div class="info-card">
-                        <h3>🏅 Category Prizes</h3>
-                        <table class="data-table">
-                            <thead>
-                                <tr>
-                                    <th>Category</th>
-                                    <th>Prize</th>
-                                </tr>
-                            </thead>
-                            <tbody>
-                                <tr>
-                                    <td>Best Woman</td>
-                                    <td>$1,500</td>
-                                </tr>
-                                <tr>
-                                    <td>Best Junior (U18)</td>
-                                    <td>$1,000</td>
-                                </tr>
-                                <tr>
-                                    <td>Best Senior (50+)</td>
-                                    <td>$1,000</td>
-                                </tr>
-                                <tr>
-                                    <td>Best U2200</td>
-                                    <td>$800</td>
-                                </tr>
-                                <tr>
-                                    <td>Best U2000</td>
-                                    <td>$600</td>
-                                </tr>
-                                <tr>
-                                    <td>Best U1800</td>
-                                    <td>$500</td>
-                                </tr>
-                            </tbody>
-                        </table>
-                    </div>
-                </div>
+                ${renderPrizes(tournament)}
 
                 <div class="info-card" style="margin-top: 20px;">
                     <h3><i class="fas fa-money-check"></i> Prize Payment Information</h3>
@@ -1017,7 +1096,7 @@ app.get('/t/:slug', async (req, res) => {
                 ${tournament.players ? `
                 <div class="info-card" style="margin-bottom: 30px;">
                     <h3>⭐ Confirmed Top Players</h3>
-                    <p style="font-size: 1.2rem;">${tournament.players}</p>
+                    ${renderFieldPlayers(tournament, fieldPlayers)}
                 </div>
                 ` : ''}
 
@@ -1057,7 +1136,7 @@ app.get('/t/:slug', async (req, res) => {
                 <div class="info-card" style="margin-top: 20px;">
                     <h3><i class="fas fa-clipboard-list"></i> Registration Statistics</h3>
                     <p><strong>Current Registrations:</strong> 187 players</p>
-                    <p><strong>Average Rating:</strong> 2156</p>
+                    <p><strong>Average Rating:</strong> ${tournament.avg_rating || 2156}</p>
                     <p><strong>Titled Players:</strong> 23 (5 GM, 8 IM, 10 FM)</p>
                     <p><strong>Female Players:</strong> 28</p>
                     <p><strong>Junior Players:</strong> 45</p>
@@ -2080,7 +2159,7 @@ app.get('/', (req, res) => {
                 ${upcomingTournaments.map(t => `
                     <div class="event-card">
                         <h3><a href="/t/${generateSlug(t.title)}-${t.id}">${t.title}</a></h3>
-                        <p class="event-date">📅 ${formatDateRange(t.start_datetime, t.end_datetime)}</p>
+                        <p class="event-date">📅 ${formatDateRange(t.start_datetime, t.end_datetime, displayTimeZone(t))}</p>
                         <p class="event-location">📍 ${t.location}</p>
                         ${t.format ? `<p>Format: ${t.format}</p>` : ''}
                         ${t.special === 'yes' ? '<p><strong>Special Event</strong></p>' : ''}
@@ -2315,6 +2394,9 @@ app.get('/', (req, res) => {
     }
 });
 
+// Called by the API server after a backup restore
+app.post('/internal/reload-db', reloadDatabaseHandler(connection));
+
 // Health check
 app.get('/health', (req, res) => {
     res.json({ status: 'healthy', service: 'landing-pages-complete' });
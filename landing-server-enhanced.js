@@ -1,17 +1,21 @@
 const express = require('express');
 const cors = require('cors');
-const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
+const { openDatabase, reloadDatabaseHandler } = require('./db-connection');
 const LocationService = require('./location-service');
+const { findMergedEvent } = require('./event-merge');
+const { localDate, displayTimeZone } = require('./timezone');
+const { getEventSeries } = require('./series');
 
 const app = express();
 const PORT = process.env.LANDING_PORT || 3001;
 const API_URL = process.env.API_URL || 'http://localhost:3000';
 const DB_PATH = process.env.NODE_ENV === 'production' ? '/app/calendar-2026.db' : 'calendar-2026.db';
 
-// Initialize database connection
-const db = new Database(DB_PATH, { readonly: true });
+// Initialize database connection (reopened when the API server restores a backup)
+const connection = openDatabase(DB_PATH, { readonly: true });
+const db = connection.db;
 
 // Initialize location service
 const locationService = new LocationService();
@@ -28,23 +32,42 @@ function generateSlug(title) {
         .replace(/^-+|-+$/g, '');
 }
 
-function formatDate(dateString) {
-    const options = { year: 'numeric', month: 'long', day: 'numeric' };
-    return new Date(dateString).toLocaleDateString('en-US', options);
+function formatDate(dateString, timeZone = null) {
+    const options = { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' };
+    return new Date(`${localDate(dateString, timeZone)}T00:00:00Z`).toLocaleDateString('en-US', options);
 }
 
-function formatDateRange(startDate, endDate) {
-    const start = new Date(startDate);
-    const end = new Date(endDate);
-    const startMonth = start.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-    const endMonth = end.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+function formatDateRange(startDate, endDate, timeZone = null) {
+    const start = new Date(`${localDate(startDate, timeZone)}T00:00:00Z`);
+    const end = new Date(`${localDate(endDate, timeZone)}T00:00:00Z`);
+    const startMonth = start.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+    const endMonth = end.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
     
-    if (start.getMonth() === end.getMonth() && start.getFullYear() === end.getFullYear()) {
-        return `${start.getDate()}-${end.getDate()} ${end.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}`;
+    if (start.getUTCMonth() === end.getUTCMonth() && start.getUTCFullYear() === end.getUTCFullYear()) {
+        return `${start.getUTCDate()}-${end.getUTCDate()} ${end.toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' })}`;
     }
     return `${startMonth} - ${endMonth}`;
 }
 
+// Earlier editions of the tournament's series, newest first
+function renderPastEditions(tournament, series) {
+    if (!series) return '';
+
+    const past = series.editions.filter(edition => edition.start_datetime < tournament.start_datetime).reverse();
+    if (past.length === 0) return '';
+
+    return `
+            <div class="card">
+                <h2>📜 Past Editions</h2>
+                ${past.map(edition => `
+                <div class="info-item">
+                    <span class="info-label">${edition.year}:</span>
+                    <span><a href="/tournament/${edition.id}/enhanced">${edition.title}</a></span>
+                </div>
+                `).join('')}
+            </div>`;
+}
+
 // Enhanced route with real location data
 app.get('/tournament/:id/enhanced', async (req, res) => {
     try {
@@ -54,9 +77,15 @@ app.get('/tournament/:id/enhanced', async (req, res) => {
         `).get(req.params.id);
 
         if (!tournament) {
+            const merged = findMergedEvent(db, req.params.id);
+            if (merged) {
+                return res.redirect(301, `/tournament/${merged.id}/enhanced`);
+            }
             return res.status(404).send('Tournament not found');
         }
 
+        const series = getEventSeries(db, tournament.id);
+
         // Fetch real location data
         console.log(`Fetching location data for: ${tournament.location}`);
         const locationData = await locationService.getLocationData(
@@ -77,7 +106,7 @@ app.get('/tournament/:id/enhanced', async (req, res) => {
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${tournament.title} - ${formatDateRange(tournament.start_datetime, tournament.end_datetime)}</title>
+    <title>${tournament.title} - ${formatDateRange(tournament.start_datetime, tournament.end_datetime, displayTimeZone(tournament))}</title>
     <meta name="description" content="${tournament.title} in ${tournament.location}. ${tournament.format || 'Chess'} tournament with real-time location info.">
     
     <style>
@@ -203,7 +232,7 @@ app.get('/tournament/:id/enhanced', async (req, res) => {
         <div class="container">
             <h1>${tournament.title}</h1>
             <p style="font-size: 1.2rem; margin-top: 10px;">
-                📅 ${formatDateRange(tournament.start_datetime, tournament.end_datetime)} | 
+                📅 ${formatDateRange(tournament.start_datetime, tournament.end_datetime, displayTimeZone(tournament))} | 
                 📍 ${tournament.location}
                 ${locationData.coordinates ? ` (${locationData.coordinates.country || ''})` : ''}
             </p>
@@ -246,6 +275,8 @@ app.get('/tournament/:id/enhanced', async (req, res) => {
                 </div>
             </div>
 
+            ${renderPastEditions(tournament, series)}
+
             <!-- Weather -->
             <div class="card">
                 <h2>🌤️ Weather Forecast</h2>
@@ -453,6 +484,9 @@ app.get('/tournament/:id', (req, res) => {
     res.redirect(`/tournament/${req.params.id}/enhanced`);
 });
 
+// Called by the API server after a backup restore
+app.post('/internal/reload-db', reloadDatabaseHandler(connection));
+
 // Health check
 app.get('/health', (req, res) => {
     res.json({ status: 'healthy', service: 'landing-pages-enhanced' });
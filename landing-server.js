@@ -1,17 +1,21 @@
 const express = require('express');
 const cors = require('cors');
-const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
+const { openDatabase, reloadDatabaseHandler } = require('./db-connection');
 const LocationService = require('./location-service');
+const { findMergedEvent } = require('./event-merge');
+const { localDate, displayTimeZone } = require('./timezone');
+const { getEventSeries } = require('./series');
 
 const app = express();
 const PORT = process.env.LANDING_PORT || 3001;
 const API_URL = process.env.API_URL || 'http://localhost:3000';
 const DB_PATH = process.env.NODE_ENV === 'production' ? '/app/calendar-2026.db' : 'calendar-2026.db';
 
-// Initialize database connection
-const db = new Database(DB_PATH, { readonly: true });
+// Initialize database connection (reopened when the API server restores a backup)
+const connection = openDatabase(DB_PATH, { readonly: true });
+const db = connection.db;
 
 // Initialize location service
 const locationService = new LocationService();
@@ -28,25 +32,45 @@ function generateSlug(title) {
         .replace(/^-+|-+$/g, '');
 }
 
-// Helper function to format date
-function formatDate(dateString) {
-    const options = { year: 'numeric', month: 'long', day: 'numeric' };
-    return new Date(dateString).toLocaleDateString('en-US', options);
+// Helper function to format date: all-day events on their stored dates,
+// timed ones in their time zone (stored datetimes are UTC)
+function formatDate(dateString, timeZone = null) {
+    const options = { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' };
+    return new Date(`${localDate(dateString, timeZone)}T00:00:00Z`).toLocaleDateString('en-US', options);
 }
 
 // Helper function to format date range
-function formatDateRange(startDate, endDate) {
-    const start = new Date(startDate);
-    const end = new Date(endDate);
-    const startMonth = start.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-    const endMonth = end.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+function formatDateRange(startDate, endDate, timeZone = null) {
+    const start = new Date(`${localDate(startDate, timeZone)}T00:00:00Z`);
+    const end = new Date(`${localDate(endDate, timeZone)}T00:00:00Z`);
+    const startMonth = start.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+    const endMonth = end.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
     
-    if (start.getMonth() === end.getMonth() && start.getFullYear() === end.getFullYear()) {
-        return `${start.getDate()}-${end.getDate()} ${end.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}`;
+    if (start.getUTCMonth() === end.getUTCMonth() && start.getUTCFullYear() === end.getUTCFullYear()) {
+        return `${start.getUTCDate()}-${end.getUTCDate()} ${end.toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' })}`;
     }
     return `${startMonth} - ${endMonth}`;
 }
 
+// Earlier editions of the tournament's series, newest first
+function renderPastEditions(tournament, series) {
+    if (!series) return '';
+
+    const past = series.editions.filter(edition => edition.start_datetime < tournament.start_datetime).reverse();
+    const next = series.editions.find(edition => edition.start_datetime > tournament.start_datetime);
+    if (past.length === 0 && !next) return '';
+
+    return `
+                    <div class="info-card" style="margin-top: 20px;">
+                        <h3><span class="info-card-icon">🏆</span>Past Editions of ${series.name}</h3>
+                        ${past.map(edition => `
+                        <p><strong>${edition.year}</strong> · <a href="/t/${generateSlug(edition.title)}-${edition.id}">${edition.title}</a>${edition.location ? ` · ${edition.location}` : ''}</p>
+                        `).join('')}
+                        ${past.length === 0 ? '<p>This is the first edition in our calendar.</p>' : ''}
+                        ${next ? `<p style="color: #718096; margin-top: 10px;">Next edition: <a href="/t/${generateSlug(next.title)}-${next.id}">${next.title}</a>, ${formatDate(next.start_datetime, displayTimeZone(next))}</p>` : ''}
+                    </div>`;
+}
+
 // Route for tournament landing page by ID
 app.get('/tournament/:id', (req, res) => {
     try {
@@ -56,6 +80,10 @@ app.get('/tournament/:id', (req, res) => {
         `).get(req.params.id);
 
         if (!tournament) {
+            const merged = findMergedEvent(db, req.params.id);
+            if (merged) {
+                return res.redirect(301, `/t/${generateSlug(merged.title)}-${merged.id}`);
+            }
             return res.status(404).send('Tournament not found');
         }
 
@@ -84,9 +112,15 @@ app.get('/t/:slug', (req, res) => {
         `).get(id);
 
         if (!tournament) {
+            const merged = findMergedEvent(db, id);
+            if (merged) {
+                return res.redirect(301, `/t/${generateSlug(merged.title)}-${merged.id}`);
+            }
             return res.status(404).send('Tournament not found');
         }
 
+        const series = getEventSeries(db, tournament.id);
+
         // Generate structured data for SEO
         const structuredData = {
             "@context": "https://schema.org",
@@ -132,8 +166,8 @@ app.get('/t/:slug', (req, res) => {
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${tournament.title} - Chess Tournament | ${formatDateRange(tournament.start_datetime, tournament.end_datetime)}</title>
-    <meta name="description" content="${tournament.description || `${tournament.title} chess tournament in ${tournament.location}. ${tournament.format || 'Chess'} tournament from ${formatDateRange(tournament.start_datetime, tournament.end_datetime)}.`}">
+    <title>${tournament.title} - Chess Tournament | ${formatDateRange(tournament.start_datetime, tournament.end_datetime, displayTimeZone(tournament))}</title>
+    <meta name="description" content="${tournament.description || `${tournament.title} chess tournament in ${tournament.location}. ${tournament.format || 'Chess'} tournament from ${formatDateRange(tournament.start_datetime, tournament.end_datetime, displayTimeZone(tournament))}.`}">
     
     <!-- Open Graph tags for social media -->
     <meta property="og:title" content="${tournament.title}">
@@ -570,7 +604,7 @@ app.get('/t/:slug', (req, res) => {
                 </h1>
                 <div class="hero-meta">
                     <div class="hero-meta-item">
-                        📅 ${formatDateRange(tournament.start_datetime, tournament.end_datetime)}
+                        📅 ${formatDateRange(tournament.start_datetime, tournament.end_datetime, displayTimeZone(tournament))}
                     </div>
                     <div class="hero-meta-item">
                         📍 ${tournament.location}
@@ -648,6 +682,8 @@ app.get('/t/:slug', (req, res) => {
                     </div>
                     ` : ''}
 
+                    ${renderPastEditions(tournament, series)}
+
                     <div class="action-buttons">
                         ${tournament.url ? `
                         <a href="${tournament.url}" target="_blank" rel="noopener noreferrer" class="btn btn-primary">
@@ -678,7 +714,7 @@ app.get('/t/:slug', (req, res) => {
                     <h2 style="margin-bottom: 30px;">Tournament Schedule</h2>
                     <div class="schedule-timeline">
                         <div class="schedule-item">
-                            <div class="schedule-time">Day 1 - ${formatDate(tournament.start_datetime)}</div>
+                            <div class="schedule-time">Day 1 - ${formatDate(tournament.start_datetime, displayTimeZone(tournament))}</div>
                             <div><strong>Registration & Opening Ceremony</strong></div>
                             <div style="color: #718096;">09:00 - 14:00: Registration</div>
                             <div style="color: #718096;">15:00: Opening Ceremony</div>
@@ -702,7 +738,7 @@ app.get('/t/:slug', (req, res) => {
                             <div style="color: #718096;">15:00: Daily Round</div>
                         </div>
                         <div class="schedule-item">
-                            <div class="schedule-time">Last Day - ${formatDate(tournament.end_datetime)}</div>
+                            <div class="schedule-time">Last Day - ${formatDate(tournament.end_datetime, displayTimeZone(tournament))}</div>
                             <div><strong>Final Round & Closing</strong></div>
                             <div style="color: #718096;">10:00: Round 9</div>
                             <div style="color: #718096;">16:00: Prize Giving Ceremony</div>
@@ -1194,7 +1230,7 @@ app.get('/', (req, res) => {
                         ${t.format ? `<span class="badge badge-format">${t.format}</span>` : ''}
                     </div>
                     <div class="tournament-meta">
-                        <div class="tournament-date">📅 ${formatDateRange(t.start_datetime, t.end_datetime)}</div>
+                        <div class="tournament-date">📅 ${formatDateRange(t.start_datetime, t.end_datetime, displayTimeZone(t))}</div>
                         <div>📍 ${t.location}</div>
                     </div>
                 </a>
@@ -1248,6 +1284,9 @@ app.get('/sitemap.xml', (req, res) => {
     }
 });
 
+// Called by the API server after a backup restore
+app.post('/internal/reload-db', reloadDatabaseHandler(connection));
+
 // Health check
 app.get('/health', (req, res) => {
     res.json({ status: 'healthy', service: 'landing-pages' });
@@ -1,17 +1,22 @@
 const express = require('express');
 const cors = require('cors');
-const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
+const { openDatabase, reloadDatabaseHandler } = require('./db-connection');
 const LocationService = require('./location-service');
+const { continentFilterValues } = require('./event-schema');
+const { findMergedEvent } = require('./event-merge');
+const { localDate, displayTimeZone } = require('./timezone');
+const { getEventSeries } = require('./series');
 
 const app = express();
 const PORT = process.env.LANDING_PORT || 3001;
 const API_URL = process.env.API_URL || 'http://localhost:3000';
 const DB_PATH = process.env.NODE_ENV === 'production' ? '/app/calendar-2026.db' : 'calendar-2026.db';
 
-// Initialize database connection
-const db = new Database(DB_PATH, { readonly: true });
+// Initialize database connection (reopened when the API server restores a backup)
+const connection = openDatabase(DB_PATH, { readonly: true });
+const db = connection.db;
 
 // Initialize location service
 const locationService = new LocationService();
@@ -28,19 +33,19 @@ function generateSlug(title) {
         .replace(/^-+|-+$/g, '');
 }
 
-function formatDate(dateString) {
-    const options = { year: 'numeric', month: 'long', day: 'numeric' };
-    return new Date(dateString).toLocaleDateString('en-US', options);
+function formatDate(dateString, timeZone = null) {
+    const options = { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' };
+    return new Date(`${localDate(dateString, timeZone)}T00:00:00Z`).toLocaleDateString('en-US', options);
 }
 
-function formatDateRange(startDate, endDate) {
-    const start = new Date(startDate);
-    const end = new Date(endDate);
-    const startMonth = start.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-    const endMonth = end.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+function formatDateRange(startDate, endDate, timeZone = null) {
+    const start = new Date(`${localDate(startDate, timeZone)}T00:00:00Z`);
+    const end = new Date(`${localDate(endDate, timeZone)}T00:00:00Z`);
+    const startMonth = start.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+    const endMonth = end.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
     
-    if (start.getMonth() === end.getMonth() && start.getFullYear() === end.getFullYear()) {
-        return `${start.getDate()}-${end.getDate()} ${end.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}`;
+    if (start.getUTCMonth() === end.getUTCMonth() && start.getUTCFullYear() === end.getUTCFullYear()) {
+        return `${start.getUTCDate()}-${end.getUTCDate()} ${end.toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' })}`;
     }
     return `${startMonth} - ${endMonth}`;
 }
@@ -63,15 +68,17 @@ app.get('/', (req, res) => {
         const continentTournaments = {};
         
         continents.forEach(continent => {
+            // Americas covers North and South America
+            const values = continentFilterValues(continent);
             continentTournaments[continent] = db.prepare(`
                 SELECT id, title, start_datetime, end_datetime, location, format
                 FROM calendar_events 
                 WHERE deleted_at IS NULL 
-                AND continent = ?
+                AND continent IN (${values.map(() => '?').join(', ')})
                 AND start_datetime >= date('now')
                 ORDER BY start_datetime ASC
                 LIMIT 3
-            `).all(continent);
+            `).all(...values);
         });
 
         // Get special events
@@ -701,7 +708,7 @@ app.get('/', (req, res) => {
                 ${upcomingTournaments.slice(0, 6).map(t => `
                     <div class="event-card">
                         <h3><a href="/t/${generateSlug(t.title)}-${t.id}">${t.title}</a></h3>
-                        <p class="event-date">📅 ${formatDateRange(t.start_datetime, t.end_datetime)}</p>
+                        <p class="event-date">📅 ${formatDateRange(t.start_datetime, t.end_datetime, displayTimeZone(t))}</p>
                         <p class="event-location">📍 ${t.location}</p>
                         ${t.format ? `<p>Format: ${t.format}</p>` : ''}
                         <a href="/t/${generateSlug(t.title)}-${t.id}" class="event-link">View Details →</a>
@@ -799,6 +806,36 @@ app.get('/', (req, res) => {
     }
 });
 
+// Earlier editions of the tournament's series, newest first
+function renderPastEditions(tournament, series) {
+    if (!series) return '';
+
+    const past = series.editions.filter(edition => edition.start_datetime < tournament.start_datetime).reverse();
+    const next = series.editions.find(edition => edition.start_datetime > tournament.start_datetime);
+    if (past.length === 0 && !next) return '';
+
+    return `
+        <div class="content-section">
+            <h2>Past Editions</h2>
+            <div class="info-grid">
+                ${past.map(edition => `
+                <div class="info-card">
+                    <h3><i class="fas fa-history"></i> ${edition.year}</h3>
+                    <p><strong><a href="/t/${generateSlug(edition.title)}-${edition.id}">${edition.title}</a></strong></p>
+                    <p>${edition.location || ''}</p>
+                </div>
+                `).join('')}
+                ${next ? `
+                <div class="info-card">
+                    <h3><i class="fas fa-forward"></i> Next Edition</h3>
+                    <p><strong><a href="/t/${generateSlug(next.title)}-${next.id}">${next.title}</a></strong></p>
+                    <p>${formatDate(next.start_datetime, displayTimeZone(next))}</p>
+                </div>
+                ` : ''}
+            </div>
+        </div>`;
+}
+
 // Individual tournament page route
 app.get('/t/:slug', async (req, res) => {
     try {
@@ -816,9 +853,15 @@ app.get('/t/:slug', async (req, res) => {
         `).get(id);
 
         if (!tournament) {
+            const merged = findMergedEvent(db, id);
+            if (merged) {
+                return res.redirect(301, `/t/${generateSlug(merged.title)}-${merged.id}`);
+            }
             return res.status(404).send('Tournament not found');
         }
 
+        const series = getEventSeries(db, tournament.id);
+
         // Fetch location data
         const locationData = await locationService.getLocationData(
             tournament.location,
@@ -836,8 +879,8 @@ app.get('/t/:slug', async (req, res) => {
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${tournament.title} - ${formatDateRange(tournament.start_datetime, tournament.end_datetime)}</title>
-    <meta name="description" content="${tournament.title} chess tournament in ${tournament.location}. ${formatDateRange(tournament.start_datetime, tournament.end_datetime)}.">
+    <title>${tournament.title} - ${formatDateRange(tournament.start_datetime, tournament.end_datetime, displayTimeZone(tournament))}</title>
+    <meta name="description" content="${tournament.title} chess tournament in ${tournament.location}. ${formatDateRange(tournament.start_datetime, tournament.end_datetime, displayTimeZone(tournament))}.">
     
     <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css">
     
@@ -1065,7 +1108,7 @@ app.get('/t/:slug', async (req, res) => {
             <div class="tournament-meta">
                 <div class="tournament-meta-item">
                     <i class="fas fa-calendar"></i>
-                    ${formatDateRange(tournament.start_datetime, tournament.end_datetime)}
+                    ${formatDateRange(tournament.start_datetime, tournament.end_datetime, displayTimeZone(tournament))}
                 </div>
                 <div class="tournament-meta-item">
                     <i class="fas fa-map-marker-alt"></i>
@@ -1133,6 +1176,8 @@ app.get('/t/:slug', async (req, res) => {
             </div>
         </div>
 
+        ${renderPastEditions(tournament, series)}
+
         <!-- Location & Travel -->
         <div class="content-section">
             <h2>Location & Travel</h2>
@@ -1218,6 +1263,9 @@ app.get('/t/:slug', async (req, res) => {
     }
 });
 
+// Called by the API server after a backup restore
+app.post('/internal/reload-db', reloadDatabaseHandler(connection));
+
 // Health check
 app.get('/health', (req, res) => {
     res.json({ status: 'healthy', service: 'landing-pages-styled' });
@@ -0,0 +1,189 @@
+// Off-site copies of backups in S3-compatible storage
+//
+// Backups are compressed (gzip, or zstd where this Node version supports
+// it) and, when BACKUP_ENCRYPTION_KEY is set, encrypted with AES-256-GCM
+// before upload. The object name records how it was packed:
+//   calendar_daily_2026-10-19T00-00-00-000Z.db.gz.enc
+// Encrypted files start with "CCBK1", then the scrypt salt, the IV and the
+// GCM auth tag; the key is derived from the passphrase with that salt, so
+// the same passphrase always decrypts older uploads.
+
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { createS3Client } = require('./s3-client');
+const { BACKUP_NAME } = require('./backup-schedule');
+
+const MAGIC = Buffer.from('CCBK1');
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+const COMPRESSORS = {
+  gzip: {
+    extension: '.gz',
+    compress: buffer => zlib.gzipSync(buffer, { level: 9 }),
+    decompress: buffer => zlib.gunzipSync(buffer)
+  },
+  zstd: {
+    extension: '.zst',
+    compress: buffer => zlib.zstdCompressSync(buffer),
+    decompress: buffer => zlib.zstdDecompressSync(buffer)
+  },
+  none: {
+    extension: '',
+    compress: buffer => buffer,
+    decompress: buffer => buffer
+  }
+};
+
+function zstdSupported() {
+  return typeof zlib.zstdCompressSync === 'function';
+}
+
+// Settings from the environment. Returns null when no bucket is configured.
+function readOffsiteConfig() {
+  if (!process.env.BACKUP_S3_BUCKET) return null;
+
+  const compression = (process.env.BACKUP_COMPRESSION || 'gzip').toLowerCase();
+  if (!COMPRESSORS[compression]) {
+    throw new Error(`BACKUP_COMPRESSION must be one of: ${Object.keys(COMPRESSORS).join(', ')}`);
+  }
+  if (compression === 'zstd' && !zstdSupported()) {
+    throw new Error('BACKUP_COMPRESSION=zstd needs Node.js 22.15 or later; use gzip');
+  }
+
+  return {
+    endpoint: process.env.BACKUP_S3_ENDPOINT || `https://s3.${process.env.BACKUP_S3_REGION || 'us-east-1'}.amazonaws.com`,
+    region: process.env.BACKUP_S3_REGION || 'us-east-1',
+    bucket: process.env.BACKUP_S3_BUCKET,
+    prefix: process.env.BACKUP_S3_PREFIX ?? 'backups/',
+    accessKeyId: process.env.BACKUP_S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.BACKUP_S3_SECRET_ACCESS_KEY,
+    compression,
+    encryptionKey: process.env.BACKUP_ENCRYPTION_KEY || null,
+    autoUpload: process.env.BACKUP_S3_AUTO_UPLOAD !== 'false'
+  };
+}
+
+function deriveKey(passphrase, salt) {
+  return crypto.scryptSync(passphrase, salt, 32);
+}
+
+function encrypt(buffer, passphrase) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(passphrase, salt), iv);
+  const encrypted = Buffer.concat([cipher.update(buffer), cipher.final()]);
+  return Buffer.concat([MAGIC, salt, iv, cipher.getAuthTag(), encrypted]);
+}
+
+function decrypt(buffer, passphrase) {
+  if (!buffer.subarray(0, MAGIC.length).equals(MAGIC)) {
+    throw new Error('Not an encrypted backup');
+  }
+  let offset = MAGIC.length;
+  const salt = buffer.subarray(offset, offset += SALT_BYTES);
+  const iv = buffer.subarray(offset, offset += IV_BYTES);
+  const tag = buffer.subarray(offset, offset += TAG_BYTES);
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(passphrase, salt), iv);
+  decipher.setAuthTag(tag);
+  try {
+    return Buffer.concat([decipher.update(buffer.subarray(offset)), decipher.final()]);
+  } catch (error) {
+    throw new Error('Could not decrypt the backup: wrong BACKUP_ENCRYPTION_KEY or damaged file');
+  }
+}
+
+// { body, name } to upload for a local backup file's contents
+function packBackup(buffer, filename, { compression = 'gzip', encryptionKey = null } = {}) {
+  const compressor = COMPRESSORS[compression];
+  let body = compressor.compress(buffer);
+  let name = filename + compressor.extension;
+  if (encryptionKey) {
+    body = encrypt(body, encryptionKey);
+    name += '.enc';
+  }
+  return { body, name };
+}
+
+// Undo packBackup, using the extensions of the object name.
+// Returns { buffer, filename }.
+function unpackBackup(body, name, { encryptionKey = null } = {}) {
+  let filename = name;
+  let buffer = body;
+
+  if (filename.endsWith('.enc')) {
+    if (!encryptionKey) {
+      throw new Error('This backup is encrypted; set BACKUP_ENCRYPTION_KEY to restore it');
+    }
+    buffer = decrypt(buffer, encryptionKey);
+    filename = filename.slice(0, -'.enc'.length);
+  }
+
+  const compressor = Object.values(COMPRESSORS).find(entry => entry.extension && filename.endsWith(entry.extension));
+  if (compressor) {
+    if (compressor === COMPRESSORS.zstd && !zstdSupported()) {
+      throw new Error('This backup is zstd-compressed, which needs Node.js 22.15 or later');
+    }
+    buffer = compressor.decompress(buffer);
+    filename = filename.slice(0, -compressor.extension.length);
+  }
+
+  // Backup file names are all we accept back from storage
+  if (!BACKUP_NAME.test(filename)) {
+    throw new Error(`Unexpected backup name: ${name}`);
+  }
+  return { buffer, filename };
+}
+
+function createOffsiteStore(config) {
+  const client = createS3Client(config);
+
+  return {
+    config,
+
+    // Upload a local backup; returns { key, size }
+    async upload(filename, buffer) {
+      const { body, name } = packBackup(buffer, filename, config);
+      const key = config.prefix + name;
+      await client.putObject(key, body);
+      return { key, size: body.length };
+    },
+
+    // Remote backups, newest first
+    async list() {
+      const objects = await client.listObjects(config.prefix);
+      return objects
+        .filter(object => object.key.startsWith(config.prefix + 'calendar_'))
+        .map(object => ({
+          key: object.key,
+          name: object.key.slice(config.prefix.length),
+          size: object.size,
+          last_modified: object.lastModified,
+          encrypted: object.key.endsWith('.enc')
+        }))
+        .sort((a, b) => new Date(b.last_modified) - new Date(a.last_modified));
+    },
+
+    // Download and unpack a remote backup; returns { buffer, filename }
+    async download(key) {
+      if (!key.startsWith(config.prefix)) {
+        throw new Error('Key is outside the backup prefix');
+      }
+      const body = await client.getObject(key);
+      return unpackBackup(body, key.slice(config.prefix.length), config);
+    },
+
+    async remove(key) {
+      await client.deleteObject(key);
+    }
+  };
+}
+
+module.exports = {
+  readOffsiteConfig,
+  packBackup,
+  unpackBackup,
+  createOffsiteStore
+};
@@ -0,0 +1,134 @@
+// Sorting, sparse fieldsets and keyset (cursor) pagination for list endpoints
+//
+// A sort is a list of { expr, direction } keys. Rows are ordered with NULLs
+// last for every key and the table's id as final tie-breaker, so the values
+// of the last row on a page identify exactly where the next page starts.
+// Cursors are opaque base64url strings holding the public sort names and
+// those values; the SQL is always rebuilt from the whitelist.
+
+// Parse "sort=-prize,start_datetime" against a whitelist mapping public
+// names to SQL expressions. Returns { keys } or { error }.
+function parseSortParam(sortParam, sortFields) {
+  const keys = [];
+  const seen = new Set();
+
+  for (const raw of String(sortParam).split(',').map(part => part.trim()).filter(Boolean)) {
+    const descending = raw.startsWith('-');
+    const name = raw.replace(/^[-+]/, '');
+    if (!sortFields[name]) {
+      return { error: `Cannot sort by "${name}". Allowed: ${Object.keys(sortFields).join(', ')}` };
+    }
+    if (seen.has(name)) continue;
+    seen.add(name);
+    keys.push({ name, expr: sortFields[name], direction: descending ? 'DESC' : 'ASC' });
+  }
+
+  if (keys.length === 0) {
+    return { error: 'sort must name at least one field' };
+  }
+  return { keys };
+}
+
+// Expand sort keys into the ORDER BY terms actually used, including the
+// NULLs-last flags and the id tie-breaker. Terms with a name carry a value
+// in the cursor; a NULLs-last flag is derived from the value after it.
+function orderTerms(keys, idExpr) {
+  const terms = [];
+  keys.forEach(key => {
+    terms.push({ expr: `(${key.expr} IS NULL)`, direction: 'ASC' });
+    terms.push({ name: key.name, expr: key.expr, direction: key.direction });
+  });
+  terms.push({ name: 'id', expr: idExpr, direction: 'ASC' });
+  return terms;
+}
+
+function valueTerms(terms) {
+  return terms.filter(term => term.name);
+}
+
+function orderByClause(terms) {
+  return ' ORDER BY ' + terms.map(term => `${term.expr} ${term.direction}`).join(', ');
+}
+
+// Extra select list entries exposing each named term's value as __cursor_N
+function cursorSelect(terms) {
+  return valueTerms(terms).map((term, index) => `, ${term.expr} AS __cursor_${index}`).join('');
+}
+
+// "Rows after the cursor": for some term N, all earlier terms are equal and
+// term N is past the cursor value in its direction
+function cursorCondition(terms, cursorValues) {
+  let next = 0;
+  const values = terms.map(term => (term.name ? cursorValues[next++] : (cursorValues[next] === null ? 1 : 0)));
+  const params = [];
+  const alternatives = terms.map((term, index) => {
+    const parts = terms.slice(0, index).map((previous, i) => {
+      params.push(values[i]);
+      return `${previous.expr} IS ?`;
+    });
+    parts.push(`${term.expr} ${term.direction === 'ASC' ? '>' : '<'} ?`);
+    params.push(values[index]);
+    return `(${parts.join(' AND ')})`;
+  });
+  return { where: ` AND (${alternatives.join(' OR ')})`, params };
+}
+
+// The sort signature ("-prize,start_datetime,id") guards against reusing a
+// cursor with another sort
+function sortSignature(terms) {
+  return valueTerms(terms).map(term => `${term.direction === 'DESC' ? '-' : ''}${term.name}`).join(',');
+}
+
+function encodeCursor(terms, row) {
+  const values = valueTerms(terms).map((term, index) => row[`__cursor_${index}`]);
+  return Buffer.from(JSON.stringify({ s: sortSignature(terms), v: values })).toString('base64url');
+}
+
+// Returns the cursor values, or null if the cursor is malformed or belongs
+// to a different sort
+function decodeCursor(cursor, terms) {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (decoded.s !== sortSignature(terms) || !Array.isArray(decoded.v) || decoded.v.length !== valueTerms(terms).length) {
+      return null;
+    }
+    if (!decoded.v.every(value => value === null || typeof value === 'string' || typeof value === 'number')) {
+      return null;
+    }
+    return decoded.v;
+  } catch (e) {
+    return null;
+  }
+}
+
+function stripCursorColumns(row) {
+  Object.keys(row).forEach(key => {
+    if (key.startsWith('__cursor_')) delete row[key];
+  });
+  return row;
+}
+
+// Parse "fields=id,title,start_datetime" against the allowed column names.
+// Returns { fields } (null when not requested) or { error }.
+function parseFieldsParam(fieldsParam, allowedFields) {
+  if (fieldsParam === undefined || fieldsParam === '') return { fields: null };
+
+  const fields = [...new Set(String(fieldsParam).split(',').map(field => field.trim()).filter(Boolean))];
+  const unknown = fields.filter(field => !allowedFields.includes(field));
+  if (unknown.length > 0) {
+    return { error: `Unknown field(s): ${unknown.join(', ')}` };
+  }
+  return { fields };
+}
+
+module.exports = {
+  parseSortParam,
+  orderTerms,
+  orderByClause,
+  cursorSelect,
+  cursorCondition,
+  encodeCursor,
+  decodeCursor,
+  stripCursorColumns,
+  parseFieldsParam
+};
@@ -0,0 +1,172 @@
+// Players and the event-player join table
+//
+// The players table is the source of truth. calendar_events.players is kept
+// as a comma-separated copy so the JSON exports, widgets and admin textarea
+// keep working unchanged.
+
+// Lowercase, strip accents and punctuation so "Erwin L'Ami" and
+// "Erwin l'Ami" or "Praggnanandhaa R." and "Praggnanandhaa R" match
+function normalizePlayerName(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[.'’`]/g, '')
+    .replace(/[-_]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Split the free-text players field into individual names
+function splitPlayerNames(text) {
+  if (!text) return [];
+
+  const seen = new Set();
+  const names = [];
+  String(text).split(/[,;\n]+/).forEach(part => {
+    const name = part.replace(/\s+/g, ' ').trim();
+    const key = normalizePlayerName(name);
+    if (key && !seen.has(key)) {
+      seen.add(key);
+      names.push(name);
+    }
+  });
+  return names;
+}
+
+function findOrCreatePlayer(db, name) {
+  const normalized = normalizePlayerName(name);
+  if (!normalized) return null;
+
+  const existing = db.prepare('SELECT * FROM players WHERE normalized_name = ?').get(normalized);
+  if (existing) return existing;
+
+  const info = db.prepare(`
+    INSERT INTO players (name, normalized_name, created_at, updated_at)
+    VALUES (?, ?, datetime('now'), datetime('now'))
+  `).run(name.trim(), normalized);
+  return db.prepare('SELECT * FROM players WHERE id = ?').get(info.lastInsertRowid);
+}
+
+// Rating list used for an event's strength, based on its time control or format
+function ratingColumnForEvent(event) {
+  const category = (event.fide_category || event.format || '').toLowerCase();
+  if (category === 'rapid') return 'rating_rapid';
+  if (category === 'blitz' || category === 'bullet') return 'rating_blitz';
+  return 'rating_standard';
+}
+
+// Recompute avg_rating and top10_avg_rating from the attached players'
+// ratings. Pass no IDs to refresh every event.
+function refreshEventRatings(db, eventIds = null) {
+  const events = eventIds
+    ? eventIds.map(id => db.prepare('SELECT id, format, fide_category FROM calendar_events WHERE id = ?').get(id)).filter(Boolean)
+    : db.prepare('SELECT id, format, fide_category FROM calendar_events').all();
+  const update = db.prepare('UPDATE calendar_events SET avg_rating = ?, top10_avg_rating = ?, rated_players = ? WHERE id = ?');
+
+  const refresh = db.transaction(() => {
+    events.forEach(event => {
+      const column = ratingColumnForEvent(event);
+      const ratings = db.prepare(`
+        SELECT p.${column} as rating
+        FROM players p
+        JOIN event_players ep ON ep.player_id = p.id
+        WHERE ep.event_id = ? AND p.${column} > 0
+        ORDER BY p.${column} DESC
+      `).all(event.id).map(row => row.rating);
+
+      const average = list => list.length ? Math.round(list.reduce((sum, r) => sum + r, 0) / list.length) : null;
+      update.run(average(ratings), average(ratings.slice(0, 10)), ratings.length, event.id);
+    });
+  });
+  refresh();
+}
+
+function getEventPlayers(db, eventId) {
+  return db.prepare(`
+    SELECT p.*
+    FROM players p
+    JOIN event_players ep ON ep.player_id = p.id
+    WHERE ep.event_id = ?
+    ORDER BY ep.position ASC, p.name ASC
+  `).all(eventId);
+}
+
+// Rewrite calendar_events.players from the join table
+function refreshPlayersText(db, eventId) {
+  const names = getEventPlayers(db, eventId).map(player => player.name);
+  db.prepare('UPDATE calendar_events SET players = ? WHERE id = ?').run(names.join(', '), eventId);
+}
+
+// Replace an event's players with the names in a comma-separated string
+function setEventPlayersFromText(db, eventId, text) {
+  const sync = db.transaction(() => {
+    db.prepare('DELETE FROM event_players WHERE event_id = ?').run(eventId);
+    const insert = db.prepare('INSERT OR IGNORE INTO event_players (event_id, player_id, position) VALUES (?, ?, ?)');
+    splitPlayerNames(text).forEach((name, index) => {
+      const player = findOrCreatePlayer(db, name);
+      if (player) insert.run(eventId, player.id, index);
+    });
+    refreshPlayersText(db, eventId);
+    refreshEventRatings(db, [eventId]);
+  });
+  sync();
+}
+
+// Returns true if the player was newly attached
+function attachPlayer(db, eventId, playerId) {
+  const attach = db.transaction(() => {
+    const { next } = db.prepare('SELECT COALESCE(MAX(position) + 1, 0) as next FROM event_players WHERE event_id = ?').get(eventId);
+    const info = db.prepare('INSERT OR IGNORE INTO event_players (event_id, player_id, position) VALUES (?, ?, ?)').run(eventId, playerId, next);
+    refreshPlayersText(db, eventId);
+    refreshEventRatings(db, [eventId]);
+    return info.changes > 0;
+  });
+  return attach();
+}
+
+// Returns true if the player was attached and has been removed
+function detachPlayer(db, eventId, playerId) {
+  const detach = db.transaction(() => {
+    const info = db.prepare('DELETE FROM event_players WHERE event_id = ? AND player_id = ?').run(eventId, playerId);
+    refreshPlayersText(db, eventId);
+    refreshEventRatings(db, [eventId]);
+    return info.changes > 0;
+  });
+  return detach();
+}
+
+// One-off migration: split every event's players text into the join table
+function migratePlayers(db) {
+  const events = db.prepare("SELECT id, players FROM calendar_events WHERE players IS NOT NULL AND players != ''").all();
+  const insert = db.prepare('INSERT OR IGNORE INTO event_players (event_id, player_id, position) VALUES (?, ?, ?)');
+  let links = 0;
+
+  const migrate = db.transaction(() => {
+    events.forEach(event => {
+      splitPlayerNames(event.players).forEach((name, index) => {
+        const player = findOrCreatePlayer(db, name);
+        if (player) {
+          links += insert.run(event.id, player.id, index).changes;
+        }
+      });
+    });
+  });
+  migrate();
+
+  const { count } = db.prepare('SELECT COUNT(*) as count FROM players').get();
+  console.log(`Players migration: ${count} players, ${links} event links from ${events.length} events`);
+}
+
+module.exports = {
+  normalizePlayerName,
+  splitPlayerNames,
+  findOrCreatePlayer,
+  getEventPlayers,
+  ratingColumnForEvent,
+  setEventPlayersFromText,
+  attachPlayer,
+  detachPlayer,
+  refreshEventRatings,
+  migratePlayers
+};
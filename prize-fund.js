@@ -0,0 +1,244 @@
+// Structured prize funds: parse free-text amounts, keep a place-by-place
+// breakdown and convert to EUR/USD using the rates in currency-rates.json
+//
+// Understood notations include "€16k", "$140,000", "16.000 EUR", "USD 1.2M",
+// "₹10 lakh" and a breakdown after the total such as
+// "€10000 (1st €4000, 2nd €2500, 3rd €1500, 4th-10th €250 each)".
+
+const fs = require('fs');
+const path = require('path');
+
+const RATES_PATH = path.join(__dirname, 'currency-rates.json');
+
+const CURRENCY_SYMBOLS = [
+  ['US$', 'USD'], ['C$', 'CAD'], ['A$', 'AUD'], ['NZ$', 'NZD'], ['R$', 'BRL'],
+  ['€', 'EUR'], ['$', 'USD'], ['£', 'GBP'], ['₹', 'INR'], ['zł', 'PLN'], ['₺', 'TRY'], ['₽', 'RUB']
+];
+
+const MULTIPLIERS = {
+  k: 1e3,
+  thousand: 1e3,
+  m: 1e6,
+  mn: 1e6,
+  million: 1e6,
+  lakh: 1e5,
+  lakhs: 1e5,
+  crore: 1e7
+};
+
+const AMOUNT_PATTERN = /(\d(?:[\d.,]|\s(?=\d{3}\b))*)\s*(k|mn|m|thousand|million|lakhs?|crore)?\b/gi;
+const YEAR_PATTERN = /^(19|20)\d{2}$/;
+
+// "Total prize fund: " and similar labels before the amount
+const LABEL_PATTERN = /^[^\d:()]*:\s*/;
+
+// Read on every call so monthly edits to the rate table apply without a restart
+function loadRates() {
+  return JSON.parse(fs.readFileSync(RATES_PATH, 'utf8'));
+}
+
+function detectCurrency(text, rates) {
+  const upper = text.toUpperCase();
+  const code = Object.keys(rates.rates).find(c => new RegExp(`\\b${c}\\b`).test(upper));
+  if (code) return code;
+
+  const symbol = CURRENCY_SYMBOLS.find(([sym]) => text.includes(sym));
+  return symbol ? symbol[1] : null;
+}
+
+// "140,000" / "140.000" / "140 000" are thousands; "1.5" / "2,5" are decimals
+function parseNumber(raw) {
+  const compact = raw.replace(/\s/g, '').replace(/[.,]$/, '');
+  if (/^\d{1,3}([.,]\d{3})+$/.test(compact)) {
+    return parseFloat(compact.replace(/[.,]/g, ''));
+  }
+  return parseFloat(compact.replace(',', '.'));
+}
+
+// Parse a single money amount. Returns { amount, currency } or null.
+function parsePrizeAmount(text, rates = loadRates(), defaultCurrency = null) {
+  if (!text) return null;
+
+  // A year such as "2025 Open €5000" is not the amount when the text
+  // names a currency and has another number
+  const matches = [...String(text).matchAll(AMOUNT_PATTERN)];
+  const hasCurrency = detectCurrency(String(text), rates) !== null;
+  const match = matches.find(m => !(hasCurrency && YEAR_PATTERN.test(m[1].trim()) && !m[2])) || matches[0];
+  if (!match) return null;
+
+  let amount = parseNumber(match[1]);
+  if (isNaN(amount)) return null;
+  if (match[2]) amount *= MULTIPLIERS[match[2].toLowerCase()];
+
+  return {
+    amount: Math.round(amount * 100) / 100,
+    currency: detectCurrency(String(text), rates) || defaultCurrency
+  };
+}
+
+// Parse "1st €4000, 2nd €2500, 4th-10th €250 each, Best Woman €500"
+function parseBreakdown(text, rates, defaultCurrency) {
+  const items = [];
+
+  text.split(/[;\n]|,(?!\d{3}\b)/).forEach(part => {
+    const trimmed = part.trim();
+    const amountStart = trimmed.search(/[€$£₹]|\d+(?:[.,]\d+)*\s*(?:k|m|EUR|USD)?\s*(?:each)?$/i);
+    if (amountStart <= 0) return;
+
+    const place = trimmed.slice(0, amountStart).replace(/[:=\-–\s]+$/, '').trim();
+    const money = parsePrizeAmount(trimmed.slice(amountStart), rates, defaultCurrency);
+    if (!place || !money) return;
+
+    items.push({
+      place,
+      amount: money.amount,
+      currency: money.currency,
+      each: /\beach\b/i.test(trimmed)
+    });
+  });
+
+  return items;
+}
+
+// Parse a free-text prize fund. Returns null when no amount can be read.
+function parsePrizeFund(text, rates = loadRates()) {
+  if (!text || !String(text).trim()) return null;
+
+  const str = String(text).trim().replace(LABEL_PATTERN, '');
+  const detailStart = str.search(/[(:]/);
+  const head = detailStart > 0 ? str.slice(0, detailStart) : str;
+  const total = parsePrizeAmount(head, rates);
+  if (!total) return null;
+
+  const details = detailStart > 0 ? str.slice(detailStart + 1).replace(/\)\s*$/, '') : '';
+  return {
+    amount: total.amount,
+    currency: total.currency,
+    breakdown: details ? parseBreakdown(details, rates, total.currency) : []
+  };
+}
+
+function convert(amount, currency, rates) {
+  const rate = rates.rates[currency];
+  if (amount === null || amount === undefined || !rate) {
+    return { eur: null, usd: null };
+  }
+  const eur = amount / rate;
+  return {
+    eur: Math.round(eur),
+    usd: Math.round(eur * rates.rates.USD)
+  };
+}
+
+// Validate a breakdown submitted through the API as an array of
+// { place, amount, currency?, each? }. Throws on invalid entries.
+function normalizeBreakdownInput(input, defaultCurrency) {
+  if (!Array.isArray(input)) {
+    throw new Error('prize_breakdown must be an array');
+  }
+  return input.map((item, index) => {
+    const amount = parseFloat(item && item.amount);
+    if (!item || !item.place || isNaN(amount) || amount < 0) {
+      throw new Error(`prize_breakdown[${index}] needs a place and a non-negative amount`);
+    }
+    return {
+      place: String(item.place).trim(),
+      amount,
+      currency: item.currency ? String(item.currency).toUpperCase() : defaultCurrency,
+      each: Boolean(item.each)
+    };
+  });
+}
+
+// Column values for calendar_events. An explicit breakdown overrides the
+// one parsed from the text.
+function prizeColumns(prizeFund, breakdownInput, rates = loadRates()) {
+  const parsed = parsePrizeFund(prizeFund, rates);
+  const currency = parsed ? parsed.currency : null;
+  const breakdown = breakdownInput !== undefined && breakdownInput !== null
+    ? normalizeBreakdownInput(breakdownInput, currency)
+    : (parsed ? parsed.breakdown : []);
+  const converted = parsed ? convert(parsed.amount, currency, rates) : { eur: null, usd: null };
+
+  return {
+    prize_amount: parsed ? parsed.amount : null,
+    prize_currency: currency,
+    prize_eur: converted.eur,
+    prize_usd: converted.usd,
+    prize_breakdown: breakdown.length ? JSON.stringify(breakdown) : null
+  };
+}
+
+// Parse and store the structured prize columns for one event
+function setEventPrize(db, eventId, prizeFund, breakdownInput = null) {
+  const columns = prizeColumns(prizeFund, breakdownInput);
+  db.prepare(`
+    UPDATE calendar_events
+    SET prize_amount = ?, prize_currency = ?, prize_eur = ?, prize_usd = ?, prize_breakdown = ?
+    WHERE id = ?
+  `).run(columns.prize_amount, columns.prize_currency, columns.prize_eur, columns.prize_usd, columns.prize_breakdown, eventId);
+  return columns;
+}
+
+// Recompute EUR/USD values for every event from the current rate table
+function refreshPrizeConversions(db) {
+  const rates = loadRates();
+  const events = db.prepare('SELECT id, prize_amount, prize_currency FROM calendar_events WHERE prize_amount IS NOT NULL').all();
+  const update = db.prepare('UPDATE calendar_events SET prize_eur = ?, prize_usd = ? WHERE id = ?');
+
+  const refresh = db.transaction(() => {
+    events.forEach(event => {
+      const converted = convert(event.prize_amount, event.prize_currency, rates);
+      update.run(converted.eur, converted.usd, event.id);
+    });
+  });
+  refresh();
+  return events.length;
+}
+
+// One-off migration: parse every existing prize_fund string
+function migratePrizeFunds(db) {
+  const rates = loadRates();
+  const events = db.prepare("SELECT id, prize_fund FROM calendar_events WHERE prize_fund IS NOT NULL AND prize_fund != ''").all();
+  const update = db.prepare(`
+    UPDATE calendar_events
+    SET prize_amount = ?, prize_currency = ?, prize_eur = ?, prize_usd = ?, prize_breakdown = ?
+    WHERE id = ?
+  `);
+  let parsed = 0;
+
+  const migrate = db.transaction(() => {
+    events.forEach(event => {
+      const columns = prizeColumns(event.prize_fund, null, rates);
+      if (columns.prize_amount !== null) parsed++;
+      update.run(columns.prize_amount, columns.prize_currency, columns.prize_eur, columns.prize_usd, columns.prize_breakdown, event.id);
+    });
+  });
+  migrate();
+
+  console.log(`Prize fund migration: parsed ${parsed} of ${events.length} prize funds`);
+}
+
+// Display helper, e.g. "€16,000"
+function formatMoney(amount, currency) {
+  if (amount === null || amount === undefined) return '';
+  try {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: currency || 'EUR',
+      maximumFractionDigits: 0
+    }).format(amount);
+  } catch (e) {
+    return `${Math.round(amount).toLocaleString('en-US')} ${currency || ''}`.trim();
+  }
+}
+
+module.exports = {
+  parsePrizeAmount,
+  parsePrizeFund,
+  prizeColumns,
+  setEventPrize,
+  refreshPrizeConversions,
+  migratePrizeFunds,
+  formatMoney
+};
@@ -1,6 +1,7 @@
 #!/usr/bin/env node
 
 const Database = require('better-sqlite3');
+const { searchEvents, isSearchSyntaxError } = require('./event-search');
 const db = new Database('calendar-2026.db', { readonly: true });
 
 const command = process.argv[2];
@@ -15,6 +16,11 @@ function formatDate(dateStr) {
   });
 }
 
+// Search snippets mark matches with <mark>; show them in bold on the terminal
+function formatSnippet(snippet) {
+  return (snippet || '').replace(/<mark>/g, '\x1b[1m').replace(/<\/mark>/g, '\x1b[0m').replace(/\s+/g, ' ');
+}
+
 switch(command) {
   case 'stats':
     const total = db.prepare('SELECT COUNT(*) as count FROM calendar_events WHERE deleted_at IS NULL').get();
@@ -56,18 +62,25 @@ switch(command) {
   case 'search':
     if (!arg) {
       console.log('Usage: node query-calendar.js search <term>');
+      console.log('  Words must all match; use "quotes" for phrases and a trailing * for prefixes');
       process.exit(1);
     }
-    const results = db.prepare(`
-      SELECT title, location, start_datetime, players 
-      FROM calendar_events 
-      WHERE deleted_at IS NULL 
-        AND (title LIKE ? OR location LIKE ? OR players LIKE ?)
-      ORDER BY start_datetime ASC
-      LIMIT 20
-    `).all(`%${arg}%`, `%${arg}%`, `%${arg}%`);
+    let results;
+    try {
+      results = searchEvents(db, process.argv.slice(3).join(' '));
+    } catch (error) {
+      if (error.message.includes('no such table')) {
+        console.log('Search index not found - start the API server once to build it');
+        process.exit(1);
+      }
+      if (isSearchSyntaxError(error)) {
+        console.log('Invalid search query');
+        process.exit(1);
+      }
+      throw error;
+    }
     
-    console.log(`\n🔍 Search Results for "${arg}"`);
+    console.log(`\n🔍 Search Results for "${process.argv.slice(3).join(' ')}"`);
     console.log('=' .repeat(70));
     if (results.length === 0) {
       console.log('No events found');
@@ -76,9 +89,7 @@ switch(command) {
         console.log(`\n• ${e.title}`);
         console.log(`  📍 ${e.location || 'Location TBA'}`);
         console.log(`  📅 ${formatDate(e.start_datetime)}`);
-        if (e.players && e.players.includes(arg)) {
-          console.log(`  👥 Players: ${e.players.substring(0, 100)}...`);
-        }
+        console.log(`  💬 ${formatSnippet(e.search_snippet)}`);
       });
     }
     break;
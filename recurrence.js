@@ -0,0 +1,326 @@
+// Recurring events (RFC 5545 RRULE with EXDATE exceptions)
+//
+// A recurring event is stored once: start_datetime/end_datetime are the
+// first occurrence (DTSTART), recurrence_rule holds the RRULE ("FREQ=WEEKLY;
+// BYDAY=TH") and recurrence_exdates the skipped dates ("2026-03-12,
+// 2026-04-02"). Occurrences keep the first one's time of day and length and
+// are expanded on demand by expandOccurrences(): timed events with a time
+// zone in its wall-clock time (19:00 in Madrid stays 19:00 across DST
+// changes), everything else in UTC.
+//
+// Supported rule parts: FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL,
+// COUNT, UNTIL, BYDAY (with ordinals such as 2SA or -1FR for monthly and
+// yearly rules), BYMONTHDAY, BYMONTH, BYSETPOS and WKST.
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const SUPPORTED_PARTS = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'BYMONTHDAY', 'BYMONTH', 'BYSETPOS', 'WKST'];
+
+// Indexed like Date.getUTCDay()
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Safety limits for open-ended rules
+const MAX_OCCURRENCES = 1000;
+const MAX_YEARS = 100;
+
+const { parseStoredDatetime, isAllDayEvent, timeZoneOffset, zonedTimeToUtc } = require('./timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseIntegerList(name, value, min, max, allowNegative = false) {
+  return value.split(',').map(item => {
+    const number = Number(item);
+    if (!/^[+-]?\d+$/.test(item) || (!allowNegative && number < 0) || Math.abs(number) < min || Math.abs(number) > max) {
+      throw new Error(`${name} must be a list of numbers from ${min} to ${max}${allowNegative ? ` or -${max} to -${min}` : ''}`);
+    }
+    return number;
+  });
+}
+
+// "20261231" (inclusive) or "20261231T190000Z" -> timestamp
+function parseUntil(value) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+  if (!match) {
+    throw new Error('UNTIL must be a date (YYYYMMDD) or UTC time (YYYYMMDDTHHMMSSZ)');
+  }
+  const [, year, month, day, hours = '23', minutes = '59', seconds = '59'] = match;
+  const time = Date.parse(`${year}-${month}-${day}T${hours}:${minutes}:${seconds}Z`);
+  if (isNaN(time)) {
+    throw new Error('UNTIL is not a valid date');
+  }
+  return time;
+}
+
+// Parse an RRULE (with or without the "RRULE:" prefix). Throws an Error
+// with a message fit for a validation response.
+function parseRRule(text) {
+  const source = String(text || '').trim().replace(/^RRULE:/i, '');
+  if (!source) {
+    throw new Error('RRULE is empty');
+  }
+
+  const rule = { freq: null, interval: 1, count: null, until: null, untilIsDate: false, byDay: [], byMonthDay: [], byMonth: [], bySetPos: [], wkst: 1 };
+  const seen = new Set();
+
+  for (const part of source.split(';').map(item => item.trim()).filter(Boolean)) {
+    const [rawName, rawValue] = part.split('=');
+    const name = rawName.toUpperCase();
+    const value = (rawValue || '').toUpperCase();
+    if (!SUPPORTED_PARTS.includes(name)) {
+      throw new Error(`${name} is not supported; use ${SUPPORTED_PARTS.join(', ')}`);
+    }
+    if (!value) {
+      throw new Error(`${name} needs a value`);
+    }
+    if (seen.has(name)) {
+      throw new Error(`${name} is given twice`);
+    }
+    seen.add(name);
+
+    switch (name) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value)) {
+          throw new Error(`FREQ must be one of: ${FREQUENCIES.join(', ')}`);
+        }
+        rule.freq = value;
+        break;
+      case 'INTERVAL':
+      case 'COUNT': {
+        if (!/^\d+$/.test(value) || parseInt(value) < 1) {
+          throw new Error(`${name} must be a positive whole number`);
+        }
+        rule[name.toLowerCase()] = parseInt(value);
+        break;
+      }
+      case 'UNTIL':
+        rule.until = parseUntil(value);
+        rule.untilIsDate = /^\d{8}$/.test(value);
+        break;
+      case 'BYDAY':
+        rule.byDay = value.split(',').map(item => {
+          const match = item.match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+          if (!match || (match[1] && (parseInt(match[1]) === 0 || Math.abs(parseInt(match[1])) > 53))) {
+            throw new Error('BYDAY must be a list of weekdays (MO, TU, ...), optionally numbered (2SA, -1FR)');
+          }
+          return { n: match[1] ? parseInt(match[1]) : 0, day: WEEKDAYS.indexOf(match[2]) };
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = parseIntegerList(name, value, 1, 31, true);
+        break;
+      case 'BYMONTH':
+        rule.byMonth = parseIntegerList(name, value, 1, 12);
+        break;
+      case 'BYSETPOS':
+        rule.bySetPos = parseIntegerList(name, value, 1, 366, true);
+        break;
+      case 'WKST':
+        if (!WEEKDAYS.includes(value)) {
+          throw new Error('WKST must be a weekday (MO, TU, ...)');
+        }
+        rule.wkst = WEEKDAYS.indexOf(value);
+        break;
+    }
+  }
+
+  if (!rule.freq) {
+    throw new Error('FREQ is required');
+  }
+  if (rule.count && rule.until !== null) {
+    throw new Error('COUNT and UNTIL cannot be combined');
+  }
+  if (rule.byDay.some(entry => entry.n) && !['MONTHLY', 'YEARLY'].includes(rule.freq)) {
+    throw new Error('Numbered BYDAY values (2SA, -1FR) need FREQ=MONTHLY or FREQ=YEARLY');
+  }
+  if (rule.byMonthDay.length > 0 && rule.freq === 'WEEKLY') {
+    throw new Error('BYMONTHDAY cannot be used with FREQ=WEEKLY');
+  }
+  return rule;
+}
+
+// Stored form of a valid rule: upper case, without prefix or spaces
+function normalizeRRule(text) {
+  parseRRule(text);
+  return String(text).trim().replace(/^RRULE:/i, '').replace(/\s+/g, '').replace(/;+$/, '').toUpperCase();
+}
+
+// "2026-03-12, 20260402" or an array of dates -> "2026-03-12,2026-04-02"
+// (sorted, without repeats). Throws on anything that isn't a date.
+function normalizeExdates(value) {
+  const items = Array.isArray(value) ? value : String(value).split(/[\s,]+/);
+  const dates = items.map(item => String(item).trim()).filter(Boolean).map(item => {
+    const match = item.match(/^(\d{4})-?(\d{2})-?(\d{2})(?:[T ].*)?$/);
+    const date = match && `${match[1]}-${match[2]}-${match[3]}`;
+    if (!date || isNaN(Date.parse(`${date}T00:00:00Z`)) || !new Date(`${date}T00:00:00Z`).toISOString().startsWith(date)) {
+      throw new Error(`${item} is not a date (YYYY-MM-DD)`);
+    }
+    return date;
+  });
+  return [...new Set(dates)].sort().join(',');
+}
+
+function parseExdates(text) {
+  return String(text || '').split(',').map(date => date.trim()).filter(Boolean);
+}
+
+function toDatetime(time) {
+  return new Date(time).toISOString().slice(0, 19).replace('T', ' ');
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+// Every day of the period with index `period` (0 = the one containing
+// the first occurrence), as UTC midnights
+function periodDays(rule, firstDay, period) {
+  const first = new Date(firstDay);
+  const range = (start, count) => Array.from({ length: count }, (_, i) => start + i * DAY_MS);
+
+  switch (rule.freq) {
+    case 'DAILY':
+      return [firstDay + period * rule.interval * DAY_MS];
+    case 'WEEKLY': {
+      const weekStart = firstDay - ((first.getUTCDay() - rule.wkst + 7) % 7) * DAY_MS;
+      return range(weekStart + period * rule.interval * 7 * DAY_MS, 7);
+    }
+    case 'MONTHLY': {
+      const month = first.getUTCMonth() + period * rule.interval;
+      const year = first.getUTCFullYear() + Math.floor(month / 12);
+      return range(Date.UTC(year, month % 12, 1), daysInMonth(year, month % 12));
+    }
+    default: {
+      const year = first.getUTCFullYear() + period * rule.interval;
+      const leap = daysInMonth(year, 1) === 29;
+      return range(Date.UTC(year, 0, 1), leap ? 366 : 365);
+    }
+  }
+}
+
+// Whether day is the nth (or, negative, nth-from-last) of its weekday in
+// its month or, for yearly rules without BYMONTH, its year
+function matchesOrdinal(rule, day, n) {
+  const date = new Date(day);
+  const year = date.getUTCFullYear();
+  let index;
+  let length;
+  if (rule.freq === 'YEARLY' && rule.byMonth.length === 0) {
+    index = Math.round((day - Date.UTC(year, 0, 1)) / DAY_MS);
+    length = daysInMonth(year, 1) === 29 ? 366 : 365;
+  } else {
+    index = date.getUTCDate() - 1;
+    length = daysInMonth(year, date.getUTCMonth());
+  }
+  return n > 0 ? Math.floor(index / 7) + 1 === n : Math.floor((length - 1 - index) / 7) + 1 === -n;
+}
+
+// Days of one period on which the rule has an occurrence, in order
+function occurrenceDays(rule, firstDay, period) {
+  const first = new Date(firstDay);
+  let days = periodDays(rule, firstDay, period);
+
+  if (rule.byMonth.length > 0) {
+    days = days.filter(day => rule.byMonth.includes(new Date(day).getUTCMonth() + 1));
+  }
+  if (rule.byMonthDay.length > 0) {
+    days = days.filter(day => {
+      const date = new Date(day);
+      const length = daysInMonth(date.getUTCFullYear(), date.getUTCMonth());
+      return rule.byMonthDay.some(n => (n > 0 ? n : length + n + 1) === date.getUTCDate());
+    });
+  }
+  if (rule.byDay.length > 0) {
+    days = days.filter(day => rule.byDay.some(entry =>
+      entry.day === new Date(day).getUTCDay() && (!entry.n || matchesOrdinal(rule, day, entry.n))));
+  }
+
+  // Without BYDAY or BYMONTHDAY the first occurrence fixes the weekday or
+  // day of the month (and, for yearly rules without BYMONTH, the month)
+  if (rule.byDay.length === 0 && rule.byMonthDay.length === 0) {
+    if (rule.freq === 'WEEKLY') {
+      days = days.filter(day => new Date(day).getUTCDay() === first.getUTCDay());
+    } else if (rule.freq === 'MONTHLY' || rule.freq === 'YEARLY') {
+      days = days.filter(day => new Date(day).getUTCDate() === first.getUTCDate() &&
+        (rule.freq === 'MONTHLY' || rule.byMonth.length > 0 || new Date(day).getUTCMonth() === first.getUTCMonth()));
+    }
+  }
+
+  if (rule.bySetPos.length > 0) {
+    const picked = rule.bySetPos.map(n => days[n > 0 ? n - 1 : days.length + n]).filter(day => day !== undefined);
+    days = [...new Set(picked)].sort((a, b) => a - b);
+  }
+  return days;
+}
+
+// Occurrences of a recurring event overlapping the dates from..to
+// (YYYY-MM-DD, both optional and inclusive, compared in UTC), as
+// { start_datetime, end_datetime } in the stored format. At most limit
+// occurrences; without a rule the event itself is the only occurrence.
+//
+// Days are counted in the event's wall-clock time, so EXDATE and a date-only
+// UNTIL are local dates; each occurrence is then converted back to UTC.
+function expandOccurrences(event, { from = null, to = null, limit = MAX_OCCURRENCES } = {}) {
+  const start = parseStoredDatetime(event.start_datetime);
+  const end = event.end_datetime ? parseStoredDatetime(event.end_datetime) : start;
+  const duration = Math.max(0, end - start);
+  const overlaps = (occurrenceStart, occurrenceEnd) =>
+    (!from || toDatetime(occurrenceEnd).slice(0, 10) >= from) && (!to || toDatetime(occurrenceStart).slice(0, 10) <= to);
+
+  if (!event.recurrence_rule) {
+    return overlaps(start, start + duration)
+      ? [{ start_datetime: toDatetime(start), end_datetime: toDatetime(start + duration) }]
+      : [];
+  }
+
+  // Local times are handled as if they were UTC
+  const timeZone = event.timezone && !isAllDayEvent(event) ? event.timezone : null;
+  const toLocal = time => (timeZone ? time + timeZoneOffset(timeZone, time) * 60000 : time);
+  const toUtc = local => (timeZone ? zonedTimeToUtc(toDatetime(local), timeZone) : local);
+
+  const rule = parseRRule(event.recurrence_rule);
+  const exdates = new Set(parseExdates(event.recurrence_exdates));
+  const localStart = toLocal(start);
+  const firstDay = localStart - (localStart % DAY_MS);
+  const timeOfDay = localStart - firstDay;
+  const lastYear = new Date(localStart).getUTCFullYear() + MAX_YEARS;
+  const toTime = to ? Date.parse(`${to}T23:59:59Z`) : null;
+
+  const occurrences = [];
+  let count = 0;
+  for (let period = 0; ; period++) {
+    const days = occurrenceDays(rule, firstDay, period);
+    const periodStart = periodDays(rule, firstDay, period)[0];
+    // A local day can begin up to a day after the UTC one
+    if (new Date(periodStart).getUTCFullYear() > lastYear || (toTime !== null && periodStart > toTime + DAY_MS)) {
+      return occurrences;
+    }
+
+    for (const day of days) {
+      const localOccurrence = day + timeOfDay;
+      if (localOccurrence < localStart) continue;
+      const occurrenceStart = toUtc(localOccurrence);
+      // COUNT includes skipped dates (RFC 5545 applies EXDATE afterwards)
+      count++;
+      if ((rule.count && count > rule.count) ||
+          (rule.until !== null && (rule.untilIsDate ? localOccurrence : occurrenceStart) > rule.until) ||
+          (toTime !== null && occurrenceStart > toTime)) {
+        return occurrences;
+      }
+      if (exdates.has(toDatetime(localOccurrence).slice(0, 10)) || !overlaps(occurrenceStart, occurrenceStart + duration)) {
+        continue;
+      }
+      occurrences.push({ start_datetime: toDatetime(occurrenceStart), end_datetime: toDatetime(occurrenceStart + duration) });
+      if (occurrences.length >= limit) {
+        return occurrences;
+      }
+    }
+  }
+}
+
+module.exports = {
+  MAX_OCCURRENCES,
+  parseRRule,
+  normalizeRRule,
+  normalizeExdates,
+  parseExdates,
+  expandOccurrences
+};
@@ -0,0 +1,143 @@
+// Minimal client for S3-compatible object storage (AWS S3, MinIO, Cloudflare
+// R2, Backblaze B2, ...), enough for off-site backups: put, get, list and
+// delete objects. Requests are signed with AWS Signature Version 4 and use
+// path-style URLs (endpoint/bucket/key), which every S3-compatible service
+// accepts.
+
+const crypto = require('crypto');
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// RFC 3986 encoding as required by Signature Version 4
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function decodeXml(value) {
+  return value
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// Inner XML of every <tag> element (responses are small and flat enough
+// not to need a parser)
+function xmlElements(xml, tag) {
+  return [...xml.matchAll(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'g'))].map(match => match[1]);
+}
+
+function xmlValues(xml, tag) {
+  return xmlElements(xml, tag).map(decodeXml);
+}
+
+// Authorization header value for a request. headers must include host,
+// x-amz-date and x-amz-content-sha256.
+function signRequest({ method, path, query = {}, headers, region, accessKeyId, secretAccessKey, service = 's3' }) {
+  const amzDate = headers['x-amz-date'];
+  const date = amzDate.slice(0, 8);
+  const scope = `${date}/${region}/${service}/aws4_request`;
+
+  const signedHeaderNames = Object.keys(headers).map(name => name.toLowerCase()).sort();
+  const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()]));
+  const canonicalHeaders = signedHeaderNames.map(name => `${name}:${lowerHeaders[name]}\n`).join('');
+  const canonicalQuery = Object.keys(query).sort()
+    .map(key => `${encodeRfc3986(key)}=${encodeRfc3986(query[key])}`)
+    .join('&');
+
+  const canonicalRequest = [
+    method,
+    path.split('/').map(encodeRfc3986).join('/'),
+    canonicalQuery,
+    canonicalHeaders,
+    signedHeaderNames.join(';'),
+    lowerHeaders['x-amz-content-sha256']
+  ].join('\n');
+
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = [date, region, service, 'aws4_request']
+    .reduce((key, part) => hmac(key, part), `AWS4${secretAccessKey}`);
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaderNames.join(';')}, Signature=${signature}`;
+}
+
+function createS3Client({ endpoint, region = 'us-east-1', bucket, accessKeyId, secretAccessKey }) {
+  const base = new URL(endpoint);
+
+  async function request(method, key = '', { query = {}, body = null, contentType = null } = {}) {
+    const path = `${base.pathname.replace(/\/$/, '')}/${bucket}${key ? `/${key}` : ''}`;
+    const headers = {
+      host: base.host,
+      'x-amz-date': new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, ''),
+      'x-amz-content-sha256': sha256(body || '')
+    };
+    headers.authorization = signRequest({ method, path, query, headers, region, accessKeyId, secretAccessKey });
+    if (contentType) headers['content-type'] = contentType;
+    delete headers.host;
+
+    const search = Object.keys(query).length > 0
+      ? '?' + Object.entries(query).map(([name, value]) => `${encodeRfc3986(name)}=${encodeRfc3986(value)}`).join('&')
+      : '';
+    const url = `${base.protocol}//${base.host}${path.split('/').map(encodeRfc3986).join('/')}${search}`;
+
+    const response = await fetch(url, { method, headers, body, signal: AbortSignal.timeout(5 * 60 * 1000) });
+    if (!response.ok) {
+      const text = await response.text();
+      const code = xmlValues(text, 'Code')[0];
+      const message = xmlValues(text, 'Message')[0];
+      const error = new Error(`S3 ${method} ${key || bucket} failed: ${response.status}${code ? ` ${code}` : ''}${message ? ` - ${message}` : ''}`);
+      error.status = response.status;
+      throw error;
+    }
+    return response;
+  }
+
+  return {
+    async putObject(key, body, contentType = 'application/octet-stream') {
+      await request('PUT', key, { body, contentType });
+    },
+
+    async getObject(key) {
+      const response = await request('GET', key);
+      return Buffer.from(await response.arrayBuffer());
+    },
+
+    async deleteObject(key) {
+      await request('DELETE', key);
+    },
+
+    // All objects under a prefix: [{ key, size, lastModified }]
+    async listObjects(prefix = '') {
+      const objects = [];
+      let continuationToken = null;
+
+      do {
+        const query = { 'list-type': '2', prefix };
+        if (continuationToken) query['continuation-token'] = continuationToken;
+        const xml = await (await request('GET', '', { query })).text();
+
+        xmlElements(xml, 'Contents').forEach(contents => {
+          objects.push({
+            key: xmlValues(contents, 'Key')[0],
+            size: parseInt(xmlValues(contents, 'Size')[0]) || 0,
+            lastModified: xmlValues(contents, 'LastModified')[0]
+          });
+        });
+        continuationToken = xmlValues(xml, 'IsTruncated')[0] === 'true' ? xmlValues(xml, 'NextContinuationToken')[0] : null;
+      } while (continuationToken);
+
+      return objects;
+    }
+  };
+}
+
+module.exports = {
+  signRequest,
+  createS3Client
+};
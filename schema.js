@@ -0,0 +1,266 @@
+// Idempotent schema upgrades for the SQLite calendar database.
+// The production database ships as a file, so new tables and columns are
+// created on startup instead of relying on database/init-sqlite.sql.
+// One-off data migrations are tracked with PRAGMA user_version.
+
+const { migratePlayers } = require('./players');
+const { migratePrizeFunds } = require('./prize-fund');
+const { SEARCH_COLUMNS } = require('./event-search');
+const { migrateContinents } = require('./event-schema');
+const { migrateEventTimeZones } = require('./timezone');
+
+function addColumnIfMissing(db, table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(col => col.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+function ensureSchema(db) {
+  // Per-round schedule for each event
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS event_rounds (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      event_id INTEGER NOT NULL REFERENCES calendar_events(id) ON DELETE CASCADE,
+      round_number INTEGER,
+      round_type TEXT NOT NULL DEFAULT 'round',
+      round_date TEXT NOT NULL,
+      start_time TEXT,
+      label TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX IF NOT EXISTS idx_event_rounds_event ON event_rounds(event_id, round_date);
+  `);
+
+  // Structured time control (see time-control.js)
+  addColumnIfMissing(db, 'calendar_events', 'time_control', 'TEXT');
+  addColumnIfMissing(db, 'calendar_events', 'tc_base_min', 'REAL');
+  addColumnIfMissing(db, 'calendar_events', 'tc_increment_sec', 'INTEGER');
+  addColumnIfMissing(db, 'calendar_events', 'tc_delay_sec', 'INTEGER');
+  addColumnIfMissing(db, 'calendar_events', 'tc_stages', 'TEXT');
+  addColumnIfMissing(db, 'calendar_events', 'fide_category', 'TEXT');
+
+  // Recurring events (see recurrence.js)
+  addColumnIfMissing(db, 'calendar_events', 'recurrence_rule', 'TEXT');
+  addColumnIfMissing(db, 'calendar_events', 'recurrence_exdates', 'TEXT');
+
+  // IANA time zone the event takes place in (see timezone.js)
+  addColumnIfMissing(db, 'calendar_events', 'timezone', 'TEXT');
+
+  // UID of events imported from .ics files (see ics-import.js)
+  addColumnIfMissing(db, 'calendar_events', 'ics_uid', 'TEXT');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_events_ics_uid ON calendar_events(ics_uid) WHERE ics_uid IS NOT NULL');
+
+  // Players and event participation (see players.js)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS players (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      normalized_name TEXT NOT NULL UNIQUE,
+      fide_id INTEGER UNIQUE,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE TABLE IF NOT EXISTS event_players (
+      event_id INTEGER NOT NULL REFERENCES calendar_events(id) ON DELETE CASCADE,
+      player_id INTEGER NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+      position INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (event_id, player_id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_event_players_player ON event_players(player_id);
+  `);
+
+  // FIDE rating list data (see import-fide-ratings.js)
+  addColumnIfMissing(db, 'players', 'title', 'TEXT');
+  addColumnIfMissing(db, 'players', 'federation', 'TEXT');
+  addColumnIfMissing(db, 'players', 'birth_year', 'INTEGER');
+  addColumnIfMissing(db, 'players', 'rating_standard', 'INTEGER');
+  addColumnIfMissing(db, 'players', 'rating_rapid', 'INTEGER');
+  addColumnIfMissing(db, 'players', 'rating_blitz', 'INTEGER');
+  addColumnIfMissing(db, 'players', 'ratings_updated_at', 'DATETIME');
+  addColumnIfMissing(db, 'calendar_events', 'avg_rating', 'INTEGER');
+  addColumnIfMissing(db, 'calendar_events', 'top10_avg_rating', 'INTEGER');
+  addColumnIfMissing(db, 'calendar_events', 'rated_players', 'INTEGER');
+
+  // Structured prize fund (see prize-fund.js)
+  addColumnIfMissing(db, 'calendar_events', 'prize_amount', 'REAL');
+  addColumnIfMissing(db, 'calendar_events', 'prize_currency', 'TEXT');
+  addColumnIfMissing(db, 'calendar_events', 'prize_eur', 'INTEGER');
+  addColumnIfMissing(db, 'calendar_events', 'prize_usd', 'INTEGER');
+  addColumnIfMissing(db, 'calendar_events', 'prize_breakdown', 'TEXT');
+
+  // User accounts and login sessions (see auth.js)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT NOT NULL UNIQUE,
+      password_hash TEXT NOT NULL,
+      role TEXT NOT NULL DEFAULT 'viewer',
+      display_name TEXT,
+      active INTEGER NOT NULL DEFAULT 1,
+      last_login_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE TABLE IF NOT EXISTS sessions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      token_hash TEXT NOT NULL UNIQUE,
+      expires_at DATETIME NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_used_at DATETIME
+    );
+    CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+  `);
+
+  // API keys for partner sites and their daily usage (see api-keys.js).
+  // Anonymous usage is counted under api_key_id 0.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      contact TEXT,
+      key_prefix TEXT NOT NULL,
+      key_hash TEXT NOT NULL UNIQUE,
+      rate_limit_per_minute INTEGER NOT NULL,
+      daily_quota INTEGER NOT NULL,
+      revoked_at DATETIME,
+      created_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_used_at DATETIME
+    );
+    CREATE TABLE IF NOT EXISTS api_key_usage (
+      api_key_id INTEGER NOT NULL,
+      day TEXT NOT NULL,
+      requests INTEGER NOT NULL DEFAULT 0,
+      rejected INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (api_key_id, day)
+    );
+  `);
+
+  // Per-event change history (see event-history.js)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS event_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      event_id INTEGER NOT NULL,
+      version INTEGER NOT NULL,
+      action TEXT NOT NULL,
+      actor_user_id INTEGER,
+      actor TEXT,
+      changes TEXT NOT NULL DEFAULT '{}',
+      snapshot TEXT,
+      note TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (event_id, version)
+    );
+  `);
+
+  // Candidate duplicate pairs marked as "not a duplicate" (see
+  // duplicate-detection.js); event_a_id is always the smaller ID
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS duplicate_dismissals (
+      event_a_id INTEGER NOT NULL,
+      event_b_id INTEGER NOT NULL,
+      dismissed_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (event_a_id, event_b_id)
+    );
+  `);
+
+  // IDs of events merged into another one, which redirect to it (see
+  // event-merge.js)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS event_aliases (
+      old_id INTEGER PRIMARY KEY,
+      event_id INTEGER NOT NULL,
+      created_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX IF NOT EXISTS idx_event_aliases_event ON event_aliases(event_id);
+  `);
+
+  // Recurring tournaments and the events that are their editions (see
+  // series.js); an event belongs to at most one series
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS series (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      slug TEXT NOT NULL UNIQUE,
+      description TEXT,
+      url TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE TABLE IF NOT EXISTS series_editions (
+      event_id INTEGER PRIMARY KEY,
+      series_id INTEGER NOT NULL,
+      edition INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX IF NOT EXISTS idx_series_editions_series ON series_editions(series_id);
+  `);
+
+  ensureSearchIndex(db);
+
+  runDataMigrations(db);
+}
+
+// FTS5 index over the searchable text columns (see event-search.js). It is an
+// external-content table, so triggers keep it in step with calendar_events.
+function ensureSearchIndex(db) {
+  const columns = SEARCH_COLUMNS.join(', ');
+  const newValues = SEARCH_COLUMNS.map(column => `new.${column}`).join(', ');
+  const oldValues = SEARCH_COLUMNS.map(column => `old.${column}`).join(', ');
+
+  db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS calendar_events_fts USING fts5(
+      ${columns},
+      content = 'calendar_events',
+      content_rowid = 'id',
+      tokenize = 'unicode61 remove_diacritics 2'
+    );
+    CREATE TRIGGER IF NOT EXISTS calendar_events_fts_insert AFTER INSERT ON calendar_events BEGIN
+      INSERT INTO calendar_events_fts (rowid, ${columns}) VALUES (new.id, ${newValues});
+    END;
+    CREATE TRIGGER IF NOT EXISTS calendar_events_fts_delete AFTER DELETE ON calendar_events BEGIN
+      INSERT INTO calendar_events_fts (calendar_events_fts, rowid, ${columns}) VALUES ('delete', old.id, ${oldValues});
+    END;
+    CREATE TRIGGER IF NOT EXISTS calendar_events_fts_update AFTER UPDATE OF ${columns} ON calendar_events BEGIN
+      INSERT INTO calendar_events_fts (calendar_events_fts, rowid, ${columns}) VALUES ('delete', old.id, ${oldValues});
+      INSERT INTO calendar_events_fts (rowid, ${columns}) VALUES (new.id, ${newValues});
+    END;
+  `);
+}
+
+function runDataMigrations(db) {
+  const version = db.pragma('user_version', { simple: true });
+
+  if (version < 1) {
+    migratePlayers(db);
+    db.pragma('user_version = 1');
+  }
+
+  if (version < 2) {
+    migratePrizeFunds(db);
+    db.pragma('user_version = 2');
+  }
+
+  if (version < 3) {
+    // Index the events that existed before the search triggers
+    db.exec("INSERT INTO calendar_events_fts (calendar_events_fts) VALUES ('rebuild')");
+    db.pragma('user_version = 3');
+  }
+
+  if (version < 4) {
+    migrateContinents(db);
+    db.pragma('user_version = 4');
+  }
+
+  if (version < 5) {
+    migrateEventTimeZones(db);
+    db.pragma('user_version = 5');
+  }
+}
+
+module.exports = { ensureSchema };
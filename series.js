@@ -0,0 +1,293 @@
+// Tournament series and their editions
+//
+// A series ("Tata Steel Chess", "Seville Open") groups the events that are
+// editions of the same recurring tournament, so the landing pages can list
+// past editions and the API can estimate next year's dates. Each event
+// belongs to at most one series (series_editions.event_id is the key); the
+// edition number ("50th") is optional.
+//
+// suggestSeries() proposes groupings from normalized titles: years,
+// ordinals and roman numerals are dropped, so "50th Seville Open" and
+// "Seville Open 2026" share the key "open seville".
+
+const { titleTokens } = require('./duplicate-detection');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Comparable key of a title, ignoring word order
+function seriesTitleKey(title) {
+  return [...titleTokens(title)].sort().join(' ');
+}
+
+const ROMAN_VALUES = { i: 1, v: 5, x: 10, l: 50, c: 100, d: 500, m: 1000 };
+
+function romanToNumber(text) {
+  let total = 0;
+  for (let i = 0; i < text.length; i++) {
+    const value = ROMAN_VALUES[text[i]];
+    const next = ROMAN_VALUES[text[i + 1]] || 0;
+    total += value < next ? -value : value;
+  }
+  return total;
+}
+
+// Edition number from a title: "50th Seville Open" -> 50, "XXXIX Copa
+// Benito Juárez" -> 39, "7 Open Internacional" -> 7. Years don't count.
+function parseEdition(title) {
+  const match = String(title || '').trim().match(/^(?:(\d{1,3})(?:st|nd|rd|th|º|ª|\.)?|([MDCLXVI]{2,}))\s/i);
+  if (!match) return null;
+  return match[1] ? parseInt(match[1]) : romanToNumber(match[2].toLowerCase());
+}
+
+// Series name from an edition's title, without year and edition number
+function seriesNameFromTitle(title) {
+  return String(title || '')
+    .replace(/^(\d{1,3}(st|nd|rd|th|º|ª|\.)?|[MDCLXVI]{2,})\s+/i, '')
+    .replace(/\b(19|20)\d{2}\b/g, '')
+    .replace(/\s*[-–:,]\s*$/, '')
+    .replace(/^\s*[-–:,]\s*/, '')
+    .replace(/\s{2,}/g, ' ')
+    .trim();
+}
+
+function slugify(name) {
+  return String(name)
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// A slug not used by another series
+function uniqueSlug(db, name, exceptId = null) {
+  const base = slugify(name) || 'series';
+  const taken = db.prepare('SELECT id FROM series WHERE slug = ? AND id IS NOT ?');
+  let slug = base;
+  for (let n = 2; taken.get(slug, exceptId); n++) {
+    slug = `${base}-${n}`;
+  }
+  return slug;
+}
+
+function editionYear(event) {
+  return parseInt(String(event.start_datetime).slice(0, 4));
+}
+
+// Live editions of a series, oldest first
+function getEditions(db, seriesId) {
+  return db.prepare(`
+    SELECT e.id, e.title, e.location, e.start_datetime, e.end_datetime, e.url, se.edition
+    FROM series_editions se
+    JOIN calendar_events e ON e.id = se.event_id AND e.deleted_at IS NULL
+    WHERE se.series_id = ?
+    ORDER BY e.start_datetime ASC, e.id ASC
+  `).all(seriesId).map(edition => ({ ...edition, year: editionYear(edition) }));
+}
+
+// Estimated dates of the next edition: a year after the latest one, moved to
+// the same weekday (tournaments usually keep their weekend), with the same
+// length. null for a series without editions.
+function predictNextEdition(editions) {
+  if (editions.length === 0) return null;
+
+  const latestYear = editions[editions.length - 1].year;
+  const latest = editions.filter(edition => edition.year === latestYear)[0];
+  const start = Date.parse(latest.start_datetime.slice(0, 10));
+  const end = Date.parse(String(latest.end_datetime || latest.start_datetime).slice(0, 10));
+  const nextStart = start + 52 * 7 * DAY_MS;
+  const toDate = time => new Date(time).toISOString().slice(0, 10);
+
+  return {
+    year: latestYear + 1,
+    edition: latest.edition ? latest.edition + 1 : null,
+    start_date: toDate(nextStart),
+    end_date: toDate(nextStart + Math.max(0, end - start)),
+    based_on: latest.id
+  };
+}
+
+// All series with edition counts and years, by name
+function listSeries(db, { search = null } = {}) {
+  const where = search ? 'WHERE s.name LIKE ?' : '';
+  return db.prepare(`
+    SELECT s.*,
+      COUNT(e.id) as edition_count,
+      MIN(substr(e.start_datetime, 1, 4)) as first_year,
+      MAX(substr(e.start_datetime, 1, 4)) as last_year
+    FROM series s
+    LEFT JOIN series_editions se ON se.series_id = s.id
+    LEFT JOIN calendar_events e ON e.id = se.event_id AND e.deleted_at IS NULL
+    ${where}
+    GROUP BY s.id
+    ORDER BY s.name COLLATE NOCASE
+  `).all(...(search ? [`%${search}%`] : []));
+}
+
+// A series by ID or slug with its editions and the next-edition estimate
+function getSeries(db, idOrSlug) {
+  const series = db.prepare('SELECT * FROM series WHERE id = ? OR slug = ?').get(idOrSlug, String(idOrSlug));
+  if (!series) return null;
+
+  const editions = getEditions(db, series.id);
+  return { ...series, editions, next_edition: predictNextEdition(editions) };
+}
+
+// Check { name, description, url } for creating or, with partial, updating.
+// Returns an error message or null.
+function validateSeriesInput(input, { partial = false } = {}) {
+  if (!input || typeof input !== 'object') return 'series must be a JSON object';
+  if ((!partial || 'name' in input) && (typeof input.name !== 'string' || !input.name.trim())) {
+    return 'name is required';
+  }
+  if (input.name && input.name.length > 300) return 'name must be at most 300 characters';
+  if (input.description !== undefined && input.description !== null && typeof input.description !== 'string') {
+    return 'description must be text';
+  }
+  if (input.url) {
+    try {
+      new URL(input.url);
+    } catch (error) {
+      return 'url must be a valid URL';
+    }
+  }
+  return null;
+}
+
+function createSeries(db, { name, description = null, url = null }) {
+  const info = db.prepare(`
+    INSERT INTO series (name, slug, description, url, created_at, updated_at)
+    VALUES (?, ?, ?, ?, datetime('now'), datetime('now'))
+  `).run(name.trim(), uniqueSlug(db, name), description, url || null);
+  return info.lastInsertRowid;
+}
+
+// Returns false if there is no such series
+function updateSeries(db, id, input) {
+  const series = db.prepare('SELECT * FROM series WHERE id = ?').get(id);
+  if (!series) return false;
+
+  const name = input.name !== undefined ? input.name.trim() : series.name;
+  db.prepare(`
+    UPDATE series SET name = ?, slug = ?, description = ?, url = ?, updated_at = datetime('now')
+    WHERE id = ?
+  `).run(
+    name,
+    name !== series.name ? uniqueSlug(db, name, series.id) : series.slug,
+    input.description !== undefined ? input.description : series.description,
+    input.url !== undefined ? input.url || null : series.url,
+    series.id
+  );
+  return true;
+}
+
+// Delete a series; its events stay, unlinked. Returns false if not found.
+function deleteSeries(db, id) {
+  return db.transaction(() => {
+    db.prepare('DELETE FROM series_editions WHERE series_id = ?').run(id);
+    return db.prepare('DELETE FROM series WHERE id = ?').run(id).changes > 0;
+  })();
+}
+
+// Link an event to a series (moving it from another series if needed). The
+// edition number defaults to the one in the title.
+function addEdition(db, seriesId, eventId, edition = undefined) {
+  const event = db.prepare('SELECT id, title FROM calendar_events WHERE id = ?').get(eventId);
+  db.prepare(`
+    INSERT OR REPLACE INTO series_editions (event_id, series_id, edition, created_at)
+    VALUES (?, ?, ?, datetime('now'))
+  `).run(eventId, seriesId, edition !== undefined ? edition : parseEdition(event.title));
+}
+
+function removeEdition(db, seriesId, eventId) {
+  return db.prepare('DELETE FROM series_editions WHERE series_id = ? AND event_id = ?').run(seriesId, eventId).changes > 0;
+}
+
+// The series an event belongs to, with its other live editions (oldest
+// first), or null. Tolerates read-only connections opened before the
+// first migration.
+function getEventSeries(db, eventId) {
+  try {
+    const series = db.prepare(`
+      SELECT s.id, s.name, s.slug, se.edition
+      FROM series_editions se
+      JOIN series s ON s.id = se.series_id
+      WHERE se.event_id = ?
+    `).get(eventId);
+    if (!series) return null;
+
+    const editions = getEditions(db, series.id).filter(edition => edition.id !== Number(eventId));
+    return { ...series, editions };
+  } catch (error) {
+    if (error.message.includes('no such table')) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Suggested groupings of events that are not in a series yet: events whose
+// titles share a key with an existing series' editions ("add to series"),
+// and groups of events with the same key spanning at least minYears years
+// ("new series"). Best-supported suggestions first.
+function suggestSeries(db, { minYears = 2 } = {}) {
+  const unlinked = db.prepare(`
+    SELECT e.id, e.title, e.location, e.start_datetime, e.end_datetime
+    FROM calendar_events e
+    LEFT JOIN series_editions se ON se.event_id = e.id
+    WHERE e.deleted_at IS NULL AND se.event_id IS NULL AND e.start_datetime IS NOT NULL
+    ORDER BY e.start_datetime ASC
+  `).all();
+
+  const seriesByKey = new Map();
+  db.prepare(`
+    SELECT s.id, s.name, e.title
+    FROM series s
+    JOIN series_editions se ON se.series_id = s.id
+    JOIN calendar_events e ON e.id = se.event_id
+  `).all().forEach(row => {
+    const key = seriesTitleKey(row.title);
+    if (key && !seriesByKey.has(key)) seriesByKey.set(key, { id: row.id, name: row.name });
+  });
+
+  const groups = new Map();
+  unlinked.forEach(event => {
+    const key = seriesTitleKey(event.title);
+    if (!key) return;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({ ...event, year: editionYear(event), edition: parseEdition(event.title) });
+  });
+
+  const suggestions = [];
+  groups.forEach((events, key) => {
+    const years = [...new Set(events.map(event => event.year))].sort();
+    const series = seriesByKey.get(key);
+    if (!series && years.length < minYears) return;
+
+    suggestions.push({
+      key,
+      series_id: series ? series.id : null,
+      name: series ? series.name : seriesNameFromTitle(events[events.length - 1].title),
+      years,
+      events
+    });
+  });
+
+  return suggestions.sort((a, b) =>
+    (b.series_id !== null) - (a.series_id !== null) || b.years.length - a.years.length || b.events.length - a.events.length);
+}
+
+module.exports = {
+  seriesTitleKey,
+  parseEdition,
+  predictNextEdition,
+  listSeries,
+  getSeries,
+  validateSeriesInput,
+  createSeries,
+  updateSeries,
+  deleteSeries,
+  addEdition,
+  removeEdition,
+  getEventSeries,
+  suggestSeries
+};
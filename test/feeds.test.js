@@ -0,0 +1,107 @@
+// Subscription feeds (/feeds/:name.ics) against a running API server on a
+// scratch copy of the database. Run with: npm test
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const ADMIN_PASSWORD = 'feed-test-password';
+
+let server;
+let baseUrl;
+let workDir;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitForServer(url, timeoutMs = 30000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    try {
+      const response = await fetch(`${url}/health`);
+      if (response.ok) return;
+    } catch (e) {
+      // Not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error('API server did not start');
+}
+
+async function createEvent(token, event) {
+  const response = await fetch(`${baseUrl}/api/events`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify(event)
+  });
+  assert.strictEqual(response.status, 201, await response.text());
+}
+
+function feedSummaries(ics) {
+  return ics.split('\r\n').filter(line => line.startsWith('SUMMARY:')).map(line => line.slice('SUMMARY:'.length));
+}
+
+before(async () => {
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chess-feeds-'));
+  fs.copyFileSync(path.join(ROOT, 'calendar-2026.db'), path.join(workDir, 'calendar-2026.db'));
+
+  const port = await freePort();
+  baseUrl = `http://localhost:${port}`;
+  server = spawn(process.execPath, [path.join(ROOT, 'api-server.js')], {
+    cwd: workDir,
+    env: { ...process.env, NODE_ENV: 'test', PORT: String(port), ADMIN_PASSWORD },
+    stdio: 'ignore'
+  });
+  await waitForServer(baseUrl);
+
+  const login = await fetch(`${baseUrl}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: 'admin', password: ADMIN_PASSWORD })
+  });
+  const { token } = await login.json();
+
+  await createEvent(token, {
+    title: 'Toronto Open', url: 'https://example.com/toronto', continent: 'North America',
+    location: 'Toronto - Canada', start_datetime: '2026-11-06', end_datetime: '2026-11-08'
+  });
+  await createEvent(token, {
+    title: 'Mar del Plata Open', url: 'https://example.com/mdp', continent: 'South America',
+    location: 'Mar del Plata - Argentina', start_datetime: '2026-12-01', end_datetime: '2026-12-07'
+  });
+  await createEvent(token, {
+    title: 'Hastings Congress', url: 'https://example.com/hastings', continent: 'Europe',
+    location: 'Hastings - England', start_datetime: '2026-12-28', end_datetime: '2027-01-05'
+  });
+});
+
+after(() => {
+  if (server) server.kill();
+  if (workDir) fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('americas feed lists North and South American events', async () => {
+  const response = await fetch(`${baseUrl}/feeds/americas.ics`);
+  assert.strictEqual(response.status, 200);
+  const summaries = feedSummaries(await response.text());
+  assert.deepStrictEqual(summaries.sort(), ['Mar del Plata Open', 'Toronto Open']);
+});
+
+test('continent feeds only list their continent', async () => {
+  const response = await fetch(`${baseUrl}/feeds/europe.ics`);
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(feedSummaries(await response.text()), ['Hastings Congress']);
+});
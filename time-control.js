@@ -0,0 +1,149 @@
+// Structured time controls: parsing, formatting and FIDE category derivation
+//
+// Supported notations (case and spacing are ignored):
+//   90+30, 90'+30", 90 min + 30 sec     base minutes + increment seconds
+//   40/90+30, 30+30                     multi-stage (moves/minutes per stage)
+//   40/120, 20/60, G/30                 sudden death final stage (G/ or SD/)
+//   G/90;d5, 90 d5, 90+0 delay 5        delay in seconds
+
+// Minutes a player has for 60 moves decides the FIDE category
+// (FIDE Rating Regulations: standard >= 60, rapid > 10 and < 60, blitz <= 10)
+const FIDE_CATEGORIES = ['standard', 'rapid', 'blitz'];
+
+const STAGE_PATTERN = /^(?:(\d+)\/)?(?:(?:g|sd)\/?)?(\d+(?:\.\d+)?)(?:\+(\d+))?(?:d(\d+))?$/;
+const DELAY_PATTERN = /^d(\d+)$/;
+
+function normalizeNotation(str) {
+  return String(str)
+    .toLowerCase()
+    .replace(/minutes?|mins?|[′']/g, '')
+    .replace(/seconds?|secs?|[″"]/g, '')
+    .replace(/delay/g, 'd')
+    .replace(/\s*\+\s*/g, '+')
+    .replace(/\s*\/\s*/g, '/')
+    .replace(/\s+d\s*/g, 'd')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Parse a time control string. Returns null for empty input and
+// throws an Error with a readable message for notation it cannot read.
+function parseTimeControl(input) {
+  if (input === null || input === undefined || String(input).trim() === '') {
+    return null;
+  }
+
+  const parts = normalizeNotation(input).split(/\s*[,;]\s*|\s+then\s+/).filter(Boolean);
+  const stages = [];
+
+  parts.forEach(part => {
+    const delayOnly = part.match(DELAY_PATTERN);
+    if (delayOnly && stages.length > 0) {
+      stages[stages.length - 1].delay_sec = parseInt(delayOnly[1]);
+      return;
+    }
+
+    const match = part.replace(/ /g, '').match(STAGE_PATTERN);
+    if (!match) {
+      throw new Error(`Unrecognized time control "${input}"`);
+    }
+
+    stages.push({
+      moves: match[1] ? parseInt(match[1]) : null,
+      base_min: parseFloat(match[2]),
+      increment_sec: match[3] ? parseInt(match[3]) : 0,
+      delay_sec: match[4] ? parseInt(match[4]) : 0
+    });
+  });
+
+  if (stages.length === 0) {
+    throw new Error(`Unrecognized time control "${input}"`);
+  }
+
+  // Only the last stage can be sudden death
+  stages.slice(0, -1).forEach(stage => {
+    if (!stage.moves) {
+      throw new Error(`Only the final stage of "${input}" can be without a move count`);
+    }
+  });
+
+  return buildTimeControl(stages);
+}
+
+// Accept either a notation string or a { stages } / single-stage object
+function normalizeTimeControlInput(input) {
+  if (input && typeof input === 'object') {
+    const stages = Array.isArray(input.stages) ? input.stages : [input];
+    return parseTimeControl(stages.map(formatStage).join(', '));
+  }
+  return parseTimeControl(input);
+}
+
+// Increment and delay come from the first stage that has one, so
+// "40/90, 30+30" counts as an increment control
+function buildTimeControl(stages) {
+  const first = stages[0];
+  return {
+    time_control: stages.map(formatStage).join(', '),
+    tc_base_min: first.base_min,
+    tc_increment_sec: (stages.find(stage => stage.increment_sec) || first).increment_sec,
+    tc_delay_sec: (stages.find(stage => stage.delay_sec) || first).delay_sec,
+    tc_stages: stages,
+    fide_category: deriveFideCategory(stages)
+  };
+}
+
+// Sudden-death stages after a move-count stage use G/ (e.g. "40/120, G/30");
+// a single stage without increment or delay is written as "10+0"
+function formatStage(stage, index) {
+  let text = stage.moves ? `${stage.moves}/` : '';
+  if (!stage.moves && index > 0 && !stage.increment_sec) text += 'G/';
+  text += Number(stage.base_min);
+  if (stage.increment_sec || (index === 0 && !stage.moves && !stage.delay_sec)) {
+    text += `+${stage.increment_sec || 0}`;
+  }
+  if (stage.delay_sec) text += ` d${stage.delay_sec}`;
+  return text;
+}
+
+// Total thinking time for the first 60 moves, in minutes
+function minutesFor60Moves(stages) {
+  let minutes = 0;
+  let movesCovered = 0;
+
+  for (const stage of stages) {
+    if (movesCovered >= 60) break;
+    minutes += stage.base_min;
+    const stageMoves = stage.moves ? Math.min(stage.moves, 60 - movesCovered) : 60 - movesCovered;
+    minutes += stageMoves * (stage.increment_sec + stage.delay_sec) / 60;
+    movesCovered += stage.moves || 60;
+  }
+
+  return minutes;
+}
+
+function deriveFideCategory(stages) {
+  const minutes = minutesFor60Moves(stages);
+  if (minutes >= 60) return 'standard';
+  if (minutes > 10) return 'rapid';
+  return 'blitz';
+}
+
+// Column values for calendar_events; all null when the time control is cleared
+function timeControlColumns(parsed) {
+  return {
+    time_control: parsed ? parsed.time_control : null,
+    tc_base_min: parsed ? parsed.tc_base_min : null,
+    tc_increment_sec: parsed ? parsed.tc_increment_sec : null,
+    tc_delay_sec: parsed ? parsed.tc_delay_sec : null,
+    tc_stages: parsed ? JSON.stringify(parsed.tc_stages) : null,
+    fide_category: parsed ? parsed.fide_category : null
+  };
+}
+
+module.exports = {
+  FIDE_CATEGORIES,
+  parseTimeControl,
+  normalizeTimeControlInput,
+  timeControlColumns
+};
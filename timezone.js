@@ -0,0 +1,326 @@
+// Time zone helpers built on Intl (no time zone database of our own)
+//
+// Stored datetimes are UTC. Each event has an IANA zone ("Europe/Madrid"),
+// by default the one of its location, used to show its times. All-day
+// events are stored at midnight of their dates and have the same dates in
+// every zone.
+
+// Windows zone names found in calendars exported from Outlook/Exchange
+const WINDOWS_ZONES = {
+  'GMT Standard Time': 'Europe/London',
+  'Greenwich Standard Time': 'Atlantic/Reykjavik',
+  'W. Europe Standard Time': 'Europe/Berlin',
+  'Central Europe Standard Time': 'Europe/Budapest',
+  'Central European Standard Time': 'Europe/Warsaw',
+  'Romance Standard Time': 'Europe/Paris',
+  'E. Europe Standard Time': 'Europe/Chisinau',
+  'FLE Standard Time': 'Europe/Kiev',
+  'GTB Standard Time': 'Europe/Bucharest',
+  'Russian Standard Time': 'Europe/Moscow',
+  'Turkey Standard Time': 'Europe/Istanbul',
+  'Israel Standard Time': 'Asia/Jerusalem',
+  'Arabian Standard Time': 'Asia/Dubai',
+  'India Standard Time': 'Asia/Kolkata',
+  'China Standard Time': 'Asia/Shanghai',
+  'Tokyo Standard Time': 'Asia/Tokyo',
+  'AUS Eastern Standard Time': 'Australia/Sydney',
+  'New Zealand Standard Time': 'Pacific/Auckland',
+  'South Africa Standard Time': 'Africa/Johannesburg',
+  'Eastern Standard Time': 'America/New_York',
+  'Central Standard Time': 'America/Chicago',
+  'Mountain Standard Time': 'America/Denver',
+  'Pacific Standard Time': 'America/Los_Angeles',
+  'E. South America Standard Time': 'America/Sao_Paulo',
+  'Argentina Standard Time': 'America/Argentina/Buenos_Aires',
+  'UTC': 'UTC'
+};
+
+// Zone of each country, for events whose location ends in the country
+// ("Madrid - Spain"). Countries spanning several zones get the one most
+// events are in, refined by REGION_ZONES.
+const COUNTRY_ZONES = {
+  'afghanistan': 'Asia/Kabul', 'albania': 'Europe/Tirane', 'algeria': 'Africa/Algiers', 'andorra': 'Europe/Andorra',
+  'angola': 'Africa/Luanda', 'argentina': 'America/Argentina/Buenos_Aires', 'armenia': 'Asia/Yerevan', 'aruba': 'America/Aruba',
+  'australia': 'Australia/Sydney', 'austria': 'Europe/Vienna', 'azerbaijan': 'Asia/Baku', 'bahamas': 'America/Nassau',
+  'bahrain': 'Asia/Bahrain', 'bangladesh': 'Asia/Dhaka', 'barbados': 'America/Barbados', 'belarus': 'Europe/Minsk',
+  'belgium': 'Europe/Brussels', 'bolivia': 'America/La_Paz', 'bosnia': 'Europe/Sarajevo', 'bosnia and herzegovina': 'Europe/Sarajevo',
+  'botswana': 'Africa/Gaborone', 'brazil': 'America/Sao_Paulo', 'bulgaria': 'Europe/Sofia', 'burundi': 'Africa/Bujumbura',
+  'cambodia': 'Asia/Phnom_Penh', 'cameroon': 'Africa/Douala', 'canada': 'America/Toronto', 'cape verde': 'Atlantic/Cape_Verde',
+  'chile': 'America/Santiago', 'china': 'Asia/Shanghai', 'chinese taipei': 'Asia/Taipei', 'colombia': 'America/Bogota',
+  'costa rica': 'America/Costa_Rica', 'croatia': 'Europe/Zagreb', 'cuba': 'America/Havana', 'cyprus': 'Asia/Nicosia',
+  'czech republic': 'Europe/Prague', 'czechia': 'Europe/Prague', 'denmark': 'Europe/Copenhagen', 'dominican republic': 'America/Santo_Domingo',
+  'dominicana': 'America/Santo_Domingo', 'ecuador': 'America/Guayaquil', 'egypt': 'Africa/Cairo', 'el salvador': 'America/El_Salvador',
+  'england': 'Europe/London', 'estonia': 'Europe/Tallinn', 'ethiopia': 'Africa/Addis_Ababa', 'faroe islands': 'Atlantic/Faroe',
+  'fiji': 'Pacific/Fiji', 'finland': 'Europe/Helsinki', 'france': 'Europe/Paris', 'georgia': 'Asia/Tbilisi',
+  'germany': 'Europe/Berlin', 'ghana': 'Africa/Accra', 'gibraltar': 'Europe/Gibraltar', 'greece': 'Europe/Athens',
+  'guatemala': 'America/Guatemala', 'guernsey': 'Europe/Guernsey', 'guyana': 'America/Guyana', 'honduras': 'America/Tegucigalpa',
+  'hong kong': 'Asia/Hong_Kong', 'hungary': 'Europe/Budapest', 'iceland': 'Atlantic/Reykjavik', 'india': 'Asia/Kolkata',
+  'indonesia': 'Asia/Jakarta', 'iran': 'Asia/Tehran', 'iraq': 'Asia/Baghdad', 'ireland': 'Europe/Dublin',
+  'isle of man': 'Europe/Isle_of_Man', 'israel': 'Asia/Jerusalem', 'italy': 'Europe/Rome', 'ivory coast': 'Africa/Abidjan',
+  'jamaica': 'America/Jamaica', 'japan': 'Asia/Tokyo', 'jersey': 'Europe/Jersey', 'jordan': 'Asia/Amman',
+  'kazakhstan': 'Asia/Almaty', 'kenya': 'Africa/Nairobi', 'korea': 'Asia/Seoul', 'kosovo': 'Europe/Belgrade',
+  'kuwait': 'Asia/Kuwait', 'kyrgyzstan': 'Asia/Bishkek', 'latvia': 'Europe/Riga', 'lebanon': 'Asia/Beirut',
+  'liberia': 'Africa/Monrovia', 'libya': 'Africa/Tripoli', 'liechtenstein': 'Europe/Vaduz', 'lithuania': 'Europe/Vilnius',
+  'luxembourg': 'Europe/Luxembourg', 'macau': 'Asia/Macau', 'madagascar': 'Indian/Antananarivo', 'malawi': 'Africa/Blantyre',
+  'malaysia': 'Asia/Kuala_Lumpur', 'maldives': 'Indian/Maldives', 'malta': 'Europe/Malta', 'mauritius': 'Indian/Mauritius',
+  'mexico': 'America/Mexico_City', 'moldova': 'Europe/Chisinau', 'monaco': 'Europe/Monaco', 'mongolia': 'Asia/Ulaanbaatar',
+  'montenegro': 'Europe/Podgorica', 'morocco': 'Africa/Casablanca', 'mozambique': 'Africa/Maputo', 'myanmar': 'Asia/Yangon',
+  'namibia': 'Africa/Windhoek', 'nepal': 'Asia/Kathmandu', 'netherlands': 'Europe/Amsterdam', 'the netherlands': 'Europe/Amsterdam',
+  'new zealand': 'Pacific/Auckland', 'nicaragua': 'America/Managua', 'nigeria': 'Africa/Lagos', 'north macedonia': 'Europe/Skopje',
+  'northern ireland': 'Europe/London', 'norway': 'Europe/Oslo', 'oman': 'Asia/Muscat', 'pakistan': 'Asia/Karachi',
+  'palestine': 'Asia/Gaza', 'panama': 'America/Panama', 'papua new guinea': 'Pacific/Port_Moresby', 'paraguay': 'America/Asuncion',
+  'peru': 'America/Lima', 'philippines': 'Asia/Manila', 'poland': 'Europe/Warsaw', 'portugal': 'Europe/Lisbon',
+  'puerto rico': 'America/Puerto_Rico', 'qatar': 'Asia/Qatar', 'romania': 'Europe/Bucharest', 'russia': 'Europe/Moscow',
+  'rwanda': 'Africa/Kigali', 'san marino': 'Europe/San_Marino', 'saudi arabia': 'Asia/Riyadh', 'scotland': 'Europe/London',
+  'senegal': 'Africa/Dakar', 'serbia': 'Europe/Belgrade', 'seychelles': 'Indian/Mahe', 'singapore': 'Asia/Singapore',
+  'slovakia': 'Europe/Bratislava', 'slovenia': 'Europe/Ljubljana', 'south africa': 'Africa/Johannesburg', 'south korea': 'Asia/Seoul',
+  'spain': 'Europe/Madrid', 'sri lanka': 'Asia/Colombo', 'sudan': 'Africa/Khartoum', 'suriname': 'America/Paramaribo',
+  'sweden': 'Europe/Stockholm', 'switzerland': 'Europe/Zurich', 'syria': 'Asia/Damascus', 'taiwan': 'Asia/Taipei',
+  'tajikistan': 'Asia/Dushanbe', 'tanzania': 'Africa/Dar_es_Salaam', 'thailand': 'Asia/Bangkok', 'trinidad and tobago': 'America/Port_of_Spain',
+  'tunisia': 'Africa/Tunis', 'turkey': 'Europe/Istanbul', 'turkmenistan': 'Asia/Ashgabat', 'uae': 'Asia/Dubai',
+  'uganda': 'Africa/Kampala', 'uk': 'Europe/London', 'ukraine': 'Europe/Kyiv', 'united arab emirates': 'Asia/Dubai',
+  'united kingdom': 'Europe/London', 'united states': 'America/New_York', 'uruguay': 'America/Montevideo', 'us': 'America/New_York',
+  'usa': 'America/New_York', 'uzbekistan': 'Asia/Tashkent', 'venezuela': 'America/Caracas', 'vietnam': 'Asia/Ho_Chi_Minh',
+  'wales': 'Europe/London', 'yemen': 'Asia/Aden', 'zambia': 'Africa/Lusaka', 'zimbabwe': 'Africa/Harare'
+};
+
+// Cities and regions in other zones than their country's, by the
+// country's zone
+const REGION_ZONES = {
+  'America/New_York': {
+    'alabama': 'America/Chicago', 'arizona': 'America/Phoenix', 'arkansas': 'America/Chicago', 'austin': 'America/Chicago',
+    'california': 'America/Los_Angeles', 'chicago': 'America/Chicago', 'colorado': 'America/Denver', 'dallas': 'America/Chicago',
+    'denver': 'America/Denver', 'hawaii': 'Pacific/Honolulu', 'houston': 'America/Chicago', 'illinois': 'America/Chicago',
+    'iowa': 'America/Chicago', 'irvine': 'America/Los_Angeles', 'irving': 'America/Chicago', 'kansas': 'America/Chicago',
+    'las vegas': 'America/Los_Angeles', 'los angeles': 'America/Los_Angeles', 'louisiana': 'America/Chicago', 'minnesota': 'America/Chicago',
+    'missouri': 'America/Chicago', 'nevada': 'America/Los_Angeles', 'new orleans': 'America/Chicago', 'oklahoma': 'America/Chicago',
+    'oregon': 'America/Los_Angeles', 'phoenix': 'America/Phoenix', 'redmond': 'America/Los_Angeles', 'saint louis': 'America/Chicago',
+    'salt lake city': 'America/Denver', 'san diego': 'America/Los_Angeles', 'san francisco': 'America/Los_Angeles', 'seattle': 'America/Los_Angeles',
+    'st louis': 'America/Chicago', 'st. louis': 'America/Chicago', 'texas': 'America/Chicago', 'utah': 'America/Denver',
+    'wisconsin': 'America/Chicago', 'wyoming': 'America/Denver'
+  },
+  'America/Toronto': {
+    'alberta': 'America/Edmonton', 'british columbia': 'America/Vancouver', 'calgary': 'America/Edmonton', 'edmonton': 'America/Edmonton',
+    'halifax': 'America/Halifax', 'manitoba': 'America/Winnipeg', 'nova scotia': 'America/Halifax', 'vancouver': 'America/Vancouver',
+    'winnipeg': 'America/Winnipeg'
+  },
+  'Australia/Sydney': {
+    'adelaide': 'Australia/Adelaide', 'brisbane': 'Australia/Brisbane', 'darwin': 'Australia/Darwin', 'gold coast': 'Australia/Brisbane',
+    'hobart': 'Australia/Hobart', 'melbourne': 'Australia/Melbourne', 'perth': 'Australia/Perth', 'queensland': 'Australia/Brisbane',
+    'south australia': 'Australia/Adelaide', 'tasmania': 'Australia/Hobart', 'toowoomba': 'Australia/Brisbane', 'victoria': 'Australia/Melbourne',
+    'western australia': 'Australia/Perth'
+  },
+  'Europe/Moscow': {
+    'ekaterinburg': 'Asia/Yekaterinburg', 'irkutsk': 'Asia/Irkutsk', 'kaliningrad': 'Europe/Kaliningrad', 'khanty-mansiysk': 'Asia/Yekaterinburg',
+    'krasnoyarsk': 'Asia/Krasnoyarsk', 'novosibirsk': 'Asia/Novosibirsk', 'omsk': 'Asia/Omsk', 'samara': 'Europe/Samara',
+    'vladivostok': 'Asia/Vladivostok', 'yekaterinburg': 'Asia/Yekaterinburg'
+  },
+  'America/Sao_Paulo': {
+    'amazonas': 'America/Manaus', 'manaus': 'America/Manaus'
+  },
+  'America/Mexico_City': {
+    'baja california': 'America/Tijuana', 'cancun': 'America/Cancun', 'ensenada': 'America/Tijuana', 'hermosillo': 'America/Hermosillo',
+    'quintana roo': 'America/Cancun', 'sonora': 'America/Hermosillo', 'tijuana': 'America/Tijuana'
+  },
+  'Europe/Madrid': {
+    'canary islands': 'Atlantic/Canary', 'gran canaria': 'Atlantic/Canary', 'la laguna': 'Atlantic/Canary', 'las palmas': 'Atlantic/Canary',
+    'tenerife': 'Atlantic/Canary'
+  },
+  'Europe/Lisbon': {
+    'azores': 'Atlantic/Azores', 'funchal': 'Atlantic/Madeira', 'madeira': 'Atlantic/Madeira'
+  },
+  'Asia/Jakarta': {
+    'bali': 'Asia/Makassar'
+  }
+};
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// IANA name for a zone name as found in the wild ("Europe/Berlin",
+// "/Europe/Berlin", "W. Europe Standard Time"), or null
+function resolveTimeZone(name) {
+  const cleaned = String(name || '').trim().replace(/^"|"$/g, '').replace(/^\//, '');
+  if (!cleaned) return null;
+  if (WINDOWS_ZONES[cleaned]) return WINDOWS_ZONES[cleaned];
+  return isValidTimeZone(cleaned) ? cleaned : null;
+}
+
+// Creating a DateTimeFormat is slow and recurring events need offsets for
+// every occurrence, so there is one per zone
+const formatters = new Map();
+
+function zoneFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+// Minutes the zone is ahead of UTC at the given instant
+function timeZoneOffset(timeZone, time) {
+  const parts = {};
+  zoneFormatter(timeZone).formatToParts(new Date(time)).forEach(part => { parts[part.type] = part.value; });
+
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((local - Math.floor(time / 1000) * 1000) / 60000);
+}
+
+// Offset changes of the zone during a UTC year, as { time, from, to }
+// (timestamp of the change, minutes ahead of UTC before and after)
+function timeZoneTransitions(timeZone, year) {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const transitions = [];
+  const end = Date.UTC(year + 1, 0, 1);
+
+  for (let day = Date.UTC(year, 0, 1); day < end; day += DAY_MS) {
+    const from = timeZoneOffset(timeZone, day);
+    const to = timeZoneOffset(timeZone, day + DAY_MS);
+    if (from === to) continue;
+
+    // Narrow down to the minute
+    let low = day;
+    let high = day + DAY_MS;
+    while (high - low > 60000) {
+      const middle = low + Math.floor((high - low) / 120000) * 60000;
+      if (timeZoneOffset(timeZone, middle) === from) low = middle;
+      else high = middle;
+    }
+    transitions.push({ time: high, from, to });
+  }
+  return transitions;
+}
+
+// Timestamp of a wall-clock time ("2026-03-29T02:30:00") in the zone.
+// Times skipped or repeated by a DST change get the offset from one side
+// of the change.
+function zonedTimeToUtc(localDatetime, timeZone) {
+  const asUtc = Date.parse(`${String(localDatetime).slice(0, 19).replace(' ', 'T')}Z`);
+  const firstGuess = asUtc - timeZoneOffset(timeZone, asUtc) * 60000;
+  const offset = timeZoneOffset(timeZone, firstGuess);
+  return asUtc - offset * 60000;
+}
+
+// Zone of an event location ("Saint Louis - Missouri - USA", "Spain"), or
+// null for online events and places not in COUNTRY_ZONES
+function timeZoneForLocation(location) {
+  const parts = String(location || '').toLowerCase().split(/\s+-\s*|\s*-\s+|,|\(|\)/).map(part => part.trim()).filter(Boolean);
+  const countryZone = parts.length > 0 ? COUNTRY_ZONES[parts[parts.length - 1]] : null;
+  if (!countryZone) return null;
+
+  const regions = REGION_ZONES[countryZone] || {};
+  const region = Object.keys(regions).find(name =>
+    parts.slice(0, -1).some(part => new RegExp(`(^|\\s)${name.replace('.', '\\.')}($|\\s)`).test(part)));
+  return region ? regions[region] : countryZone;
+}
+
+// Timestamp of a stored datetime ("2026-03-01 14:00:00", UTC)
+function parseStoredDatetime(value) {
+  return Date.parse(`${String(value).slice(0, 19).replace(' ', 'T')}Z`);
+}
+
+// Whether an event is all-day: it happens on its dates wherever you are,
+// stored at midnight. Rows selected without all_day go by the times.
+function isAllDayEvent(event) {
+  if (event.all_day !== undefined && event.all_day !== null) return Number(event.all_day) === 1;
+  const midnight = value => !value || String(value).slice(11, 19) === '' || String(value).slice(11, 19) === '00:00:00';
+  return midnight(event.start_datetime) && midnight(event.end_datetime);
+}
+
+// Date ("YYYY-MM-DD") a stored datetime falls on in the zone; without a
+// zone (all-day events) its own date
+function localDate(datetime, timeZone = null) {
+  if (!timeZone) return String(datetime).slice(0, 10);
+  const time = parseStoredDatetime(datetime);
+  return new Date(time + timeZoneOffset(timeZone, time) * 60000).toISOString().slice(0, 10);
+}
+
+// "+05:30"
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}:${String(absolute % 60).padStart(2, '0')}`;
+}
+
+// ISO 8601 form of a stored datetime in the zone, with its UTC offset
+// ("2026-07-10T10:00:00+02:00")
+function isoDatetime(datetime, timeZone = 'UTC') {
+  const time = parseStoredDatetime(datetime);
+  const offset = timeZoneOffset(timeZone, time);
+  return new Date(time + offset * 60000).toISOString().slice(0, 19) + formatOffset(offset);
+}
+
+// ISO 8601 start and end of an event: dates for all-day events (end is the
+// last day), times in timeZone or else the event's own zone for timed ones
+function eventIsoTimes(event, timeZone = null) {
+  const allDay = isAllDayEvent(event);
+  const zone = timeZone || event.timezone || 'UTC';
+  const iso = value => (allDay ? localDate(value) : isoDatetime(value, zone));
+
+  const times = {};
+  if (event.start_datetime) times.start = iso(event.start_datetime);
+  if (event.end_datetime) times.end = iso(event.end_datetime);
+  return times;
+}
+
+// Zone an event's dates are shown in: none for all-day events
+function displayTimeZone(event) {
+  return isAllDayEvent(event) ? null : event.timezone || null;
+}
+
+// One-off migration: time zones from the locations, and all-day for events
+// stored at midnight. Dates entered as local midnight and saved in UTC
+// ("2025-09-05 22:00:00" in Madrid) become all-day on their local dates.
+function migrateEventTimeZones(db) {
+  const events = db.prepare('SELECT id, location, start_datetime, end_datetime, all_day FROM calendar_events').all();
+  const update = db.prepare('UPDATE calendar_events SET timezone = ?, all_day = ?, start_datetime = ?, end_datetime = ? WHERE id = ?');
+  let zoned = 0;
+  let allDay = 0;
+
+  const migrate = db.transaction(() => {
+    events.forEach(event => {
+      const timeZone = timeZoneForLocation(event.location);
+      let { start_datetime: start, end_datetime: end } = event;
+      const localMidnight = value => !value || isoDatetime(value, timeZone).slice(11, 19) === '00:00:00';
+
+      let isAllDay = Number(event.all_day) === 1 || isAllDayEvent({ start_datetime: start, end_datetime: end });
+      if (!isAllDay && timeZone && start && localMidnight(start) && localMidnight(end)) {
+        start = `${localDate(start, timeZone)} 00:00:00`;
+        end = end && `${localDate(end, timeZone)} 00:00:00`;
+        isAllDay = true;
+      }
+      if (timeZone) zoned++;
+      if (isAllDay) allDay++;
+      update.run(timeZone, isAllDay ? 1 : 0, start, end, event.id);
+    });
+  });
+  migrate();
+
+  console.log(`Time zone migration: ${zoned} of ${events.length} events placed in a time zone, ${allDay} all-day`);
+}
+
+module.exports = {
+  isValidTimeZone,
+  resolveTimeZone,
+  timeZoneOffset,
+  timeZoneTransitions,
+  zonedTimeToUtc,
+  timeZoneForLocation,
+  parseStoredDatetime,
+  isAllDayEvent,
+  localDate,
+  formatOffset,
+  isoDatetime,
+  eventIsoTimes,
+  displayTimeZone,
+  migrateEventTimeZones
+};